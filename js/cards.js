@@ -5,22 +5,61 @@ const ITEMS_PER_PAGE = 12;
 let currentPage = 1;
 let allRestaurants = [];
 let filteredRestaurants = [];
-
-// Filter and sort state
-let currentFilters = {
-    establishmentType: 'all',
+let neighbourhoodName = null;
+const core = new DineSafeCore();
+const cuisineTaxonomy = core.cuisineTaxonomy;
+const priceBands = core.priceBands;
+const urlState = new UrlState();
+
+// Filter and sort state (kept in the URL, see UrlState.CARD_PARAMS): the FilterEngine filters
+// plus the sort order
+const DEFAULT_FILTERS = {
+    ...FilterEngine.getDefaults(),
     yelpOnly: true, // Default to show only restaurants with Yelp links
     sortBy: 'name' // name, healthScore, yelpRating
 };
+let currentFilters = urlState.readCardFilters(DEFAULT_FILTERS);
+
+// Filter key -> control, as on the map (chips: none active = all; range: one handle of the score range)
+const FILTER_CONTROLS = {
+    type: { type: 'chips', id: 'type-filter' },
+    status: { type: 'chips', id: 'status-filter' },
+    healthGrade: { type: 'chips', id: 'health-grade-filter' },
+    scoreMin: { type: 'range', id: 'score-min-filter' },
+    scoreMax: { type: 'range', id: 'score-max-filter' },
+    severityMode: { type: 'select', id: 'severity-mode-filter', counts: false },
+    severity: { type: 'select', id: 'severity-filter' },
+    yelpCuisine: { type: 'select', id: 'yelp-cuisine-filter' },
+    price: { type: 'select', id: 'price-filter' },
+    sortBy: { type: 'select', id: 'sort-filter', counts: false },
+    yelpOnly: { type: 'checkbox', id: 'yelp-only-filter' }
+};
 
 // Initialize cards page
-function initCards() {
-    // Get data from sessionStorage
-    const restaurantsJSON = sessionStorage.getItem('selectedRestaurants');
-    const neighbourhoodName = sessionStorage.getItem('selectedNeighbourhood');
+async function initCards() {
+    // The map hands over the IDs of its selection through sessionStorage (a neighbourhood or a
+    // hexagon); a shared link names the neighbourhood in the URL. Both rebuild from the loaded data.
+    const areaCode = urlState.readArea();
+    const idsJSON = sessionStorage.getItem('selectedIds');
+    const fromMap = !!idsJSON && (!areaCode || sessionStorage.getItem('selectedAreaCode') === areaCode);
+    // The model in the URL (from the map or a shared link) wins over the handed-over or saved one
+    const linkedModel = urlState.readScoringModel();
+    const scoringModelJSON = linkedModel ? JSON.stringify(linkedModel)
+        : fromMap ? sessionStorage.getItem('scoringModel') : localStorage.getItem('scoringModel');
+
+    if (fromMap || areaCode) {
+        document.getElementById('page-title').textContent = 'Loading restaurants...';
+        try {
+            await loadSelection(areaCode, fromMap ? JSON.parse(idsJSON) : null, scoringModelJSON);
+        } catch (error) {
+            console.error("❌ Loading failed:", error);
+        }
+    }
 
-    if (restaurantsJSON && neighbourhoodName) {
-        allRestaurants = JSON.parse(restaurantsJSON);
+    if (allRestaurants.length > 0 || neighbourhoodName) {
+        // Show which scoring model produced the health scores
+        const scoringModel = new ScoringModel(scoringModelJSON ? JSON.parse(scoringModelJSON) : {});
+        document.getElementById('scoring-model-note').textContent = `Health scores: ${scoringModel.getSummary()}`;
         
         // Initialize filter controls
         initFilters();
@@ -34,39 +73,157 @@ function initCards() {
     }
 }
 
+// Load the selected restaurants the way the map shows them (same data, scoring and map filters):
+// the establishments with the handed-over IDs, or else those of the neighbourhood in the URL
+async function loadSelection(areaCode, ids, scoringModelJSON) {
+    const { geo, mergedData } = await new DataLoader().loadData();
+    core.scoreRecords(mergedData, scoringModelJSON ? JSON.parse(scoringModelJSON) : {});
+    
+    // The map filters in the URL apply on both paths
+    const filtered = core.filterRecords(mergedData, urlState.readFilters());
+    if (ids) {
+        const selectedIds = new Set(ids);
+        neighbourhoodName = sessionStorage.getItem('selectedNeighbourhood');
+        allRestaurants = filtered.filter(d => selectedIds.has(d["unique_id"]));
+        return;
+    }
+    
+    const feature = geo.features.find(f => f.properties.AREA_SHORT_CODE === areaCode);
+    if (!feature) return;
+    neighbourhoodName = feature.properties.AREA_NAME;
+    allRestaurants = core.inNeighbourhood(filtered, neighbourhoodName);
+}
+
+// Return to the map with its view (cards filters are left out)
+function backToMap() {
+    const params = urlState.getParams();
+    Object.values(urlState.CARD_PARAMS).forEach(param => params.delete(param));
+    const query = params.toString();
+    window.location.href = `index.html${query ? `?${query}` : ''}`;
+}
+
 // Initialize filter controls
 function initFilters() {
-    // Get all unique restaurant types
-    const types = [...new Set(allRestaurants.map(r => r["Establishment Type"]))].sort();
-    
-    // Populate restaurant type options
-    const typeSelect = document.getElementById('type-filter');
-    types.forEach(type => {
+    // Populate hierarchical Yelp cuisine options
+    const cuisineSelect = document.getElementById('yelp-cuisine-filter');
+    cuisineTaxonomy.buildOptions(allRestaurants).forEach(({ value, label, depth }) => {
         const option = document.createElement('option');
-        option.value = type;
-        option.textContent = type;
-        typeSelect.appendChild(option);
+        option.value = value;
+        option.textContent = label;
+        if (depth === 0) option.className = 'cuisine-group';
+        cuisineSelect.appendChild(option);
+    });
+    
+    // Bind events: chips toggle, selects and the checkbox change
+    document.querySelectorAll('#filters-container .chip').forEach(chip => {
+        chip.addEventListener('click', () => {
+            chip.classList.toggle('active');
+            chip.setAttribute('aria-pressed', chip.classList.contains('active'));
+            handleFilterChange();
+        });
+    });
+    document.querySelectorAll('#filters-container select, #yelp-only-filter').forEach(control => {
+        control.addEventListener('change', handleFilterChange);
     });
     
-    // Bind events
-    document.getElementById('type-filter').addEventListener('change', handleFilterChange);
-    document.getElementById('sort-filter').addEventListener('change', handleFilterChange);
-    document.getElementById('yelp-only-filter').addEventListener('change', handleFilterChange);
+    // Score range: the handles cannot cross; the cards update when a handle is released
+    ['score-min-filter', 'score-max-filter'].forEach(id => {
+        const input = document.getElementById(id);
+        input.addEventListener('input', () => {
+            const min = document.getElementById('score-min-filter');
+            const max = document.getElementById('score-max-filter');
+            if (+min.value > +max.value) (id === 'score-min-filter' ? max : min).value = input.value;
+            updateScoreRangeLabel();
+        });
+        input.addEventListener('change', handleFilterChange);
+    });
+    
+    // Browser back/forward restores the filters of that history entry
+    window.addEventListener('popstate', () => {
+        currentFilters = urlState.readCardFilters(DEFAULT_FILTERS);
+        setFilterControls();
+        currentPage = 1;
+        applyFiltersAndSort();
+    });
     
     // Set initial state
-    document.getElementById('yelp-only-filter').checked = currentFilters.yelpOnly;
+    setFilterControls();
+}
+
+// Show currentFilters in the filter controls
+function setFilterControls() {
+    Object.entries(FILTER_CONTROLS).forEach(([key, { type, id }]) => {
+        const control = document.getElementById(id);
+        if (type === 'chips') {
+            // Values without a chip are ignored
+            control.querySelectorAll('.chip').forEach(chip => {
+                const active = currentFilters[key].includes(chip.dataset.value);
+                chip.classList.toggle('active', active);
+                chip.setAttribute('aria-pressed', active);
+            });
+        } else if (type === 'checkbox') {
+            control.checked = currentFilters[key];
+        } else {
+            control.value = currentFilters[key];
+            // Values from a link that are not options here fall back to the default
+            if (String(control.value) !== String(currentFilters[key])) {
+                currentFilters[key] = DEFAULT_FILTERS[key];
+                control.value = DEFAULT_FILTERS[key];
+            }
+        }
+    });
+    updateScoreRangeLabel();
+}
+
+// Read the filter controls into currentFilters
+function readFilterControls() {
+    Object.entries(FILTER_CONTROLS).forEach(([key, { type, id }]) => {
+        const control = document.getElementById(id);
+        if (type === 'chips') {
+            currentFilters[key] = Array.from(control.querySelectorAll('.chip.active'), chip => chip.dataset.value);
+        } else if (type === 'range') {
+            currentFilters[key] = +control.value;
+        } else if (type === 'checkbox') {
+            currentFilters[key] = control.checked;
+        } else {
+            currentFilters[key] = control.value;
+        }
+    });
+}
+
+// Show the selected health score range
+function updateScoreRangeLabel() {
+    const min = document.getElementById('score-min-filter').value;
+    const max = document.getElementById('score-max-filter').value;
+    document.getElementById('score-range-value').textContent = `${min} – ${max}`;
 }
 
 // Handle filter changes
 function handleFilterChange() {
-    currentFilters.establishmentType = document.getElementById('type-filter').value;
-    currentFilters.sortBy = document.getElementById('sort-filter').value;
-    currentFilters.yelpOnly = document.getElementById('yelp-only-filter').checked;
+    readFilterControls();
+    urlState.update(params => urlState.writeCardFilters(params, currentFilters, DEFAULT_FILTERS), true);
     
     currentPage = 1; // Reset to first page
     applyFiltersAndSort();
 }
 
+// Show the number of matching restaurants after every filter option, e.g. "Bakery (12)"
+function updateFilterCounts() {
+    Object.entries(FILTER_CONTROLS).forEach(([key, { type, id, counts: showCounts }]) => {
+        if ((type !== 'chips' && type !== 'select') || showCounts === false) return;
+        
+        const control = document.getElementById(id);
+        const options = type === 'chips' ? Array.from(control.querySelectorAll('.chip')) : Array.from(control.options);
+        const valueOf = option => (type === 'chips' ? option.dataset.value : option.value);
+        const counts = core.countOptions(allRestaurants, currentFilters, key, options.map(valueOf));
+        options.forEach(option => {
+            // Keep the plain label to rebuild the text on every change
+            if (option.dataset.label === undefined) option.dataset.label = option.textContent;
+            option.textContent = `${option.dataset.label} (${counts.get(valueOf(option))})`;
+        });
+    });
+}
+
 // Generate no results message
 function getNoResultsMessage() {
     return `
@@ -79,39 +236,11 @@ function getNoResultsMessage() {
 
 // Apply filters and sorting
 function applyFiltersAndSort() {
-    // Apply filters
-    filteredRestaurants = allRestaurants.filter(restaurant => {
-        // Type filter
-        if (currentFilters.establishmentType !== 'all' && 
-            restaurant["Establishment Type"] !== currentFilters.establishmentType) {
-            return false;
-        }
-        
-        // Yelp filter
-        if (currentFilters.yelpOnly && !restaurant.yelpMatch) {
-            return false;
-        }
-        
-        return true;
-    });
-    
-    // Apply sorting
-    filteredRestaurants.sort((a, b) => {
-        switch (currentFilters.sortBy) {
-            case 'healthScore':
-                return (b.healthScore || 0) - (a.healthScore || 0);
-            case 'yelpRating':
-                const aRating = a.yelpMatch ? parseFloat(a.yelpMatch.avg_rating) : 0;
-                const bRating = b.yelpMatch ? parseFloat(b.yelpMatch.avg_rating) : 0;
-                return bRating - aRating;
-            case 'name':
-            default:
-                return a["Establishment Name"].localeCompare(b["Establishment Name"]);
-        }
-    });
+    // Apply filters and sorting
+    filteredRestaurants = core.sortRecords(core.filterRecords(allRestaurants, currentFilters), currentFilters.sortBy);
+    updateFilterCounts();
     
     // Update title
-    const neighbourhoodName = sessionStorage.getItem('selectedNeighbourhood');
     document.getElementById('page-title').textContent = 
         `${filteredRestaurants.length} of ${allRestaurants.length} Restaurant${filteredRestaurants.length !== 1 ? 's' : ''} in ${neighbourhoodName}`;
     
@@ -225,8 +354,8 @@ function createCard(resto) {
         .attr("class", "label")
         .text("Health Score");
     
-    const healthColor = resto.healthScore >= 90 ? '#27ae60' : 
-                       resto.healthScore >= 70 ? '#f39c12' : '#e74c3c';
+    const healthColor = resto.healthGrade === 'A' ? '#27ae60' : 
+                       resto.healthGrade === 'D' ? '#e74c3c' : '#f39c12';
     
     healthItem.append("div")
         .attr("class", "value")
@@ -259,7 +388,20 @@ function createCard(resto) {
         .attr("class", "value");
     
     if (resto.yelpMatch) {
-        yelpValue.text(`⭐ ${resto.yelpMatch.avg_rating}`);
+        if (resto.yelpMatch.avg_rating !== null) {
+            yelpValue.text(`⭐ ${resto.yelpMatch.avg_rating}`);
+        } else {
+            yelpValue.append("span")
+                .style("color", "#999")
+                .style("font-size", "12px")
+                .text("Unknown");
+        }
+        
+        // Match confidence badge
+        yelpValue.append("span")
+            .attr("class", `match-badge match-${resto.yelpMatch.matchLevel}`)
+            .attr("title", `Match confidence: ${Math.round(resto.yelpMatch.matchConfidence * 100)}%`)
+            .text(`${resto.yelpMatch.matchLevel} match`);
     } else {
         yelpValue.append("span")
             .style("color", "#999")
@@ -267,32 +409,59 @@ function createCard(resto) {
             .text("N/A");
     }
 
-    // Inspection details
-    if (resto["Infraction Details"]) {
+    // Price band
+    const priceItem = infoGrid.append("div")
+        .attr("class", "info-item");
+    
+    priceItem.append("div")
+        .attr("class", "label")
+        .text("Price");
+    
+    priceItem.append("div")
+        .attr("class", "value")
+        .style("color", resto.priceBand ? null : "#999")
+        .style("font-size", resto.priceBand ? null : "12px")
+        .attr("title", resto.priceBand ? priceBands.get(resto.priceBand).label : "No Yelp price range")
+        .text(resto.priceBand ? priceBands.get(resto.priceBand).symbol : "Unknown");
+
+    // Yelp cuisines (most specific level of each category)
+    if (resto.cuisines && resto.cuisines.length > 0) {
+        cardBody.append("p")
+            .attr("class", "cuisines")
+            .attr("title", resto.cuisines.join("\n"))
+            .text(resto.cuisines.map(path => path.split(cuisineTaxonomy.SEPARATOR).pop()).join(" · "));
+    }
+
+    // Inspection history
+    if (resto.inspections && resto.inspections.length > 0) {
         const details = cardBody.append("details");
         
+        const trendText = {
+            improving: ' ▲', declining: ' ▼', stable: '', single: ''
+        }[resto.healthTrend] || '';
         details.append("summary")
-            .text("Inspection Details");
+            .text(`Inspection History (${resto.inspections.length})${trendText}`);
         
         details.append("p")
             .style("margin", "8px 0 4px 0")
-            .html(`<strong>Date:</strong> ${resto["Inspection Date"]}`);
-        
-        const severityColor = resto.worstSeverity === 'C' ? '#c0392b' : 
-                             resto.worstSeverity === 'S' ? '#f39c12' : 
-                             resto.worstSeverity === 'M' ? '#3498db' : '#27ae60';
-        
-        const severityText = resto.worstSeverity === 'C' ? 'Crucial' : 
-                            resto.worstSeverity === 'S' ? 'Significant' : 
-                            resto.worstSeverity === 'M' ? 'Minor' : 'Clean';
+            .html(`<strong>Worst ever:</strong> <span style="color: ${getSeverityColor(resto.worstSeverity)};">${getSeverityText(resto.worstSeverity)}</span>`);
         
-        details.append("p")
-            .style("margin", "4px 0")
-            .html(`<strong>Severity:</strong> <span style="color: ${severityColor};">${severityText}</span>`);
-        
-        details.append("p")
-            .style("margin", "4px 0")
-            .text(resto["Infraction Details"].substring(0, 120) + "...");
+        // Newest first
+        resto.inspections.slice().reverse().forEach(inspection => {
+            const entry = details.append("div")
+                .attr("class", "inspection-entry");
+            
+            entry.append("p")
+                .style("margin", "4px 0")
+                .html(`<strong>${inspection.date || 'Unknown date'}</strong> · ${inspection.status} · ` +
+                    `<span style="color: ${getSeverityColor(inspection.worstSeverity)};">${inspection.healthScore}/100</span>`);
+            
+            inspection.infractions.forEach(infraction => {
+                entry.append("p")
+                    .attr("class", "infraction")
+                    .text(`${infraction.severity ? infraction.severity.split(' - ')[0] + ': ' : ''}${infraction.details.substring(0, 120)}${infraction.details.length > 120 ? '...' : ''}`);
+            });
+        });
     } else {
         cardBody.append("p")
             .style("text-align", "center")
@@ -321,6 +490,19 @@ function createCard(resto) {
     return cardSelection.node();
 }
 
+// Severity display helpers
+function getSeverityColor(severity) {
+    return severity === 'C' ? '#c0392b' : 
+           severity === 'S' ? '#f39c12' : 
+           severity === 'M' ? '#3498db' : '#27ae60';
+}
+
+function getSeverityText(severity) {
+    return severity === 'C' ? 'Crucial' : 
+           severity === 'S' ? 'Significant' : 
+           severity === 'M' ? 'Minor' : 'Clean';
+}
+
 // Render pagination controls
 function renderPagination() {
     const totalPages = Math.ceil(filteredRestaurants.length / ITEMS_PER_PAGE);
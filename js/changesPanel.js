@@ -0,0 +1,118 @@
+// changesPanel.js - Change log between two DineSafe snapshots
+
+/**
+ * ChangesPanel class - Lists snapshot changes, filterable by neighbourhood and change type;
+ * the filtered changes are reported through onFilter so the map shows the same set
+ */
+class ChangesPanel {
+    constructor(diff, onFilter) {
+        this.diff = diff;
+        this.onFilter = onFilter;
+        this.snapshotDiff = new SnapshotDiff();
+        this.MAX_LIST_ITEMS = 200;  // Longer logs are truncated on screen
+    }
+
+    /**
+     * Bind filters, fill the neighbourhood list and render
+     */
+    setup() {
+        const neighbourhoods = Array.from(new Set(this.diff.changes
+            .map(change => change.AREA_NAME)
+            .filter(Boolean))).sort();
+
+        d3.select("#changes-neighbourhood-filter")
+            .selectAll("option")
+            .data([
+                { value: "all", label: "All neighbourhoods" },
+                ...neighbourhoods.map(name => ({ value: name, label: name })),
+                { value: "none", label: "Outside all neighbourhoods" }
+            ])
+            .join("option")
+            .attr("value", d => d.value)
+            .text(d => d.label);
+
+        d3.select("#changes-type-filter")
+            .selectAll("option")
+            .data([
+                { value: "all", label: "All changes" },
+                ...Object.entries(this.snapshotDiff.CHANGE_TYPES).map(([value, label]) => ({ value, label }))
+            ])
+            .join("option")
+            .attr("value", d => d.value)
+            .text(d => `${d.label}${d.value === "all" ? "" : ` (${this.diff.summary[d.value]})`}`);
+
+        d3.selectAll("#changes-neighbourhood-filter, #changes-type-filter").on("change", () => this.render());
+        d3.select("#changes-close-btn").on("click", () => this.hide());
+
+        this.render();
+    }
+
+    /**
+     * Show the panel
+     */
+    show() {
+        d3.select("#changes-panel").classed("hidden", false);
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        d3.select("#changes-panel").classed("hidden", true);
+    }
+
+    /**
+     * Get the changes matching the panel filters
+     * @returns {Array} Changes
+     */
+    getFilteredChanges() {
+        const neighbourhood = d3.select("#changes-neighbourhood-filter").property("value");
+        const changeType = d3.select("#changes-type-filter").property("value");
+
+        return this.diff.changes.filter(change => {
+            const neighbourhoodMatch = neighbourhood === "all" ||
+                (neighbourhood === "none" ? !change.AREA_NAME : change.AREA_NAME === neighbourhood);
+            const typeMatch = changeType === "all" || change.changeType === changeType;
+            return neighbourhoodMatch && typeMatch;
+        });
+    }
+
+    /**
+     * Render the summary and the (filtered) change log, and update the map
+     */
+    render() {
+        const changes = this.getFilteredChanges();
+        const format = d3.format(",");
+
+        d3.select("#changes-summary").text(
+            `${format(this.diff.previousCount)} → ${format(this.diff.currentCount)} establishments; ` +
+            `showing ${format(changes.length)} of ${format(this.diff.changes.length)} changes`);
+
+        const list = d3.select("#changes-list");
+        list.selectAll("*").remove();
+
+        if (changes.length === 0) {
+            list.append("p").attr("class", "quality-empty").text("No changes match these filters.");
+        } else {
+            const items = list.append("ul").selectAll("li")
+                .data(changes.slice(0, this.MAX_LIST_ITEMS))
+                .join("li")
+                .attr("class", d => `change-entry change-${d.changeType}`);
+
+            items.append("span").attr("class", "change-type")
+                .text(d => this.snapshotDiff.CHANGE_TYPES[d.changeType]);
+            items.append("strong").text(d => d["Establishment Name"]);
+            items.append("span").attr("class", "change-meta")
+                .text(d => `${d["Establishment Address"] || "no address"} · ${d.AREA_NAME || "outside all neighbourhoods"}`);
+            items.append("div").attr("class", "change-description")
+                .text(d => this.snapshotDiff.describe(d));
+
+            if (changes.length > this.MAX_LIST_ITEMS) {
+                list.append("p").attr("class", "quality-empty")
+                    .text(`… and ${format(changes.length - this.MAX_LIST_ITEMS)} more (narrow the filters to see them)`);
+            }
+        }
+
+        this.onFilter(changes);
+    }
+}
@@ -6,6 +6,7 @@
 class Charts {
     constructor() {
         // Chart-related configuration can be added here
+        this.cuisineTaxonomy = new CuisineTaxonomy();
     }
 
     /**
@@ -26,13 +27,14 @@ class Charts {
             return;
         }
         
-        // Group by month and count inspections
+        // Group by month and count inspections (every inspection in each establishment's history)
+        const inspections = restaurants.flatMap(d => d.inspections || [d]);
         const monthlyData = d3.rollup(
-            restaurants,
+            inspections,
             v => v.length,
             d => {
                 // Try to parse date field
-                const dateStr = d["Inspection Date"] || d.date || d["Date"];
+                const dateStr = d.date || d["Inspection Date"] || d["Date"];
                 if (dateStr) {
                     const date = new Date(dateStr);
                     if (!isNaN(date.getTime())) {
@@ -503,6 +505,121 @@ class Charts {
                 .text(`${d.type.length > 12 ? d.type.substring(0, 12) + "..." : d.type}: ${d.count}`);
         });
     }
+
+    /**
+     * Draw Yelp cuisine breakdown as a horizontal bar chart
+     * @param {Array} restaurants - Restaurant data
+     * @param {string} node - Selected cuisine node ('all' shows the top-level groups, otherwise its children)
+     */
+    drawYelpCuisineChart(restaurants, node = "all") {
+        const svg = d3.select("#yelp-cuisine-chart");
+        svg.selectAll("*").remove();
+        
+        // Top 8 cuisines; each restaurant counts once per cuisine it belongs to
+        const breakdown = this.cuisineTaxonomy.getBreakdown(restaurants, node).slice(0, 8);
+        const withCategory = restaurants.filter(d => d.cuisines && d.cuisines.length > 0).length;
+        
+        if (breakdown.length === 0) {
+            svg.append("text")
+                .attr("x", 160).attr("y", 120)
+                .attr("text-anchor", "middle")
+                .attr("fill", "#999")
+                .attr("font-size", "14px")
+                .text("No Yelp categories available");
+            return;
+        }
+        
+        // Bar chart configuration
+        const margin = { top: 10, right: 45, bottom: 20, left: 120 };
+        const width = 320 - margin.left - margin.right;
+        const height = 240 - margin.top - margin.bottom;
+        
+        const g = svg.append("g")
+            .attr("transform", `translate(${margin.left}, ${margin.top})`);
+        
+        const y = d3.scaleBand()
+            .domain(breakdown.map(d => d.cuisine))
+            .range([0, height])
+            .padding(0.25);
+        
+        const x = d3.scaleLinear()
+            .domain([0, d3.max(breakdown, d => d.count) || 1])
+            .range([0, width]);
+        
+        // Y axis (cuisine names)
+        g.append("g")
+            .call(d3.axisLeft(y).tickSize(0).tickFormat(d => d.length > 18 ? d.substring(0, 18) + "..." : d))
+            .call(axis => axis.select(".domain").remove())
+            .selectAll("text")
+            .attr("font-size", "11px")
+            .attr("fill", "#333");
+        
+        // Bars
+        g.selectAll(".bar")
+            .data(breakdown)
+            .enter().append("rect")
+            .attr("class", "bar")
+            .attr("x", 0)
+            .attr("y", d => y(d.cuisine))
+            .attr("height", y.bandwidth())
+            .attr("width", 0)
+            .attr("fill", "#8b5cf6")
+            .attr("rx", 3)
+            .style("cursor", "pointer")
+            .on("mouseover", function(event, d) {
+                d3.select(this).attr("opacity", 0.8);
+                
+                const tooltip = d3.select("#tooltip");
+                if (!tooltip.empty()) {
+                    tooltip.classed("hidden", false)
+                        .html(`<strong>${d.cuisine}</strong><br/>Count: ${d.count}<br/>` +
+                            `Percentage: ${(d.count / withCategory * 100).toFixed(1)}% of categorized`)
+                        .style("left", (event.pageX + 15) + "px")
+                        .style("top", (event.pageY - 10) + "px");
+                }
+            })
+            .on("mousemove", function(event) {
+                const tooltip = d3.select("#tooltip");
+                if (!tooltip.empty()) {
+                    tooltip.style("left", (event.pageX + 15) + "px")
+                        .style("top", (event.pageY - 10) + "px");
+                }
+            })
+            .on("mouseout", function() {
+                d3.select(this).attr("opacity", 1);
+                
+                const tooltip = d3.select("#tooltip");
+                if (!tooltip.empty()) {
+                    tooltip.classed("hidden", true);
+                }
+            })
+            .transition()
+            .duration(800)
+            .delay((d, i) => i * 60)
+            .attr("width", d => x(d.count));
+        
+        // Value labels
+        g.selectAll(".label")
+            .data(breakdown)
+            .enter().append("text")
+            .attr("class", "label")
+            .attr("x", d => x(d.count) + 4)
+            .attr("y", d => y(d.cuisine) + y.bandwidth() / 2)
+            .attr("dy", "0.35em")
+            .attr("font-size", "11px")
+            .attr("font-weight", "600")
+            .attr("fill", "#333")
+            .text(d => d.count);
+        
+        // Coverage note
+        g.append("text")
+            .attr("x", width)
+            .attr("y", height + 15)
+            .attr("text-anchor", "end")
+            .attr("font-size", "10px")
+            .attr("fill", "#999")
+            .text(`${withCategory} of ${restaurants.length} have Yelp categories`);
+    }
 }
 
 // For backward compatibility, create global instance and functions
@@ -519,4 +636,8 @@ function drawRatingChart(restaurants) {
 
 function drawCuisineChart(restaurants) {
     charts.drawCuisineChart(restaurants);
+}
+
+function drawYelpCuisineChart(restaurants, node) {
+    charts.drawYelpCuisineChart(restaurants, node);
 }
\ No newline at end of file
@@ -0,0 +1,146 @@
+// choropleth.js - Neighbourhood metrics and their colour classes for the choropleth map mode
+
+/**
+ * Choropleth class - Computes one metric per neighbourhood from the filtered records and splits
+ * the values into colour classes, by quantile (equal number of neighbourhoods per class) or
+ * equal interval (equal value range per class). Neighbourhoods without a value (no matching
+ * records, or no rated record for the Yelp rating) get no class. DOM-free; the main map draws
+ * the fills and the legend.
+ */
+class Choropleth {
+    constructor() {
+        this.EARTH_RADIUS_KM = 6371.0088;
+        this.CLASS_COUNT = 5;
+        this.NO_DATA_COLOR = "#f2f2f2";
+
+        // Metric key -> { label, format, scheme, value(records, feature) }
+        // scheme: 'good' (high values are good, green), 'bad' (high values are bad, red) or 'neutral'
+        this.METRICS = {
+            avgHealthScore: {
+                label: "Avg. Health Score",
+                format: d3.format(".1f"),
+                scheme: "good",
+                value: records => records.length > 0 ? d3.mean(records, d => d.healthScore) : null
+            },
+            conditionalOrClosed: {
+                label: "% Conditional Pass or Closed",
+                format: v => `${d3.format(".1f")(v)}%`,
+                scheme: "bad",
+                value: records => records.length > 0
+                    ? records.filter(d => ["Conditional Pass", "Closed"].includes(d["Establishment Status"])).length / records.length * 100
+                    : null
+            },
+            crucialPerEstablishment: {
+                label: "Crucial Infractions per Establishment",
+                format: d3.format(".2f"),
+                scheme: "bad",
+                value: records => records.length > 0 ? d3.sum(records, d => this.countCrucial(d)) / records.length : null
+            },
+            density: {
+                label: "Establishments per km²",
+                format: d3.format(".1f"),
+                scheme: "neutral",
+                value: (records, feature) => {
+                    const area = this.getAreaKm2(feature);
+                    return area > 0 ? records.length / area : null;
+                }
+            },
+            yelpRating: {
+                label: "Avg. Yelp Rating",
+                format: d3.format(".2f"),
+                scheme: "good",
+                value: records => {
+                    const rated = records.filter(d => d.yelpMatch && d.yelpMatch.avg_rating !== null && d.yelpMatch.avg_rating !== undefined);
+                    return rated.length > 0 ? d3.mean(rated, d => d.yelpMatch.avg_rating) : null;
+                }
+            }
+        };
+
+        this.CLASSINGS = { quantile: "Quantile", equalInterval: "Equal Interval" };
+    }
+
+    /**
+     * Count the crucial infractions of an establishment over all its inspections
+     * @param {Object} d - Record with inspections
+     * @returns {number} Number of crucial infractions
+     */
+    countCrucial(d) {
+        return d3.sum(d.inspections || [], inspection =>
+            (inspection.infractions || []).filter(inf => String(inf.severity).startsWith("C")).length);
+    }
+
+    /**
+     * Area of a neighbourhood
+     * @param {Object} feature - GeoJSON feature
+     * @returns {number} Area in km²
+     */
+    getAreaKm2(feature) {
+        const steradians = d3.geoArea(feature);
+        // Rings wound the wrong way measure the rest of the globe
+        const area = steradians > 2 * Math.PI ? 4 * Math.PI - steradians : steradians;
+        return area * this.EARTH_RADIUS_KM * this.EARTH_RADIUS_KM;
+    }
+
+    /**
+     * Compute a metric for every neighbourhood
+     * @param {string} metric - Metric key
+     * @param {Array} records - Filtered records with AREA_NAME
+     * @param {Array} features - Neighbourhood GeoJSON features
+     * @returns {Map} AREA_NAME -> value (null when there is no value)
+     */
+    computeValues(metric, records, features) {
+        const { value } = this.METRICS[metric];
+        const byArea = d3.group(records.filter(d => d.AREA_NAME), d => d.AREA_NAME);
+        return new Map(features.map(feature => {
+            const name = feature.properties.AREA_NAME;
+            return [name, value(byArea.get(name) || [], feature)];
+        }));
+    }
+
+    /**
+     * Split values into colour classes
+     * @param {string} metric - Metric key
+     * @param {Map} values - AREA_NAME -> value
+     * @param {string} classing - 'quantile' or 'equalInterval'
+     * @returns {Object} { color(value), classes: [{ min, max, color }] } (empty classes when there are no values)
+     */
+    classify(metric, values, classing = "quantile") {
+        const domain = Array.from(values.values()).filter(v => v !== null && !isNaN(v));
+        const colors = this.getColors(metric);
+        if (domain.length === 0) return { color: () => this.NO_DATA_COLOR, classes: [] };
+
+        const [min, max] = d3.extent(domain);
+        if (min === max) {
+            const color = colors[colors.length - 1];
+            return { color: value => value === null || isNaN(value) ? this.NO_DATA_COLOR : color, classes: [{ min, max, color }] };
+        }
+
+        const scale = classing === "equalInterval"
+            ? d3.scaleQuantize().domain([min, max]).range(colors)
+            : d3.scaleQuantile().domain(domain).range(colors);
+        const thresholds = scale.thresholds ? scale.thresholds() : scale.quantiles();
+        const bounds = [min, ...thresholds, max];
+
+        // Quantiles of few distinct values can coincide; such empty classes are left out of the legend
+        const classes = colors
+            .map((color, i) => ({ min: bounds[i], max: bounds[i + 1], color }))
+            .filter((c, i) => i === 0 || c.max > c.min);
+
+        return {
+            color: value => value === null || isNaN(value) ? this.NO_DATA_COLOR : scale(value),
+            classes
+        };
+    }
+
+    /**
+     * Colours of a metric, lowest class first
+     * @param {string} metric - Metric key
+     * @returns {Array} CSS colours
+     */
+    getColors(metric) {
+        const scheme = this.METRICS[metric].scheme;
+        if (scheme === "neutral") return d3.schemeBlues[this.CLASS_COUNT];
+        const colors = d3.schemeRdYlGn[this.CLASS_COUNT];
+        return scheme === "good" ? colors : colors.slice().reverse();
+    }
+}
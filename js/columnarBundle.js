@@ -0,0 +1,282 @@
+// columnarBundle.js - Compact binary format for prebuilt render records
+
+/**
+ * ColumnarBundle class - Encodes render records (DataLoader.toRenderRecord) into one binary file
+ * and decodes them back. Records are split into three tables (establishments, inspections,
+ * infractions) stored column by column: numbers as typed arrays, strings dictionary-encoded
+ * (each column keeps its distinct values once and stores typed-array indices), nested lists as
+ * offsets into the child table.
+ *
+ * Layout: "DSCB" magic, uint32 header length, JSON header (padded to 8 bytes), column buffers
+ * (each 8-byte aligned). The header also carries free-form metadata (sample info, quality report,
+ * neighbourhood topology).
+ */
+class ColumnarBundle {
+    constructor() {
+        this.MAGIC = "DSCB";
+        this.FORMAT_VERSION = 1;
+
+        // Column kinds: string (dictionary of values, numeric ids keep their type), json (dictionary of JSON text), float64 (null = NaN),
+        // uint8/uint32 (null = max value), flag (null/object presence), children (offsets into a child table)
+        this.TABLES = {
+            establishments: [
+                { name: "Establishment ID", kind: "string" },
+                { name: "unique_id", kind: "string" },
+                { name: "Establishment Name", kind: "string" },
+                { name: "Establishment Type", kind: "string" },
+                { name: "Establishment Address", kind: "string" },
+                { name: "Establishment Status", kind: "string" },
+                { name: "Inspection Date", kind: "string" },
+                { name: "Latitude", kind: "float64" },
+                { name: "Longitude", kind: "float64" },
+                { name: "locationPrecision", kind: "string" },
+                { name: "AREA_NAME", kind: "string" },
+                { name: "AREA_SHORT_CODE", kind: "string" },
+                { name: "inspections", kind: "children", table: "inspections" },
+                { name: "inspectionCount", kind: "uint32" },
+                { name: "healthScore", kind: "float64" },
+                { name: "healthGrade", kind: "string" },
+                { name: "worstSeverity", kind: "string" },
+                { name: "healthTrend", kind: "string" },
+                { name: "cuisines", kind: "json" },
+                { name: "priceBand", kind: "uint8" },
+                { name: "yelpMatch", kind: "flag" },
+                { name: "Restaurant Name", kind: "string", parent: "yelpMatch" },
+                { name: "Restaurant Address", kind: "string", parent: "yelpMatch" },
+                { name: "Restaurant Yelp URL", kind: "string", parent: "yelpMatch" },
+                { name: "Restaurant Price Range", kind: "string", parent: "yelpMatch" },
+                { name: "businessKey", kind: "string", parent: "yelpMatch" },
+                { name: "categories", kind: "json", parent: "yelpMatch" },
+                { name: "avg_rating", kind: "float64", parent: "yelpMatch" },
+                { name: "num_of_reviews", kind: "float64", parent: "yelpMatch" },
+                { name: "ratingSource", kind: "string", parent: "yelpMatch" },
+                { name: "matchConfidence", kind: "float64", parent: "yelpMatch" },
+                { name: "matchLevel", kind: "string", parent: "yelpMatch" }
+            ],
+            inspections: [
+                { name: "date", kind: "string" },
+                { name: "status", kind: "string" },
+                { name: "healthScore", kind: "float64" },
+                { name: "worstSeverity", kind: "string" },
+                { name: "infractions", kind: "children", table: "infractions" }
+            ],
+            infractions: [
+                { name: "details", kind: "string" },
+                { name: "severity", kind: "string" }
+            ]
+        };
+
+        this.ARRAY_TYPES = {
+            float64: Float64Array,
+            uint8: Uint8Array,
+            uint16: Uint16Array,
+            uint32: Uint32Array
+        };
+    }
+
+    /**
+     * Flatten records into the rows of every table
+     * @param {Array} records - Render records
+     * @returns {Object} Table name -> rows
+     */
+    flatten(records) {
+        const rows = { establishments: records, inspections: [], infractions: [] };
+        records.forEach(d => {
+            (d.inspections || []).forEach(inspection => {
+                rows.inspections.push(inspection);
+                (inspection.infractions || []).forEach(infraction => rows.infractions.push(infraction));
+            });
+        });
+        return rows;
+    }
+
+    /**
+     * Read a column value from a row (columns with a parent read from the nested object)
+     * @param {Object} row - Row
+     * @param {Object} column - Column definition
+     * @returns {*} Value (undefined/null when missing)
+     */
+    getValue(row, column) {
+        if (!column.parent) return row[column.name];
+        return row[column.parent] ? row[column.parent][column.name] : null;
+    }
+
+    /**
+     * Encode one column
+     * @param {Array} rows - Table rows
+     * @param {Object} column - Column definition
+     * @returns {Object} { array, dictionary? }
+     */
+    encodeColumn(rows, column) {
+        const values = rows.map(row => this.getValue(row, column));
+
+        if (column.kind === "string" || column.kind === "json") {
+            const dictionary = [];
+            const indices = new Map();
+            const codes = values.map(value => {
+                const text = value === undefined || value === null
+                    ? null
+                    : (column.kind === "json" ? JSON.stringify(value) : value);
+                if (!indices.has(text)) {
+                    indices.set(text, dictionary.length);
+                    dictionary.push(text);
+                }
+                return indices.get(text);
+            });
+            const ArrayType = dictionary.length <= 256 ? Uint8Array : dictionary.length <= 65536 ? Uint16Array : Uint32Array;
+            return { array: ArrayType.from(codes), dictionary };
+        }
+        if (column.kind === "children") {
+            // offsets[i]..offsets[i + 1] are the child rows of row i
+            const offsets = new Uint32Array(rows.length + 1);
+            values.forEach((children, i) => {
+                offsets[i + 1] = offsets[i] + (children ? children.length : 0);
+            });
+            return { array: offsets };
+        }
+        if (column.kind === "flag") {
+            return { array: Uint8Array.from(values, value => (value ? 1 : 0)) };
+        }
+
+        const ArrayType = this.ARRAY_TYPES[column.kind];
+        const missing = column.kind === "float64" ? NaN : (column.kind === "uint8" ? 0xFF : 0xFFFFFFFF);
+        return {
+            array: ArrayType.from(values, value => (value === undefined || value === null || value === "" ? missing : +value))
+        };
+    }
+
+    /**
+     * Encode records into a bundle
+     * @param {Array} records - Render records
+     * @param {Object} meta - Metadata stored in the header (must be JSON-serializable)
+     * @returns {Uint8Array} Bundle bytes
+     */
+    encode(records, meta = {}) {
+        const rows = this.flatten(records);
+        const buffers = [];
+        let offset = 0;
+
+        const tables = {};
+        Object.entries(this.TABLES).forEach(([tableName, columns]) => {
+            tables[tableName] = {
+                length: rows[tableName].length,
+                columns: columns.map(column => {
+                    const { array, dictionary } = this.encodeColumn(rows[tableName], column);
+                    const entry = {
+                        name: column.name,
+                        type: Object.keys(this.ARRAY_TYPES).find(type => array instanceof this.ARRAY_TYPES[type]),
+                        offset,
+                        length: array.length
+                    };
+                    if (dictionary) entry.dictionary = dictionary;
+
+                    buffers.push({ offset, bytes: new Uint8Array(array.buffer, array.byteOffset, array.byteLength) });
+                    offset += Math.ceil(array.byteLength / 8) * 8;
+                    return entry;
+                })
+            };
+        });
+
+        const header = { format: this.FORMAT_VERSION, meta, tables };
+        const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+        const headerSize = Math.ceil((8 + headerBytes.length) / 8) * 8;
+
+        const bundle = new Uint8Array(headerSize + offset);
+        bundle.fill(0x20, 8, headerSize);  // Pad the header with spaces
+        bundle.set(new TextEncoder().encode(this.MAGIC), 0);
+        new DataView(bundle.buffer).setUint32(4, headerSize - 8, true);
+        bundle.set(headerBytes, 8);
+        buffers.forEach(({ offset: start, bytes }) => bundle.set(bytes, headerSize + start));
+        return bundle;
+    }
+
+    /**
+     * Read the header of a bundle
+     * @param {ArrayBuffer} buffer - Bundle bytes
+     * @returns {Object} { header, bodyOffset }
+     */
+    readHeader(buffer) {
+        const magic = new TextDecoder().decode(new Uint8Array(buffer, 0, 4));
+        if (magic !== this.MAGIC) throw new Error("Not a data bundle");
+
+        const headerLength = new DataView(buffer).getUint32(4, true);
+        const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 8, headerLength)));
+        if (header.format !== this.FORMAT_VERSION) {
+            throw new Error(`Unsupported bundle format ${header.format}`);
+        }
+        return { header, bodyOffset: 8 + headerLength };
+    }
+
+    /**
+     * Decode a bundle into render records
+     * @param {ArrayBuffer} buffer - Bundle bytes
+     * @returns {Object} { records, meta }
+     */
+    decode(buffer) {
+        const { header, bodyOffset } = this.readHeader(buffer);
+
+        // Decode bottom-up so children tables exist when their parents are built
+        const decoded = {};
+        ["infractions", "inspections", "establishments"].forEach(tableName => {
+            const table = header.tables[tableName];
+            const rows = Array.from({ length: table.length }, () => ({}));
+
+            table.columns.forEach((entry, i) => {
+                const column = this.TABLES[tableName][i];
+                if (!column || column.name !== entry.name) {
+                    throw new Error(`Unexpected column "${entry.name}" in bundle table ${tableName}`);
+                }
+                const array = new this.ARRAY_TYPES[entry.type](buffer, bodyOffset + entry.offset, entry.length);
+                this.decodeColumn(rows, column, array, entry.dictionary, decoded);
+            });
+            decoded[tableName] = rows;
+        });
+
+        // Trend history is derived from the inspections, as in ScoringModel.apply
+        const records = decoded.establishments;
+        records.forEach(d => {
+            d.healthScoreTrend = d.inspections.map(inspection => ({ date: inspection.date, score: inspection.healthScore }));
+        });
+        return { records, meta: header.meta };
+    }
+
+    /**
+     * Decode one column into the table rows
+     * @param {Array} rows - Rows being built
+     * @param {Object} column - Column definition
+     * @param {TypedArray} array - Column data
+     * @param {Array} dictionary - String dictionary (string/json columns)
+     * @param {Object} decoded - Already decoded child tables
+     */
+    decodeColumn(rows, column, array, dictionary, decoded) {
+        const set = (row, value) => {
+            if (!column.parent) {
+                row[column.name] = value;
+            } else if (row[column.parent]) {
+                row[column.parent][column.name] = value;
+            }
+        };
+
+        if (column.kind === "json") {
+            const parsed = dictionary.map(text => (text === null ? null : JSON.parse(text)));
+            // Parsed lists are shared between rows; copy them so records can be edited independently
+            rows.forEach((row, i) => {
+                const value = parsed[array[i]];
+                set(row, Array.isArray(value) ? value.slice() : value);
+            });
+        } else if (column.kind === "string") {
+            rows.forEach((row, i) => set(row, dictionary[array[i]]));
+        } else if (column.kind === "children") {
+            const children = decoded[column.table];
+            rows.forEach((row, i) => set(row, children.slice(array[i], array[i + 1])));
+        } else if (column.kind === "flag") {
+            rows.forEach((row, i) => set(row, array[i] ? {} : null));
+        } else {
+            const missing = column.kind === "uint8" ? 0xFF : column.kind === "uint32" ? 0xFFFFFFFF : null;
+            rows.forEach((row, i) => {
+                const value = array[i];
+                set(row, Number.isNaN(value) || value === missing ? null : value);
+            });
+        }
+    }
+}
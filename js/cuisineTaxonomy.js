@@ -0,0 +1,256 @@
+// cuisineTaxonomy.js - Hierarchical cuisine taxonomy built on Yelp categories
+
+/**
+ * CuisineTaxonomy class - Maps Yelp categories into parent groups (e.g. Asian › Japanese › Sushi),
+ * and builds/applies the hierarchical cuisine filter shared by the map and the cards page
+ */
+class CuisineTaxonomy {
+    constructor() {
+        this.SEPARATOR = " › ";
+        this.OTHER = "Other";  // Parent group for categories not listed below
+
+        // Yelp category -> path from the top-level group down
+        this.CATEGORY_PATHS = {
+            // Asian
+            "Chinese": ["Asian", "Chinese"],
+            "Cantonese": ["Asian", "Chinese", "Cantonese"],
+            "Dim Sum": ["Asian", "Chinese", "Dim Sum"],
+            "Hakka": ["Asian", "Chinese", "Hakka"],
+            "Hot Pot": ["Asian", "Chinese", "Hot Pot"],
+            "Hong Kong Style Cafe": ["Asian", "Chinese", "Hong Kong Style Cafe"],
+            "Taiwanese": ["Asian", "Chinese", "Taiwanese"],
+            "Japanese": ["Asian", "Japanese"],
+            "Sushi Bars": ["Asian", "Japanese", "Sushi"],
+            "Ramen": ["Asian", "Japanese", "Ramen"],
+            "Korean": ["Asian", "Korean"],
+            "Mongolian": ["Asian", "Mongolian"],
+            "Thai": ["Asian", "Southeast Asian", "Thai"],
+            "Vietnamese": ["Asian", "Southeast Asian", "Vietnamese"],
+            "Filipino": ["Asian", "Southeast Asian", "Filipino"],
+            "Malaysian": ["Asian", "Southeast Asian", "Malaysian"],
+            "Singaporean": ["Asian", "Southeast Asian", "Singaporean"],
+            "Indonesian": ["Asian", "Southeast Asian", "Indonesian"],
+            "Cambodian": ["Asian", "Southeast Asian", "Cambodian"],
+            "Laotian": ["Asian", "Southeast Asian", "Laotian"],
+            "Burmese": ["Asian", "Southeast Asian", "Burmese"],
+            "Indian": ["Asian", "South Asian", "Indian"],
+            "Pakistani": ["Asian", "South Asian", "Pakistani"],
+            "Bangladeshi": ["Asian", "South Asian", "Bangladeshi"],
+            "Sri Lankan": ["Asian", "South Asian", "Sri Lankan"],
+            "Himalayan/Nepalese": ["Asian", "South Asian", "Himalayan/Nepalese"],
+            "Asian Fusion": ["Asian", "Asian Fusion"],
+            "Pan Asian": ["Asian", "Pan Asian"],
+            "Noodles": ["Asian", "Noodles"],
+
+            // Middle Eastern
+            "Middle Eastern": ["Middle Eastern"],
+            "Lebanese": ["Middle Eastern", "Lebanese"],
+            "Persian/Iranian": ["Middle Eastern", "Persian/Iranian"],
+            "Turkish": ["Middle Eastern", "Turkish"],
+            "Arabian": ["Middle Eastern", "Arabian"],
+            "Syrian": ["Middle Eastern", "Syrian"],
+            "Afghan": ["Middle Eastern", "Afghan"],
+            "Falafel": ["Middle Eastern", "Falafel"],
+            "Kebab": ["Middle Eastern", "Kebab"],
+
+            // European
+            "Italian": ["European", "Italian"],
+            "Pizza": ["European", "Italian", "Pizza"],
+            "French": ["European", "French"],
+            "Creperies": ["European", "French", "Creperies"],
+            "Bistros": ["European", "French", "Bistros"],
+            "Brasseries": ["European", "French", "Brasseries"],
+            "Mediterranean": ["European", "Mediterranean"],
+            "Greek": ["European", "Mediterranean", "Greek"],
+            "Spanish": ["European", "Mediterranean", "Spanish"],
+            "Tapas Bars": ["European", "Mediterranean", "Tapas"],
+            "Tapas/Small Plates": ["European", "Mediterranean", "Tapas"],
+            "Basque": ["European", "Mediterranean", "Basque"],
+            "Portuguese": ["European", "Mediterranean", "Portuguese"],
+            "British": ["European", "British & Irish", "British"],
+            "Irish": ["European", "British & Irish", "Irish"],
+            "Scottish": ["European", "British & Irish", "Scottish"],
+            "Fish & Chips": ["European", "British & Irish", "Fish & Chips"],
+            "German": ["European", "Central & Eastern European", "German"],
+            "Austrian": ["European", "Central & Eastern European", "Austrian"],
+            "Hungarian": ["European", "Central & Eastern European", "Hungarian"],
+            "Polish": ["European", "Central & Eastern European", "Polish"],
+            "Czech": ["European", "Central & Eastern European", "Czech"],
+            "Slovakian": ["European", "Central & Eastern European", "Slovakian"],
+            "Russian": ["European", "Central & Eastern European", "Russian"],
+            "Ukrainian": ["European", "Central & Eastern European", "Ukrainian"],
+            "Belgian": ["European", "Belgian"],
+            "Scandinavian": ["European", "Scandinavian"],
+            "Modern European": ["European", "Modern European"],
+            "Fondue": ["European", "Fondue"],
+
+            // North American
+            "Canadian (New)": ["North American", "Canadian"],
+            "Poutineries": ["North American", "Canadian", "Poutineries"],
+            "American (Traditional)": ["North American", "American"],
+            "Burgers": ["North American", "American", "Burgers"],
+            "Diners": ["North American", "American", "Diners"],
+            "Hot Dogs": ["North American", "American", "Hot Dogs"],
+            "Cheesesteaks": ["North American", "American", "Cheesesteaks"],
+            "Chicken Wings": ["North American", "American", "Chicken Wings"],
+            "Steakhouses": ["North American", "American", "Steakhouses"],
+            "Barbeque": ["North American", "American", "Barbeque"],
+            "Southern": ["North American", "Southern"],
+            "Soul Food": ["North American", "Southern", "Soul Food"],
+            "Cajun/Creole": ["North American", "Southern", "Cajun/Creole"],
+            "Comfort Food": ["North American", "Comfort Food"],
+            "Hawaiian": ["North American", "Hawaiian"],
+
+            // Latin American & Caribbean
+            "Latin American": ["Latin American & Caribbean", "Latin American"],
+            "Mexican": ["Latin American & Caribbean", "Mexican"],
+            "Tex-Mex": ["Latin American & Caribbean", "Mexican", "Tex-Mex"],
+            "Peruvian": ["Latin American & Caribbean", "Latin American", "Peruvian"],
+            "Colombian": ["Latin American & Caribbean", "Latin American", "Colombian"],
+            "Brazilian": ["Latin American & Caribbean", "Latin American", "Brazilian"],
+            "Argentine": ["Latin American & Caribbean", "Latin American", "Argentine"],
+            "Salvadoran": ["Latin American & Caribbean", "Latin American", "Salvadoran"],
+            "Venezuelan": ["Latin American & Caribbean", "Latin American", "Venezuelan"],
+            "Nicaraguan": ["Latin American & Caribbean", "Latin American", "Nicaraguan"],
+            "Caribbean": ["Latin American & Caribbean", "Caribbean"],
+            "Cuban": ["Latin American & Caribbean", "Caribbean", "Cuban"],
+            "Haitian": ["Latin American & Caribbean", "Caribbean", "Haitian"],
+
+            // African
+            "African": ["African"],
+            "Ethiopian": ["African", "Ethiopian"],
+            "Moroccan": ["African", "Moroccan"],
+            "Egyptian": ["African", "Egyptian"],
+            "South African": ["African", "South African"],
+            "Mauritius": ["African", "Mauritian"],
+            "Reunion": ["African", "Réunionese"],
+
+            // Not tied to a region
+            "Seafood": ["Seafood"],
+            "Breakfast & Brunch": ["Cafés & Breakfast", "Breakfast & Brunch"],
+            "Cafes": ["Cafés & Breakfast", "Cafés"],
+            "Waffles": ["Cafés & Breakfast", "Waffles"],
+            "Sandwiches": ["Quick Bites", "Sandwiches"],
+            "Delis": ["Quick Bites", "Delis"],
+            "Fast Food": ["Quick Bites", "Fast Food"],
+            "Chicken Shop": ["Quick Bites", "Chicken Shop"],
+            "Food Court": ["Quick Bites", "Food Court"],
+            "Food Stands": ["Quick Bites", "Food Stands"],
+            "Salad": ["Quick Bites", "Salad"],
+            "Soup": ["Quick Bites", "Soup"],
+            "Vegetarian": ["Dietary", "Vegetarian"],
+            "Vegan": ["Dietary", "Vegan"],
+            "Gluten-Free": ["Dietary", "Gluten-Free"],
+            "Live/Raw Food": ["Dietary", "Live/Raw Food"],
+            "Halal": ["Dietary", "Halal"],
+            "Kosher": ["Dietary", "Kosher"]
+        };
+    }
+
+    /**
+     * Get the taxonomy path of a Yelp category
+     * @param {string} category - Yelp category
+     * @returns {Array<string>} Path, e.g. ["Asian", "Japanese", "Sushi"]
+     */
+    getPath(category) {
+        return this.CATEGORY_PATHS[category] || [this.OTHER, category];
+    }
+
+    /**
+     * Classify a business's Yelp categories
+     * @param {Array<string>} categories - Yelp categories
+     * @returns {Array<string>} Unique cuisine paths joined with SEPARATOR (most specific node of each category)
+     */
+    classify(categories) {
+        const paths = new Set();
+        (categories || []).forEach(category => {
+            if (category) paths.add(this.getPath(category).join(this.SEPARATOR));
+        });
+        return Array.from(paths);
+    }
+
+    /**
+     * Check whether a record belongs to a taxonomy node (the node itself or any descendant)
+     * @param {Object} d - Record with cuisines
+     * @param {string} node - Node path, 'all', or 'none' (no Yelp category)
+     * @returns {boolean} True when the record matches
+     */
+    matches(d, node) {
+        if (node === "all") return true;
+        const cuisines = d.cuisines || [];
+        if (node === "none") return cuisines.length === 0;
+        return cuisines.some(path => path === node || path.startsWith(node + this.SEPARATOR));
+    }
+
+    /**
+     * Count records under every taxonomy node
+     * @param {Array} records - Records with cuisines
+     * @returns {Map} Node path -> number of records (each record counted once per node)
+     */
+    countNodes(records) {
+        const counts = new Map();
+        records.forEach(d => {
+            const nodes = new Set();
+            (d.cuisines || []).forEach(path => {
+                const parts = path.split(this.SEPARATOR);
+                parts.forEach((part, i) => nodes.add(parts.slice(0, i + 1).join(this.SEPARATOR)));
+            });
+            nodes.forEach(node => counts.set(node, (counts.get(node) || 0) + 1));
+        });
+        return counts;
+    }
+
+    /**
+     * Build the options of a hierarchical cuisine filter, parents before their children
+     * @param {Array} records - Records with cuisines
+     * @returns {Array} [{ value, label, depth, count }] (label indented by depth, without the count)
+     */
+    buildOptions(records) {
+        const counts = this.countNodes(records);
+        const nodes = Array.from(counts.keys());
+        const options = [];
+
+        const addChildren = (parent, depth) => {
+            nodes
+                .filter(node => {
+                    const parts = node.split(this.SEPARATOR);
+                    return parts.length === depth + 1 &&
+                        (parent === null || node.startsWith(parent + this.SEPARATOR));
+                })
+                .sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b))
+                .forEach(node => {
+                    const name = node.split(this.SEPARATOR)[depth];
+                    options.push({
+                        value: node,
+                        // Non-breaking spaces keep the indentation inside <option>
+                        label: `${"\u00a0\u00a0\u00a0".repeat(depth)}${name}`,
+                        depth,
+                        count: counts.get(node)
+                    });
+                    addChildren(node, depth + 1);
+                });
+        };
+        addChildren(null, 0);
+
+        return options;
+    }
+
+    /**
+     * Count records by the children of a node (top-level groups for 'all')
+     * @param {Array} records - Records with cuisines
+     * @param {string} node - Parent node path, or 'all'
+     * @returns {Array} [{ cuisine, count }] sorted by count, descending
+     */
+    getBreakdown(records, node = "all") {
+        const depth = node === "all" || node === "none" ? 0 : node.split(this.SEPARATOR).length;
+        const counts = this.countNodes(records);
+
+        return Array.from(counts, ([path, count]) => ({ path, count }))
+            .filter(({ path }) => {
+                const parts = path.split(this.SEPARATOR);
+                return parts.length === depth + 1 && (depth === 0 || path.startsWith(node + this.SEPARATOR));
+            })
+            .map(({ path, count }) => ({ cuisine: path.split(this.SEPARATOR)[depth], count }))
+            .sort((a, b) => b.count - a.count);
+    }
+}
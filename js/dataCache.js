@@ -0,0 +1,212 @@
+// dataCache.js - Persistent IndexedDB cache for processed datasets
+
+/**
+ * DataCache class - Stores processed data in IndexedDB under a dataset version,
+ * so a changed source file (or pipeline version) invalidates the cached copy
+ */
+class DataCache {
+    constructor() {
+        this.DB_NAME = "dinesafe-explorer";
+        this.DB_VERSION = 2;
+        this.STORE = "datasets";
+        this.IMPORTS_STORE = "imports";  // User-imported source files (kept until removed)
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check whether IndexedDB is available in this context
+     * @returns {boolean} True when IndexedDB can be used
+     */
+    isAvailable() {
+        return typeof indexedDB !== "undefined";
+    }
+
+    /**
+     * Open (and create if needed) the database
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    [this.STORE, this.IMPORTS_STORE].forEach(store => {
+                        if (!db.objectStoreNames.contains(store)) {
+                            db.createObjectStore(store, { keyPath: "key" });
+                        }
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the object store
+     * @param {string} mode - "readonly" | "readwrite"
+     * @param {Function} makeRequest - Receives the store, returns an IDBRequest
+     * @param {string} storeName - Object store (defaults to the processed datasets store)
+     * @returns {Promise<*>} Request result
+     */
+    async run(mode, makeRequest, storeName = this.STORE) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get a cache entry
+     * @param {string} key - Entry key
+     * @returns {Promise<Object|null>} { key, version, createdAt, size, data } or null (size is estimated, in bytes)
+     */
+    async get(key) {
+        const entry = await this.run("readonly", store => store.get(key));
+        return entry || null;
+    }
+
+    /**
+     * Store a cache entry
+     * @param {string} key - Entry key
+     * @param {string} version - Dataset version the data was built from
+     * @param {Object} data - Processed data
+     * @returns {Promise<Object>} Stored entry metadata { key, version, createdAt, size }
+     */
+    async put(key, version, data) {
+        const entry = {
+            key,
+            version,
+            createdAt: Date.now(),
+            size: this.estimateSize(data),
+            data
+        };
+        await this.run("readwrite", store => store.put(entry));
+        return { key, version, createdAt: entry.createdAt, size: entry.size };
+    }
+
+    /**
+     * Estimate the stored size of a structured value (UTF-16 strings, 8-byte numbers) without serializing it
+     * @param {*} value - Value
+     * @returns {number} Approximate size in bytes
+     */
+    estimateSize(value) {
+        if (typeof value === "string") return value.length * 2;
+        if (typeof value === "number") return 8;
+        if (typeof value === "boolean") return 4;
+        if (!value || typeof value !== "object") return 0;
+        if (ArrayBuffer.isView(value)) return value.byteLength;
+
+        let size = 0;
+        if (Array.isArray(value)) {
+            for (let i = 0; i < value.length; i++) size += this.estimateSize(value[i]);
+        } else {
+            for (const key in value) size += key.length * 2 + this.estimateSize(value[key]);
+        }
+        return size;
+    }
+
+    /**
+     * Delete every entry that was built from a different dataset version
+     * @param {string} version - Current dataset version
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async invalidate(version) {
+        const entries = await this.run("readonly", store => store.getAll());
+        const stale = entries.filter(entry => entry.version !== version);
+        for (const entry of stale) {
+            await this.run("readwrite", store => store.delete(entry.key));
+        }
+        return stale.length;
+    }
+
+    /**
+     * Remove all cached data
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.run("readwrite", store => store.clear());
+    }
+
+    /**
+     * Get all imported source files
+     * @returns {Promise<Array>} [{ key, name, signature, importedAt, data }]
+     */
+    async getImports() {
+        return this.run("readonly", store => store.getAll(), this.IMPORTS_STORE);
+    }
+
+    /**
+     * Store an imported source file (replaces a previous import of the same kind)
+     * @param {string} kind - "inspections" | "yelp" | "boundaries"
+     * @param {Object} entry - { name, signature, data }
+     * @returns {Promise<void>}
+     */
+    async putImport(kind, entry) {
+        await this.run("readwrite", store => store.put({ ...entry, key: kind, importedAt: Date.now() }), this.IMPORTS_STORE);
+    }
+
+    /**
+     * Remove all imported source files
+     * @returns {Promise<void>}
+     */
+    async clearImports() {
+        await this.run("readwrite", store => store.clear(), this.IMPORTS_STORE);
+    }
+
+    /**
+     * Compute a version for a set of source files from their HTTP validators
+     * (ETag, Last-Modified, Content-Length). Missing optional files contribute "missing".
+     * @param {Array<string>} urls - Source file URLs
+     * @param {string} salt - Extra version component (e.g. pipeline version)
+     * @returns {Promise<string|null>} Version hash, or null when the sources cannot be checked (offline)
+     */
+    async getSourceVersion(urls, salt = "") {
+        try {
+            const parts = await Promise.all(urls.map(async url => {
+                const response = await fetch(url, { method: "HEAD", cache: "no-cache" });
+                if (!response.ok) return `${url}:missing`;
+                const headers = response.headers;
+                return [
+                    url,
+                    headers.get("ETag") || "",
+                    headers.get("Last-Modified") || "",
+                    headers.get("Content-Length") || ""
+                ].join(":");
+            }));
+            return this.hash(`${salt}|${parts.join("|")}`);
+        } catch (e) {
+            console.warn("⚠ Could not check source files for changes:", e.message);
+            return null;
+        }
+    }
+
+    /**
+     * Hash a string (FNV-1a, hex)
+     * @param {string} str - Input
+     * @returns {string} Hash
+     */
+    hash(str) {
+        return DataCache.fnv1a(str).toString(16);
+    }
+
+    /**
+     * FNV-1a hash of a string (shared with the sampling seed in DataLoader)
+     * @param {string} str - Input
+     * @returns {number} Unsigned 32-bit hash
+     */
+    static fnv1a(str) {
+        let hash = 2166136261;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+}
@@ -5,8 +5,12 @@
  */
 class DataLoader {
     constructor() {
-        // Configuration: sample size (set to null to use all data)
-        this.SAMPLE_SIZE = 15000;  // After filtering there are ~100k records, can increase sampling appropriately
+        // Configuration: sample size (null = all data; the canvas dot layer draws every establishment)
+        this.SAMPLE_SIZE = null;  // Number of establishments (not inspection rows) to keep
+        this.SAMPLE_SEED = 'dinesafe';  // Default seed, same sample on every reload
+        this.STRATIFY_BY = ['neighbourhood', 'type'];  // Sampling strata
+        this.sampleInfo = null;
+        this.qualityReport = null;
         
         // Define actual restaurant types (excluding supermarkets, convenience stores, etc.)
         this.RESTAURANT_TYPES = new Set([
@@ -25,23 +29,88 @@ class DataLoader {
             'Catering Vehicle',                     // Catering vehicle
             'Chartered Cruise Boats',               // Cruise dining
         ]);
+        
+        // Source files (resolved against baseUrl when running inside a worker)
+        this.DATA_FILES = {
+            geo: "data/Neighbourhoods.geojson",
+            dinesafe: "data/Dinesafe.json",
+            yelp: "data/yelp_data.csv"
+        };
+        this.WORKER_SCRIPT = "js/dataWorker.js";
+        this.BUNDLE_FILE = "data/bundle.bin";  // Prebuilt output of the pipeline (npm run build:data), optional
+        this.PIPELINE_VERSION = 9;  // Bump when processing changes so cached data is rebuilt
+        this.baseUrl = null;
+        this.onProgress = null;  // Optional progress callback (stage, loaded, total)
+        
+        // Optional Yelp ratings files, keyed by Yelp URL or business id (first one found is used)
+        this.RATINGS_FILES = ["data/yelp_ratings.json", "data/yelp_ratings.csv"];
+        
+        // Health scoring model (processing always uses the default; the UI rescores with the active model)
+        this.scoringModel = new ScoringModel();
+        
+        // Persistent cache of processed data
+        this.cache = new DataCache();
+        
+        // User-imported source files replacing the bundled ones, keyed by kind (see ImportPanel)
+        this.imports = {};
+        this.IMPORT_SOURCES = { inspections: "dinesafe", yelp: "yelp", boundaries: "geo" };  // Import kind -> DATA_FILES key
+        
+        // Fuzzy Yelp matching engine
+        this.yelpMatcher = new YelpMatcher();
+        
+        // Yelp category -> cuisine hierarchy
+        this.cuisineTaxonomy = new CuisineTaxonomy();
+        
+        // Yelp price range -> numeric price band
+        this.priceBands = new PriceBands();
+        
+        // Location fallback for establishments without coordinates
+        this.geocoder = new Geocoder(this.yelpMatcher);
+        this.matchStats = null;
+    }
+
+    /**
+     * Hash a seed (string or number) into a 32-bit integer (FNV-1a)
+     * @param {string|number} seed - Seed
+     * @returns {number} Unsigned 32-bit hash
+     */
+    hashSeed(seed) {
+        return DataCache.fnv1a(String(seed));
+    }
+
+    /**
+     * Create a seeded pseudo-random generator (mulberry32)
+     * @param {string|number} seed - Seed
+     * @returns {Function} Function returning numbers in [0, 1)
+     */
+    createRandom(seed) {
+        let state = this.hashSeed(seed);
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
     }
 
     /**
-     * Randomly sample array
+     * Randomly sample array (deterministic for a given seed)
      * @param {Array} array - Array to sample from
      * @param {number} sampleSize - Sample size
+     * @param {string|number} seed - Random seed
      * @returns {Array} Sampled array
      */
-    randomSample(array, sampleSize) {
+    randomSample(array, sampleSize, seed = this.SAMPLE_SEED) {
         if (!sampleSize || sampleSize >= array.length) {
             return array;  // No sampling or sample size greater than array, return all
         }
         
         // Partial implementation of Fisher-Yates shuffle (only shuffle first sampleSize items)
+        const random = this.createRandom(seed);
         const result = [...array];
         for (let i = 0; i < sampleSize; i++) {
-            const j = i + Math.floor(Math.random() * (result.length - i));
+            const j = i + Math.floor(random() * (result.length - i));
             [result[i], result[j]] = [result[j], result[i]];
         }
         
@@ -49,21 +118,104 @@ class DataLoader {
     }
 
     /**
-     * Calculate health score
+     * Get the sampling stratum of an establishment
+     * Neighbourhood uses AREA_NAME when assigned, otherwise a ~1km coordinate cell as a geographic proxy
+     * @param {Object} d - Establishment
+     * @param {Array} strata - Stratification dimensions ('neighbourhood', 'type')
+     * @returns {string} Stratum key
+     */
+    getStratumKey(d, strata) {
+        return strata.map(dimension => {
+            if (dimension === 'type') return d["Establishment Type"] || '';
+            if (dimension === 'neighbourhood') {
+                if (d.AREA_NAME) return d.AREA_NAME;
+                const lat = parseFloat(d["Latitude"]);
+                const lon = parseFloat(d["Longitude"]);
+                return isNaN(lat) || isNaN(lon) ? 'unlocated' : `${Math.floor(lat / 0.01)}:${Math.floor(lon / 0.01)}`;
+            }
+            return '';
+        }).join('|');
+    }
+
+    /**
+     * Stratified sample: each stratum keeps its share of the population (largest remainder allocation)
+     * and is sampled with its own seed, so results are reproducible for a given seed and size
+     * @param {Array} array - Array to sample from
+     * @param {number} sampleSize - Total sample size
+     * @param {string|number} seed - Random seed
+     * @param {Array} strata - Stratification dimensions
+     * @returns {Array} Sampled array
+     */
+    stratifiedSample(array, sampleSize, seed = this.SAMPLE_SEED, strata = this.STRATIFY_BY) {
+        if (!sampleSize || sampleSize >= array.length) return array;
+        if (!strata || strata.length === 0) return this.randomSample(array, sampleSize, seed);
+        
+        const groups = new Map();
+        array.forEach(d => {
+            const key = this.getStratumKey(d, strata);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(d);
+        });
+        
+        // Proportional allocation, remainders go to the strata with the largest fractional parts
+        const keys = Array.from(groups.keys()).sort();
+        const allocations = keys.map(key => {
+            const exact = groups.get(key).length / array.length * sampleSize;
+            return { key, count: Math.floor(exact), remainder: exact - Math.floor(exact) };
+        });
+        let remaining = sampleSize - allocations.reduce((sum, a) => sum + a.count, 0);
+        allocations
+            .slice()
+            .sort((a, b) => b.remainder - a.remainder || (a.key < b.key ? -1 : 1))
+            .forEach(a => {
+                if (remaining > 0) {
+                    a.count++;
+                    remaining--;
+                }
+            });
+        
+        return allocations
+            .filter(a => a.count > 0)
+            .flatMap(a => this.randomSample(groups.get(a.key), a.count, `${seed}|${a.key}`));
+    }
+
+    /**
+     * Read sampling options from the page URL (?sample=5000&seed=abc, sample=all disables sampling)
+     * @returns {Object} { sampleSize, seed }
+     */
+    getSamplingOptions() {
+        const options = { sampleSize: this.SAMPLE_SIZE, seed: this.SAMPLE_SEED };
+        if (typeof location === 'undefined') return options;
+        
+        const params = new URLSearchParams(location.search);
+        if (params.has('sample')) {
+            const size = parseInt(params.get('sample'), 10);
+            options.sampleSize = params.get('sample') === 'all' ? null : (size > 0 ? size : this.SAMPLE_SIZE);
+        }
+        if (params.get('seed')) {
+            options.seed = params.get('seed');
+        }
+        return options;
+    }
+
+    /**
+     * Get information about the sample used in the last processData run
+     * @returns {Object|null} { sampled, sampleSize, populationSize, seed, strata }
+     */
+    getSampleInfo() {
+        return this.sampleInfo;
+    }
+
+    /**
+     * Calculate health score with the active scoring model
      * @param {Object} restaurant - Restaurant data
      * @returns {number} Health score
      */
     calculateHealthScore(restaurant) {
-        let score = 100;
-        if (restaurant["Establishment Status"] === "Closed") score -= 100;
-        else if (restaurant["Establishment Status"] === "Conditional Pass") score -= 30;
-        
-        const severity = restaurant.Severity || "";
-        if (severity.includes("C - Crucial")) score -= 40;
-        else if (severity.includes("S - Significant")) score -= 20;
-        else if (severity.includes("M - Minor")) score -= 10;
-        
-        return Math.max(0, score);
+        return this.scoringModel.scoreInspection({
+            status: restaurant["Establishment Status"],
+            worstSeverity: this.getWorstSeverity(restaurant)
+        });
     }
 
     getWorstSeverity(restaurant) {
@@ -75,117 +227,1006 @@ class DataLoader {
     }
 
     getHealthGrade(healthScore) {
-        if (healthScore >= 90) return "A";
-        if (healthScore >= 75) return "B";
-        if (healthScore >= 60) return "C";
-        return "D";
+        return this.scoringModel.grade(healthScore);
+    }
+
+    /**
+     * Resolve a data file path (relative to the page, or to baseUrl inside a worker)
+     * @param {string} path - File path
+     * @returns {string} URL
+     */
+    resolveUrl(path) {
+        return this.baseUrl ? new URL(path, this.baseUrl).href : path;
+    }
+
+    /**
+     * Report pipeline progress to the onProgress callback, if any
+     * @param {string} stage - Stage name
+     * @param {number} loaded - Units done
+     * @param {number} total - Total units (0 when unknown)
+     */
+    reportProgress(stage, loaded = 0, total = 0) {
+        if (this.onProgress) {
+            this.onProgress({ stage, loaded, total });
+        }
+    }
+
+    /**
+     * Parse a ratings file (CSV or JSON) into a lookup keyed by Yelp business alias, business id or URL
+     * Accepted columns: business_id / id / alias / url / "Restaurant Yelp URL",
+     * rating / avg_rating / stars, review_count / num_of_reviews / reviews
+     * @param {Array|Object} rows - Parsed rows (a JSON object keyed by id is also accepted)
+     * @returns {Map} Key -> { avg_rating, num_of_reviews }
+     */
+    parseRatings(rows) {
+        const ratings = new Map();
+        if (!rows) return ratings;
+        
+        const entries = Array.isArray(rows)
+            ? rows
+            : Object.entries(rows).map(([key, value]) => ({ business_id: key, ...value }));
+        
+        const toNumber = value => {
+            const number = parseFloat(value);
+            return isNaN(number) ? null : number;
+        };
+        
+        entries.forEach(row => {
+            if (!row) return;
+            const rating = {
+                avg_rating: toNumber(row.rating ?? row.avg_rating ?? row.stars),
+                num_of_reviews: toNumber(row.review_count ?? row.num_of_reviews ?? row.reviews)
+            };
+            if (rating.avg_rating === null && rating.num_of_reviews === null) return;
+            
+            const url = row.url || row["Restaurant Yelp URL"];
+            const keys = [row.business_id, row.id, row.alias, url];
+            if (url) {
+                const { alias, businessId } = this.yelpMatcher.parseYelpUrl(url);
+                keys.push(alias, businessId);
+            }
+            keys.filter(Boolean).forEach(key => ratings.set(String(key).toLowerCase(), rating));
+        });
+        
+        return ratings;
+    }
+
+    /**
+     * Load the first available ratings file
+     * @returns {Promise<Map>} Ratings lookup (empty when no ratings file exists)
+     */
+    async loadRatings() {
+        for (const file of this.RATINGS_FILES) {
+            try {
+                const url = this.resolveUrl(file);
+                const rows = file.endsWith(".csv") ? await d3.csv(url) : await d3.json(url);
+                const ratings = this.parseRatings(rows);
+                console.log(`⭐ Loaded ${ratings.size} rating keys from ${file}`);
+                return ratings;
+            } catch (e) {
+                // File not present, try the next one
+            }
+        }
+        console.warn("⚠ No Yelp ratings file found, ratings will be shown as unknown");
+        return new Map();
+    }
+
+    /**
+     * Place establishments without coordinates using the geocoder fallback.
+     * Placed establishments get approximate coordinates and a locationPrecision flag;
+     * establishments with DineSafe coordinates are flagged 'exact'.
+     * @param {Array} establishments - Grouped establishments (modified in place)
+     * @param {Array} yelpData - Yelp rows
+     * @param {Object} report - Quality report
+     */
+    placeUnlocated(establishments, yelpData, report) {
+        this.geocoder.buildIndex(yelpData);
+        
+        establishments.forEach(d => {
+            if (d["Latitude"] && d["Longitude"]) {
+                d.locationPrecision = "exact";
+                return;
+            }
+            
+            const location = this.geocoder.locate(d);
+            if (!location) return;
+            
+            d["Latitude"] = location.lat;
+            d["Longitude"] = location.lon;
+            d.locationPrecision = location.precision;
+            report.approximateLocations.push({
+                "Establishment ID": d["Establishment ID"],
+                "Establishment Name": d["Establishment Name"],
+                "Establishment Address": d["Establishment Address"],
+                "Latitude": location.lat,
+                "Longitude": location.lon,
+                precision: location.precision
+            });
+        });
+        
+        if (report.approximateLocations.length > 0) {
+            console.log(`📮 Approximately placed ${report.approximateLocations.length} establishments without coordinates`);
+        }
+    }
+
+    /**
+     * Merge imported ratings into Yelp rows. Ratings already present in the Yelp CSV are kept.
+     * Rows without a rating get avg_rating / num_of_reviews = null and ratingSource = null.
+     * @param {Array} yelpData - Yelp rows (modified in place)
+     * @param {Map} ratings - Ratings lookup from parseRatings
+     */
+    mergeRatings(yelpData, ratings = new Map()) {
+        let imported = 0;
+        let unknown = 0;
+        
+        yelpData.forEach(d => {
+            const csvRating = parseFloat(d.avg_rating);
+            if (!isNaN(csvRating)) {
+                d.avg_rating = csvRating;
+                d.num_of_reviews = isNaN(parseFloat(d.num_of_reviews)) ? null : parseFloat(d.num_of_reviews);
+                d.ratingSource = "csv";
+                return;
+            }
+            
+            const url = d["Restaurant Yelp URL"];
+            const { alias, businessId } = this.yelpMatcher.parseYelpUrl(url);
+            const key = [alias, businessId, url]
+                .filter(Boolean)
+                .map(k => k.toLowerCase())
+                .find(k => ratings.has(k));
+            
+            if (key) {
+                const rating = ratings.get(key);
+                d.avg_rating = rating.avg_rating;
+                d.num_of_reviews = rating.num_of_reviews;
+                d.ratingSource = "import";
+                imported++;
+            } else {
+                d.avg_rating = null;
+                d.num_of_reviews = null;
+                d.ratingSource = null;
+                unknown++;
+            }
+        });
+        
+        console.log(`⭐ Ratings: ${imported} imported, ${unknown} unknown`);
+    }
+
+    /**
+     * Parse a DineSafe inspection date
+     * @param {string} dateStr - Date string
+     * @returns {Date|null} Parsed date, or null when unparseable
+     */
+    parseInspectionDate(dateStr) {
+        if (!dateStr) return null;
+        const date = new Date(dateStr);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Get the establishment id of a DineSafe row (falls back to name + address)
+     * @param {Object} row - DineSafe row
+     * @returns {string|number} Establishment id
+     */
+    getEstablishmentId(row) {
+        // Blank ids count as missing; the row id is per inspection row, so it can't stand in for the establishment
+        const id = row["Establishment ID"];
+        if (id !== undefined && id !== null && String(id).trim() !== "") return id;
+        return `${row["Establishment Name"]}|${row["Establishment Address"]}`;
+    }
+
+    /**
+     * Group DineSafe rows (one per infraction or inspection) into establishment entities
+     * with a date-sorted inspection history, latest status, worst-ever severity and score trend.
+     * Entities keep the DineSafe column names for their latest state so views can read them directly.
+     * @param {Array} rows - DineSafe rows
+     * @returns {Array} Establishment entities
+     */
+    groupEstablishments(rows) {
+        const groups = new Map();
+        
+        rows.forEach(row => {
+            const id = this.getEstablishmentId(row);
+            
+            if (!groups.has(id)) {
+                groups.set(id, { rows: [], inspections: new Map() });
+            }
+            const group = groups.get(id);
+            group.rows.push(row);
+            
+            // Rows of the same inspection share an Inspection ID (fallback: date)
+            const inspectionId = row["Inspection ID"] ?? `${id}|${row["Inspection Date"]}`;
+            if (!group.inspections.has(inspectionId)) {
+                group.inspections.set(inspectionId, {
+                    inspectionId,
+                    date: row["Inspection Date"],
+                    status: row["Establishment Status"],
+                    infractions: []
+                });
+            }
+            
+            if (row["Infraction Details"]) {
+                group.inspections.get(inspectionId).infractions.push({
+                    details: row["Infraction Details"],
+                    severity: row["Severity"] || "",
+                    action: row["Action"] || "",
+                    outcome: row["Outcome"] || "",
+                    amountFined: row["Amount Fined"] || ""
+                });
+            }
+        });
+        
+        return Array.from(groups, ([id, group]) => {
+            const inspections = Array.from(group.inspections.values()).map(inspection => {
+                const severities = inspection.infractions.map(inf => inf.severity).join(" | ");
+                const scoreInput = { "Establishment Status": inspection.status, Severity: severities };
+                const healthScore = this.calculateHealthScore(scoreInput);
+                return {
+                    ...inspection,
+                    healthScore,
+                    worstSeverity: this.getWorstSeverity(scoreInput)
+                };
+            });
+            
+            // Oldest first; unparseable dates go to the start so they never become "latest"
+            inspections.sort((a, b) => {
+                const dateA = this.parseInspectionDate(a.date);
+                const dateB = this.parseInspectionDate(b.date);
+                return (dateA ? dateA.getTime() : -Infinity) - (dateB ? dateB.getTime() : -Infinity);
+            });
+            
+            const latest = inspections[inspections.length - 1];
+            const first = group.rows[0];
+            const located = group.rows.find(r => r["Latitude"] && r["Longitude"]) || first;
+            const severityOrder = { 'clean': 0, 'M': 1, 'S': 2, 'C': 3 };
+            const worstSeverity = inspections.reduce((worst, inspection) =>
+                severityOrder[inspection.worstSeverity] > severityOrder[worst] ? inspection.worstSeverity : worst, 'clean');
+            const healthScoreTrend = inspections.map(inspection => ({
+                date: inspection.date,
+                score: inspection.healthScore
+            }));
+            
+            return {
+                "Establishment ID": id,
+                "unique_id": id,
+                "Establishment Name": first["Establishment Name"],
+                "Establishment Type": first["Establishment Type"],
+                "Establishment Address": first["Establishment Address"],
+                "Latitude": located["Latitude"],
+                "Longitude": located["Longitude"],
+                "Establishment Status": latest.status,
+                "Inspection Date": latest.date,
+                "Infraction Details": latest.infractions.map(inf => inf.details).join("; "),
+                "Severity": latest.infractions.map(inf => inf.severity).join(" | "),
+                inspections,
+                inspectionCount: inspections.length,
+                healthScore: latest.healthScore,
+                healthGrade: this.getHealthGrade(latest.healthScore),
+                worstSeverity,
+                healthScoreTrend,
+                healthTrend: ScoringModel.getTrend(healthScoreTrend)
+            };
+        });
+    }
+
+    /**
+     * Create an empty data quality report
+     * @param {number} rawCount - Number of raw DineSafe rows
+     * @returns {Object} Report
+     */
+    createQualityReport(rawCount) {
+        return {
+            stages: [{ stage: "Raw DineSafe rows", count: rawCount, dropped: 0, unit: "rows" }],
+            excludedTypes: {},
+            yelpDataInvalid: false,
+            invalidDates: [],
+            duplicateIds: [],
+            outsideNeighbourhoods: [],
+            approximateLocations: [],
+            rejectedRows: []
+        };
+    }
+
+    /**
+     * Record a pipeline stage; rows dropped are counted against the previous stage of the same unit
+     * @param {Object} report - Quality report
+     * @param {string} stage - Stage label
+     * @param {number} count - Records remaining after the stage
+     * @param {string} unit - "rows" | "establishments"
+     */
+    addQualityStage(report, stage, count, unit) {
+        const previous = report.stages[report.stages.length - 1];
+        const dropped = previous.unit === unit ? previous.count - count : 0;
+        report.stages.push({ stage, count, dropped, unit });
+    }
+
+    /**
+     * Flag rows with unparseable inspection dates and duplicated row ids
+     * @param {Array} rows - DineSafe rows
+     * @param {Object} report - Quality report
+     */
+    checkRowQuality(rows, report) {
+        const idCounts = new Map();
+        
+        rows.forEach(row => {
+            const date = row["Inspection Date"];
+            if (date && !this.parseInspectionDate(date)) {
+                report.invalidDates.push({
+                    "Establishment ID": this.getEstablishmentId(row),
+                    "Establishment Name": row["Establishment Name"],
+                    "Inspection Date": date
+                });
+                report.rejectedRows.push({ reason: "Unparseable Inspection Date", ...row });
+            }
+            
+            const rowId = row["unique_id"] ?? row["_id"];
+            if (rowId !== undefined && rowId !== null && rowId !== "") {
+                idCounts.set(rowId, (idCounts.get(rowId) || 0) + 1);
+            }
+        });
+        
+        const duplicated = new Set();
+        idCounts.forEach((count, id) => {
+            if (count > 1) {
+                report.duplicateIds.push({ id, count });
+                duplicated.add(id);
+            }
+        });
+        if (duplicated.size > 0) {
+            rows.forEach(row => {
+                if (duplicated.has(row["unique_id"] ?? row["_id"])) {
+                    report.rejectedRows.push({ reason: "Duplicate id", ...row });
+                }
+            });
+        }
+    }
+
+    /**
+     * Assign AREA_NAME / AREA_SHORT_CODE to each establishment and flag coordinates
+     * outside every neighbourhood polygon
+     * @param {Array} establishments - Located establishments
+     * @param {Object} geo - Neighbourhood FeatureCollection
+     * @param {Object} report - Quality report
+     */
+    assignNeighbourhoods(establishments, geo, report) {
+        const outside = new NeighbourhoodIndex(geo).assign(establishments);
+        
+        outside.forEach(d => {
+            report.outsideNeighbourhoods.push({
+                "Establishment ID": d["Establishment ID"],
+                "Establishment Name": d["Establishment Name"],
+                "Establishment Address": d["Establishment Address"],
+                "Latitude": +d["Latitude"],
+                "Longitude": +d["Longitude"]
+            });
+        });
+    }
+
+    /**
+     * Get the data quality report from the last processData run
+     * @returns {Object|null} Quality report
+     */
+    getQualityReport() {
+        return this.qualityReport;
+    }
+
+    /**
+     * Check whether a DineSafe row is one of the restaurant types we map
+     * @param {Object} row - DineSafe row
+     * @returns {boolean} True for restaurant types
+     */
+    isRestaurantType(row) {
+        return this.RESTAURANT_TYPES.has(row["Establishment Type"]);
+    }
+
+    /**
+     * Diff two DineSafe snapshots (full population, no sampling)
+     * @param {Array} previousRows - Raw rows of the older snapshot
+     * @param {Array} currentRows - Raw rows of the newer snapshot
+     * @param {Object} geo - Neighbourhood FeatureCollection (optional, used to assign neighbourhoods)
+     * @returns {Object} { changes, summary, previousCount, currentCount }
+     */
+    compareSnapshots(previousRows, currentRows, geo = null) {
+        this.reportProgress("group");
+        const previous = this.groupEstablishments(this.normalizeRows("inspections", previousRows).filter(row => this.isRestaurantType(row)));
+        const current = this.groupEstablishments(this.normalizeRows("inspections", currentRows).filter(row => this.isRestaurantType(row)));
+        
+        if (geo) {
+            this.reportProgress("neighbourhoods");
+            const index = new NeighbourhoodIndex(geo);
+            index.assign(previous);
+            index.assign(current);
+        }
+        
+        this.reportProgress("diff");
+        const diff = new SnapshotDiff().compare(previous, current);
+        console.log(`🔀 Snapshot diff: ${diff.changes.length} changes (${previous.length} → ${current.length} establishments)`);
+        return { ...diff, previousCount: previous.length, currentCount: current.length };
     }
 
-    processData(dinesafeJson, yelpData) {
+    /**
+     * Load an older DineSafe snapshot and diff it against the current one
+     * @param {File|string} previous - Snapshot file chosen by the user, or its URL
+     * @param {Function} onProgress - Progress callback ({ stage, loaded, total })
+     * @returns {Promise<Object>} { changes, summary, previousCount, currentCount }
+     */
+    async loadSnapshotDiff(previous, onProgress) {
+        if (typeof Worker !== "undefined") {
+            try {
+                const message = await this.runWorker({
+                    type: "diff",
+                    files: this.DATA_FILES,
+                    datasets: this.getImportedDatasets(),
+                    previous
+                }, onProgress);
+                return message.diff;
+            } catch (e) {
+                console.warn("⚠ Worker diff failed, processing on main thread:", e.message);
+            }
+        }
+        
+        this.onProgress = onProgress || null;
+        this.reportProgress("download");
+        const [geo, currentRows, previousRows] = await Promise.all([
+            this.loadSource("geo", d3.json),
+            this.loadSource("dinesafe", d3.json),
+            typeof previous === "string" ? d3.json(previous) : previous.text().then(JSON.parse)
+        ]);
+        return this.compareSnapshots(previousRows, currentRows, geo);
+    }
+
+    /**
+     * Reduce a merged establishment to the fields the views render
+     * @param {Object} d - Merged establishment
+     * @returns {Object} Compact render-ready record
+     */
+    toRenderRecord(d) {
+        return {
+            "Establishment ID": d["Establishment ID"],
+            "unique_id": d["unique_id"],
+            "Establishment Name": d["Establishment Name"],
+            "Establishment Type": d["Establishment Type"],
+            "Establishment Address": d["Establishment Address"],
+            "Establishment Status": d["Establishment Status"],
+            "Inspection Date": d["Inspection Date"],
+            "Latitude": +d["Latitude"],
+            "Longitude": +d["Longitude"],
+            "locationPrecision": d.locationPrecision || "exact",
+            "AREA_NAME": d.AREA_NAME || null,
+            "AREA_SHORT_CODE": d.AREA_SHORT_CODE || null,
+            inspections: d.inspections.map(inspection => ({
+                date: inspection.date,
+                status: inspection.status,
+                healthScore: inspection.healthScore,
+                worstSeverity: inspection.worstSeverity,
+                infractions: inspection.infractions.map(inf => ({ details: inf.details, severity: inf.severity }))
+            })),
+            inspectionCount: d.inspectionCount,
+            healthScore: d.healthScore,
+            healthGrade: d.healthGrade,
+            worstSeverity: d.worstSeverity,
+            healthScoreTrend: d.healthScoreTrend,
+            healthTrend: d.healthTrend,
+            cuisines: d.cuisines || [],
+            priceBand: d.priceBand ?? null,
+            yelpMatch: d.yelpMatch ? {
+                "Restaurant Name": d.yelpMatch["Restaurant Name"],
+                "Restaurant Address": d.yelpMatch["Restaurant Address"],
+                "Restaurant Yelp URL": d.yelpMatch["Restaurant Yelp URL"],
+                "Restaurant Price Range": d.yelpMatch["Restaurant Price Range"] || null,
+                businessKey: d.yelpMatch.businessKey,
+                categories: d.yelpMatch.categories,
+                avg_rating: d.yelpMatch.avg_rating,
+                num_of_reviews: d.yelpMatch.num_of_reviews,
+                ratingSource: d.yelpMatch.ratingSource,
+                matchConfidence: d.yelpMatch.matchConfidence,
+                matchLevel: d.yelpMatch.matchLevel
+            } : null
+        };
+    }
+
+    /**
+     * Filter, group, sample, merge and score the raw datasets
+     * @param {Array} dinesafeJson - Raw DineSafe rows
+     * @param {Array} yelpData - Yelp rows
+     * @param {Map} ratings - Ratings lookup
+     * @param {Object} samplingOptions - { sampleSize, seed }
+     * @param {Object} geo - Neighbourhood FeatureCollection (optional, used to assign neighbourhoods)
+     * @returns {Array} Render-ready establishment records
+     */
+    processData(dinesafeJson, yelpData, ratings, samplingOptions = this.getSamplingOptions(), geo = null) {
+        this.reportProgress("filter");
+        dinesafeJson = this.normalizeRows("inspections", dinesafeJson);
+        yelpData = this.normalizeRows("yelp", yelpData);
         console.log(`📊 Raw data: ${dinesafeJson.length} records`);
+        const report = this.createQualityReport(dinesafeJson.length);
         
         // 🍽️ Step 1: Filter out actual restaurants (excluding supermarkets, convenience stores, schools, etc.)
         const restaurantsOnly = dinesafeJson.filter(d => {
             const type = d["Establishment Type"];
-            return this.RESTAURANT_TYPES.has(type);
+            if (this.isRestaurantType(d)) return true;
+            report.excludedTypes[type || "(blank)"] = (report.excludedTypes[type || "(blank)"] || 0) + 1;
+            return false;
         });
+        this.addQualityStage(report, "Restaurant types", restaurantsOnly.length, "rows");
         console.log(`🍽️  Filter restaurant types: ${restaurantsOnly.length} records (keeping ${(restaurantsOnly.length / dinesafeJson.length * 100).toFixed(1)}%)`);
         
-        // 🎯 Step 2: Random sampling to reduce data volume
-        const sampledDinesafe = this.randomSample(restaurantsOnly, this.SAMPLE_SIZE);
-        console.log(`Sampled data: ${sampledDinesafe.length} records (sampled ${((sampledDinesafe.length / restaurantsOnly.length) * 100).toFixed(1)}% from restaurants)`);
+        // Flag unparseable dates and duplicate row ids (flagged only, rows are kept)
+        this.checkRowQuality(restaurantsOnly, report);
+        
+        // 🏢 Step 2: Group inspection/infraction rows into establishments
+        this.reportProgress("group");
+        const allEstablishments = this.groupEstablishments(restaurantsOnly);
+        this.addQualityStage(report, "Establishments", allEstablishments.length, "establishments");
+        console.log(`🏢 Grouped into ${allEstablishments.length} establishments`);
         
         // Validate yelpData is an array
         if (!Array.isArray(yelpData)) {
             console.warn("yelpData is not an array, using empty array:", yelpData);
+            report.yelpDataInvalid = true;
             yelpData = [];
         }
         
-        // Generate simulated Yelp ratings
-        yelpData.forEach(d => {
-            if (!d.avg_rating) {
-                const nameLength = d["Restaurant Name"] ? d["Restaurant Name"].length : 10;
-                d.avg_rating = (3.0 + (nameLength % 15) / 10).toFixed(1);
-                d.num_of_reviews = 5 + (nameLength % 100);
+        // 📍 Step 3: Place establishments without coordinates from Yelp addresses, drop the rest
+        this.placeUnlocated(allEstablishments, yelpData, report);
+        const establishments = allEstablishments.filter(d => d["Latitude"] && d["Longitude"]);
+        const unlocatedIds = new Set(allEstablishments
+            .filter(d => !(d["Latitude"] && d["Longitude"]))
+            .map(d => d["Establishment ID"]));
+        restaurantsOnly.forEach(row => {
+            if (unlocatedIds.has(this.getEstablishmentId(row))) {
+                report.rejectedRows.push({ reason: "Missing coordinates (no Yelp address match)", ...row });
             }
         });
+        this.addQualityStage(report, "With coordinates (incl. approximate)", establishments.length, "establishments");
+        
+        // Assign neighbourhoods once (spatial index) and flag coordinates outside every polygon
+        if (geo) {
+            this.reportProgress("neighbourhoods");
+            this.assignNeighbourhoods(establishments, geo, report);
+        }
+        
+        // 🎯 Step 4: Seeded stratified sampling to reduce data volume
+        const { sampleSize, seed } = samplingOptions;
+        const sampledDinesafe = this.stratifiedSample(establishments, sampleSize, seed);
+        this.sampleInfo = {
+            sampled: sampledDinesafe.length < establishments.length,
+            sampleSize: sampledDinesafe.length,
+            populationSize: establishments.length,
+            seed,
+            strata: this.STRATIFY_BY
+        };
+        this.addQualityStage(report, "Sample", sampledDinesafe.length, "establishments");
+        console.log(`Sampled data: ${sampledDinesafe.length} establishments (sampled ${((sampledDinesafe.length / establishments.length) * 100).toFixed(1)}% from restaurants, seed "${seed}")`);
+        
+        // Merge imported ratings; anything still missing stays unknown (null)
+        this.mergeRatings(yelpData, ratings);
 
-        // Create Yelp lookup table - using native Map
-        const yelpLookup = new Map();
-        console.log("🔍 Creating Yelp lookup table, yelpData length:", yelpData.length);
+        // Build fuzzy match index (name, address and coordinates)
+        console.log("🔍 Building Yelp match index, yelpData length:", yelpData.length);
+        this.yelpMatcher.buildIndex(yelpData);
         
-        yelpData.forEach(yelpRest => {
-            if (yelpRest && yelpRest["Restaurant Name"]) {
-                const key = yelpRest["Restaurant Name"].trim().toLowerCase();
-                if (!yelpLookup.has(key)) {
-                    yelpLookup.set(key, yelpRest);
-                }
-            }
+        // Merge data and add calculated fields
+        const mergedData = sampledDinesafe.map((establishment, i) => {
+            if (i % 1000 === 0) this.reportProgress("match", i, sampledDinesafe.length);
+            const yelpMatch = this.yelpMatcher.findMatch(establishment);
+            const cuisines = this.cuisineTaxonomy.classify(yelpMatch ? yelpMatch.categories : []);
+            const priceBand = this.priceBands.parse(yelpMatch ? yelpMatch["Restaurant Price Range"] : null);
+            return { ...establishment, yelpMatch, cuisines, priceBand };
         });
         
-        // Merge data and add calculated fields
-        return sampledDinesafe.map(dinesafeRest => {
-            let yelpMatch = null;
-            if (dinesafeRest["Establishment Name"]) {
-                const key = dinesafeRest["Establishment Name"].trim().toLowerCase();
-                yelpMatch = yelpLookup.get(key);
-            }
-            const healthScore = this.calculateHealthScore(dinesafeRest);
-            return { 
-                ...dinesafeRest, 
-                yelpMatch,
-                healthScore: healthScore,
-                healthGrade: this.getHealthGrade(healthScore),
-                worstSeverity: this.getWorstSeverity(dinesafeRest)
-            };
-        }).filter(d => d["Latitude"] && d["Longitude"]);
+        this.qualityReport = report;
+        
+        this.matchStats = this.yelpMatcher.getStats();
+        console.log(`🔗 Yelp matches: ${this.matchStats.matched}/${this.matchStats.total} ` +
+            `(strong ${this.matchStats.strong}, medium ${this.matchStats.medium}, weak ${this.matchStats.weak})`);
+        
+        return mergedData.map(d => this.toRenderRecord(d));
     }
 
     /**
-     * Main function: Load data (with caching)
-     * @returns {Promise<Object>} Object containing geo and mergedData
+     * Get Yelp match statistics from the last processData run
+     * @returns {Object|null} Match statistics
      */
-    async loadData() {
-        // Check cache
-        const cachedGeoData = sessionStorage.getItem('cachedGeoData');
-        const cachedDinesafeData = sessionStorage.getItem('cachedDinesafeData');
-        const cachedYelpData = sessionStorage.getItem('cachedYelpData');
+    getMatchStats() {
+        return this.matchStats;
+    }
 
-        if (cachedGeoData && cachedDinesafeData && cachedYelpData) {
-            console.log("✓ Loading data from cache...");
-            const geo = JSON.parse(cachedGeoData);
-            const dinesafeJson = JSON.parse(cachedDinesafeData);
-            const yelpData = JSON.parse(cachedYelpData);
-            
-            console.log("✓ Processing cached data...");
-            const mergedData = this.processData(dinesafeJson, yelpData);
-            return { geo, mergedData };
-        } else {
-            console.log("⟳ Loading data from files...");
-            const [geo, dinesafeJson, yelpData] = await Promise.all([
-                d3.json("data/Neighbourhoods.geojson"),
-                d3.json("data/Dinesafe.json"),
-                d3.csv("data/yelp_data.csv")
-            ]);
+    /**
+     * Run the load pipeline in a Web Worker (js/dataWorker.js)
+     * @param {Function} onProgress - Progress callback ({ stage, loaded, total })
+     * @returns {Promise<Object>} Object containing geo, mergedData, sampleInfo and matchStats
+     */
+    async loadWithWorker(onProgress) {
+        const message = await this.runWorker({
+            type: "load",
+            files: this.DATA_FILES,
+            datasets: this.getImportedDatasets(),
+            sampling: this.getSamplingOptions()
+        }, onProgress);
+        
+        this.sampleInfo = message.sampleInfo;
+        this.matchStats = message.matchStats;
+        this.qualityReport = message.qualityReport;
+        return {
+            geo: message.geo,
+            mergedData: message.records,
+            sampleInfo: message.sampleInfo,
+            qualityReport: message.qualityReport
+        };
+    }
+
+    /**
+     * Send one job to a new data worker and wait for its result message
+     * @param {Object} job - Job message (type and parameters); baseUrl is added
+     * @param {Function} onProgress - Progress callback ({ stage, loaded, total })
+     * @returns {Promise<Object>} Result message
+     */
+    runWorker(job, onProgress) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(this.WORKER_SCRIPT);
             
-            console.log("✓ Data loading complete, processing...");
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === "progress") {
+                    if (onProgress) onProgress(message);
+                } else if (message.type === "result") {
+                    worker.terminate();
+                    resolve(message);
+                } else if (message.type === "error") {
+                    worker.terminate();
+                    reject(new Error(message.message));
+                }
+            };
+            worker.onerror = (event) => {
+                worker.terminate();
+                reject(new Error(event.message || "Data worker failed"));
+            };
             
-            // Cache raw data
+            worker.postMessage({ ...job, baseUrl: new URL(".", window.location.href).href });
+        });
+    }
+
+    /**
+     * Load and process data on the main thread
+     * @param {Function} onProgress - Progress callback ({ stage, loaded, total })
+     * @returns {Promise<Object>} Object containing geo, mergedData and sampleInfo
+     */
+    async loadDataInThread(onProgress) {
+        this.onProgress = onProgress || null;
+        
+        console.log("⟳ Loading data from files...");
+        this.reportProgress("download");
+        const [geo, dinesafeJson, yelpData, ratings] = await Promise.all([
+            this.loadSource("geo", d3.json),
+            this.loadSource("dinesafe", d3.json),
+            this.loadSource("yelp", d3.csv),
+            this.loadRatings()
+        ]);
+        
+        console.log("✓ Data loading complete, processing...");
+        const mergedData = this.processData(dinesafeJson, yelpData, ratings, this.getSamplingOptions(), geo);
+        return { geo, mergedData, sampleInfo: this.sampleInfo, qualityReport: this.qualityReport };
+    }
+
+    /**
+     * Map source rows onto the canonical fields (the FieldMapping schema keys, which are all the
+     * pipeline and the views read). Columns are matched by name or alias, so bundled files whose
+     * columns were renamed still load; imported rows already have the canonical columns.
+     * @param {string} kind - "inspections" | "yelp"
+     * @param {Array} rows - Source rows (anything else is returned unchanged)
+     * @returns {Array} Rows with only canonical fields
+     */
+    normalizeRows(kind, rows) {
+        if (!Array.isArray(rows) || rows.length === 0) return rows;
+        
+        // CSV rows list their columns; JSON rows may each leave fields out
+        let columns = rows.columns;
+        if (!columns) {
+            const keys = new Set();
+            rows.forEach(row => Object.keys(row).forEach(key => keys.add(key)));
+            columns = Array.from(keys);
+        }
+        return new FieldMapping(kind, columns).applyToRows(rows);
+    }
+
+    /**
+     * Load a source dataset: the imported copy when there is one, otherwise the bundled file
+     * @param {string} name - DATA_FILES key
+     * @param {Function} fetchFile - Loader for the bundled file (d3.json / d3.csv)
+     * @returns {Promise<*>} Dataset
+     */
+    async loadSource(name, fetchFile) {
+        const datasets = this.getImportedDatasets();
+        return datasets[name] || fetchFile(this.DATA_FILES[name]);
+    }
+
+    /**
+     * Read the imported source files from IndexedDB into this.imports
+     * @returns {Promise<Object>} Kind -> { key, name, signature, importedAt, data }
+     */
+    async loadImports() {
+        this.imports = {};
+        if (!this.cache.isAvailable()) return this.imports;
+        try {
+            const entries = await this.cache.getImports();
+            entries.forEach(entry => { this.imports[entry.key] = entry; });
+        } catch (e) {
+            console.warn("⚠ Reading imported datasets failed:", e.message);
+        }
+        return this.imports;
+    }
+
+    /**
+     * Get the imported datasets (already mapped to the canonical columns) by DATA_FILES key
+     * @returns {Object} { geo, dinesafe, yelp } (only the imported ones)
+     */
+    getImportedDatasets() {
+        const datasets = {};
+        Object.entries(this.imports).forEach(([kind, entry]) => {
+            datasets[this.IMPORT_SOURCES[kind]] = entry.data;
+        });
+        return datasets;
+    }
+
+    /**
+     * Describe the imported datasets for the UI (without their data)
+     * @returns {Array} [{ kind, name, importedAt, rows }]
+     */
+    getImportInfo() {
+        return Object.values(this.imports).map(entry => ({
+            kind: entry.key,
+            name: entry.name,
+            importedAt: entry.importedAt,
+            rows: Array.isArray(entry.data) ? entry.data.length : (entry.data.features || []).length
+        }));
+    }
+
+    /**
+     * Store a mapped dataset as a replacement for a bundled source file
+     * @param {string} kind - "inspections" | "yelp" | "boundaries"
+     * @param {string} name - File name
+     * @param {FieldMapping} mapping - Column mapping (saved for files with the same layout)
+     * @param {Array|Object} data - Source rows, or a FeatureCollection for boundaries
+     * @returns {Promise<void>}
+     */
+    async importDataset(kind, name, mapping, data) {
+        mapping.save();
+        const mapped = kind === "boundaries" ? mapping.applyToGeo(data) : mapping.applyToRows(data);
+        await this.cache.putImport(kind, { name, signature: mapping.getSignature(), data: mapped });
+    }
+
+    /**
+     * Remove all imported datasets (the bundled files are used again)
+     * @returns {Promise<void>}
+     */
+    async clearImports() {
+        await this.cache.clearImports();
+        this.imports = {};
+    }
+
+    /**
+     * Get the cache key for a sampling configuration
+     * @param {Object} sampling - { sampleSize, seed }
+     * @returns {string} Cache key
+     */
+    getCacheKey(sampling) {
+        return `processed|${sampling.sampleSize || "all"}|${sampling.seed}`;
+    }
+
+    /**
+     * Get the source files the pipeline reads (optional ones included)
+     * @returns {Array} File paths
+     */
+    getSourceFiles() {
+        return [...Object.values(this.DATA_FILES), ...this.RATINGS_FILES];
+    }
+
+    /**
+     * Get the version of the current source files (null when it cannot be determined)
+     * @returns {Promise<string|null>} Dataset version
+     */
+    getDatasetVersion() {
+        const files = this.getSourceFiles();
+        // Imported datasets change the result as well, so each import gets its own version
+        const imports = Object.values(this.imports)
+            .map(entry => `${entry.key}:${entry.importedAt}`)
+            .sort()
+            .join(",");
+        return this.cache.getSourceVersion(files, `pipeline-${this.PIPELINE_VERSION}|imports-${imports}`);
+    }
+
+    /**
+     * Run the pipeline, preferring the worker and falling back to the main thread
+     * @param {Function} onProgress - Progress callback ({ stage, loaded, total })
+     * @returns {Promise<Object>} Object containing geo, mergedData and sampleInfo
+     */
+    async runPipeline(onProgress) {
+        if (typeof Worker !== "undefined") {
+            try {
+                return await this.loadWithWorker(onProgress);
+            } catch (e) {
+                console.warn("⚠ Worker pipeline failed, processing on main thread:", e.message);
+            }
+        }
+        return this.loadDataInThread(onProgress);
+    }
+
+    /**
+     * Load the prebuilt bundle and sample it like the raw pipeline would
+     * @param {Function} onProgress - Progress callback ({ stage, loaded, total })
+     * @returns {Promise<Object|null>} Same shape as runPipeline plus cacheInfo, or null when there is no usable bundle
+     */
+    async loadBundle(onProgress) {
+        this.onProgress = onProgress || null;
+        let buffer;
+        try {
+            this.reportProgress("download-bundle");
+            const response = await fetch(this.BUNDLE_FILE);
+            if (!response.ok) return null;
+            buffer = await response.arrayBuffer();
+        } catch (e) {
+            return null;
+        }
+        
+        this.reportProgress("decode");
+        let records, meta, geo;
+        try {
+            ({ records, meta } = new ColumnarBundle().decode(buffer));
+            if (meta.pipelineVersion !== this.PIPELINE_VERSION) {
+                console.warn(`⚠ ${this.BUNDLE_FILE} was built by pipeline version ${meta.pipelineVersion}, processing the raw files instead`);
+                return null;
+            }
+            geo = topojson.feature(meta.topology, meta.topology.objects.neighbourhoods);
+        } catch (e) {
+            console.warn(`⚠ ${this.BUNDLE_FILE} could not be read, processing the raw files instead:`, e.message);
+            return null;
+        }
+        
+        const changed = await this.getChangedSources(meta.sources);
+        if (changed.length > 0) {
+            console.warn(`⚠ ${this.BUNDLE_FILE} is older than ${changed.join(", ")}, processing the raw files instead`);
+            return null;
+        }
+        
+        // The bundle holds every establishment; sampling happens here so the URL options still apply
+        const { sampleSize, seed } = this.getSamplingOptions();
+        const mergedData = this.stratifiedSample(records, sampleSize, seed);
+        this.sampleInfo = {
+            sampled: mergedData.length < records.length,
+            sampleSize: mergedData.length,
+            populationSize: records.length,
+            seed,
+            strata: this.STRATIFY_BY
+        };
+        this.matchStats = meta.matchStats;
+        this.qualityReport = meta.qualityReport;
+        const sampleStage = this.qualityReport.stages.find(stage => stage.stage === "Sample");
+        if (sampleStage) {
+            sampleStage.count = mergedData.length;
+            sampleStage.dropped = records.length - mergedData.length;
+        }
+        
+        console.log(`✓ Loaded ${records.length} establishments from ${this.BUNDLE_FILE} (built ${new Date(meta.createdAt).toLocaleString()})`);
+        return {
+            geo,
+            mergedData,
+            sampleInfo: this.sampleInfo,
+            qualityReport: this.qualityReport,
+            cacheInfo: { fromBundle: true, createdAt: meta.createdAt, size: buffer.byteLength }
+        };
+    }
+
+    /**
+     * Compare the source files with the ones a bundle was built from. A file counts as changed when it
+     * appeared or disappeared, its size differs, it was modified later than at build time, or the
+     * server reports neither a usable size nor a modification time.
+     * @param {Object} sources - File -> { size, mtime } recorded by the build (null for missing files)
+     * @returns {Promise<Array>} Changed files (every file for bundles without source information, none
+     *     when the files cannot be checked)
+     */
+    async getChangedSources(sources) {
+        const files = this.getSourceFiles();
+        if (!sources) return files;
+        try {
+            const changed = await Promise.all(files.map(async file => {
+                const recorded = sources[file] || null;
+                const response = await fetch(this.resolveUrl(file), { method: "HEAD", cache: "no-cache" });
+                if (!response.ok) return recorded ? file : null;
+                if (!recorded) return file;
+                
+                // Compressed responses report the transferred size; Last-Modified has whole seconds
+                const headers = response.headers;
+                const size = headers.get("Content-Encoding") ? NaN : parseInt(headers.get("Content-Length"), 10);
+                const modified = Date.parse(headers.get("Last-Modified"));
+                if (isNaN(size) && isNaN(modified)) return file;
+                const resized = !isNaN(size) && size !== recorded.size;
+                const newer = !isNaN(modified) && modified > Math.floor(recorded.mtime / 1000) * 1000;
+                return resized || newer ? file : null;
+            }));
+            return changed.filter(Boolean);
+        } catch (e) {
+            console.warn("⚠ Could not check source files for changes:", e.message);
+            return [];
+        }
+    }
+
+    /**
+     * Main function: Load data (prebuilt bundle first, then the raw files with IndexedDB caching of the processed result)
+     * @param {Function} onProgress - Progress callback ({ stage, loaded, total })
+     * @returns {Promise<Object>} Object containing geo, mergedData, sampleInfo, cacheInfo and imports
+     */
+    async loadData(onProgress) {
+        if (this.cache.isAvailable()) {
+            await this.loadImports();
+        }
+        const imports = this.getImportInfo();
+        
+        // The bundle is built from the bundled files, so imported datasets bypass it
+        if (imports.length === 0) {
+            const bundle = await this.loadBundle(onProgress);
+            if (bundle) return { ...bundle, imports };
+        }
+        
+        if (!this.cache.isAvailable()) {
+            return { ...(await this.runPipeline(onProgress)), cacheInfo: null, imports };
+        }
+        
+        const cacheKey = this.getCacheKey(this.getSamplingOptions());
+        const version = await this.getDatasetVersion();
+        
+        try {
+            const entry = await this.cache.get(cacheKey);
+            // An unknown version (sources unreachable) still allows the cached copy to be used
+            if (entry && (version === null || entry.version === version)) {
+                console.log(`✓ Loaded processed data from cache (${cacheKey})`);
+                this.sampleInfo = entry.data.sampleInfo;
+                this.matchStats = entry.data.matchStats;
+                this.qualityReport = entry.data.qualityReport;
+                return {
+                    ...entry.data,
+                    cacheInfo: { fromCache: true, createdAt: entry.createdAt, size: entry.size },
+                    imports
+                };
+            }
+            if (version !== null) {
+                const removed = await this.cache.invalidate(version);
+                if (removed > 0) console.log(`🗑️ Invalidated ${removed} cached dataset(s) built from older sources`);
+            }
+        } catch (e) {
+            console.warn("⚠ Reading cache failed:", e.message);
+        }
+        
+        const result = await this.runPipeline(onProgress);
+        
+        let cacheInfo = null;
+        if (version !== null) {
             try {
-                sessionStorage.setItem('cachedGeoData', JSON.stringify(geo));
-                sessionStorage.setItem('cachedDinesafeData', JSON.stringify(dinesafeJson));
-                sessionStorage.setItem('cachedYelpData', JSON.stringify(yelpData));
-                console.log("✓ Data cached");
+                const stored = await this.cache.put(cacheKey, version, {
+                    ...result,
+                    matchStats: this.matchStats
+                });
+                cacheInfo = { fromCache: false, createdAt: stored.createdAt, size: stored.size };
+                console.log("✓ Processed data cached");
             } catch (e) {
                 console.warn("⚠ Caching failed:", e.message);
             }
-            
-            const mergedData = this.processData(dinesafeJson, yelpData);
-            return { geo, mergedData };
+        }
+        
+        return { ...result, cacheInfo, imports };
+    }
+
+    /**
+     * Clear cached data so the next load rebuilds from the source files
+     * @returns {Promise<void>}
+     */
+    async clearCache() {
+        if (this.cache.isAvailable()) {
+            await this.cache.clear();
         }
     }
 }
 
 // For backward compatibility, create global instance and function
 const dataLoader = new DataLoader();
-const loadData = () => dataLoader.loadData();
\ No newline at end of file
+const loadData = (onProgress) => dataLoader.loadData(onProgress);
\ No newline at end of file
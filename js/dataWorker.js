@@ -0,0 +1,129 @@
+// dataWorker.js - Web Worker running the data pipeline off the main thread
+
+importScripts("https://d3js.org/d3.v7.min.js", "dataCache.js", "scoringModel.js", "neighbourhoodIndex.js", "snapshotDiff.js", "yelpMatcher.js", "cuisineTaxonomy.js", "priceBands.js", "geocoder.js", "fieldMapping.js", "dataLoader.js");
+
+/**
+ * Fetch a file as text, streaming the body so download progress can be reported
+ * @param {string} url - File URL
+ * @param {string} stage - Progress stage name
+ * @returns {Promise<string>} File contents
+ */
+async function fetchText(url, stage) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}: ${url}`);
+    }
+
+    const total = +response.headers.get("Content-Length") || 0;
+    if (!response.body) {
+        return response.text();
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const parts = [];
+    let loaded = 0;
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        loaded += value.length;
+        parts.push(decoder.decode(value, { stream: true }));
+        postProgress({ stage, loaded, total });
+    }
+    parts.push(decoder.decode());
+
+    return parts.join("");
+}
+
+/**
+ * Get a source dataset: the imported copy when the user imported one, otherwise the bundled file
+ * @param {Object} datasets - Imported datasets { geo, dinesafe, yelp } (already mapped)
+ * @param {string} name - Dataset name (key of datasets and of DataLoader.DATA_FILES)
+ * @param {string} url - Bundled file URL
+ * @param {Function} parse - Parses the downloaded text
+ * @returns {Promise<*>} Dataset
+ */
+async function loadSource(datasets, name, url, parse) {
+    if (datasets && datasets[name]) return datasets[name];
+    const text = await fetchText(url, `download-${name}`);
+    postProgress({ stage: "parse" });
+    return parse(text);
+}
+
+/**
+ * Send a progress message to the main thread
+ * @param {Object} progress - { stage, loaded, total }
+ */
+function postProgress(progress) {
+    self.postMessage({ type: "progress", ...progress });
+}
+
+/**
+ * Load, filter, merge and score the datasets, then post compact records back
+ * @param {Object} message - { baseUrl, files, sampling }
+ */
+async function runPipeline(message) {
+    const loader = new DataLoader();
+    loader.baseUrl = message.baseUrl;
+    loader.onProgress = postProgress;
+
+    const files = message.files;
+    const datasets = message.datasets;
+    const [geo, dinesafeJson, yelpData, ratings] = await Promise.all([
+        loadSource(datasets, "geo", loader.resolveUrl(files.geo), JSON.parse),
+        loadSource(datasets, "dinesafe", loader.resolveUrl(files.dinesafe), JSON.parse),
+        loadSource(datasets, "yelp", loader.resolveUrl(files.yelp), text => d3.csvParse(text.replace(/^\uFEFF/, ""))),
+        loader.loadRatings()
+    ]);
+
+    const records = loader.processData(dinesafeJson, yelpData, ratings, message.sampling, geo);
+
+    postProgress({ stage: "transfer" });
+    self.postMessage({
+        type: "result",
+        geo,
+        records,
+        sampleInfo: loader.getSampleInfo(),
+        matchStats: loader.getMatchStats(),
+        qualityReport: loader.getQualityReport()
+    });
+}
+
+/**
+ * Load the current and an older DineSafe snapshot and post their diff back
+ * @param {Object} message - { baseUrl, files, previous } (previous is a File or URL)
+ */
+async function runDiff(message) {
+    const loader = new DataLoader();
+    loader.baseUrl = message.baseUrl;
+    loader.onProgress = postProgress;
+
+    const files = message.files;
+    const datasets = message.datasets;
+    const previous = message.previous;
+    const [geo, currentRows, previousText] = await Promise.all([
+        loadSource(datasets, "geo", loader.resolveUrl(files.geo), JSON.parse),
+        loadSource(datasets, "dinesafe", loader.resolveUrl(files.dinesafe), JSON.parse),
+        typeof previous === "string" ? fetchText(loader.resolveUrl(previous), "download-snapshot") : previous.text()
+    ]);
+
+    postProgress({ stage: "parse" });
+    const diff = loader.compareSnapshots(JSON.parse(previousText), currentRows, geo);
+
+    self.postMessage({ type: "result", diff });
+}
+
+const JOBS = {
+    load: runPipeline,
+    diff: runDiff
+};
+
+self.onmessage = (event) => {
+    const job = JOBS[event.data.type];
+    if (!job) return;
+
+    job(event.data).catch(error => {
+        self.postMessage({ type: "error", message: error.message });
+    });
+};
@@ -0,0 +1,154 @@
+// dineSafeCore.js - DOM-free filtering, scoring and aggregation shared by the map, the cards page and Node scripts
+
+/**
+ * DineSafeCore class - The numbers the UI shows, as plain functions of records and filter values.
+ * Nothing here reads the DOM or page state: the views read their controls into a filters object
+ * and pass it in. In Node, scripts/core.mjs loads this file with its dependencies.
+ */
+class DineSafeCore {
+    constructor() {
+        this.filterEngine = new FilterEngine();
+        this.cuisineTaxonomy = this.filterEngine.cuisineTaxonomy;
+        this.priceBands = this.filterEngine.priceBands;
+    }
+
+    /**
+     * Filter values that match every record
+     * @returns {Object} See FilterEngine.getDefaults
+     */
+    static getDefaultFilters() {
+        return FilterEngine.getDefaults();
+    }
+
+    /**
+     * Filter records (missing filter values match everything)
+     * @param {Array} records - Render records
+     * @param {Object} filters - Filter values, see getDefaultFilters
+     * @returns {Array} Matching records
+     */
+    filterRecords(records, filters = {}) {
+        return this.filterEngine.filter(records, filters);
+    }
+
+    /**
+     * Count the records matching each option of a filter (the other filters applied)
+     * @param {Array} records - Render records
+     * @param {Object} filters - Filter values, see getDefaultFilters
+     * @param {string} key - Filter key
+     * @param {Array} values - Option values
+     * @returns {Map} Option value -> number of records
+     */
+    countOptions(records, filters, key, values) {
+        return this.filterEngine.countOptions(records, filters, key, values);
+    }
+
+    /**
+     * Sort records for listing (returns a new array)
+     * @param {Array} records - Records
+     * @param {string} sortBy - 'name' | 'healthScore' | 'yelpRating' (unknown ratings last)
+     * @returns {Array} Sorted records
+     */
+    sortRecords(records, sortBy = 'name') {
+        const rating = d => (d.yelpMatch && d.yelpMatch.avg_rating !== null ? d.yelpMatch.avg_rating : -1);
+        return records.slice().sort((a, b) => {
+            switch (sortBy) {
+                case 'healthScore':
+                    return (b.healthScore || 0) - (a.healthScore || 0);
+                case 'yelpRating':
+                    return rating(b) - rating(a);
+                case 'name':
+                default:
+                    return a["Establishment Name"].localeCompare(b["Establishment Name"]);
+            }
+        });
+    }
+
+    /**
+     * Rescore records in place with a scoring model
+     * @param {Array} records - Records with inspections
+     * @param {ScoringModel|Object} model - Scoring model, or its saved settings
+     * @returns {Array} The same records
+     */
+    scoreRecords(records, model = new ScoringModel()) {
+        const scoringModel = model instanceof ScoringModel ? model : new ScoringModel(model);
+        return scoringModel.apply(records);
+    }
+
+    /**
+     * Summary figures of a set of records (the statistics panel metrics)
+     * @param {Array} records - Records
+     * @returns {Object} { total, avgHealthScore, avgRating, rated, matchLevels, priceHealth }
+     */
+    summarize(records) {
+        const matchLevels = { strong: 0, medium: 0, weak: 0, none: 0 };
+        records.forEach(d => {
+            matchLevels[d.yelpMatch ? d.yelpMatch.matchLevel : 'none']++;
+        });
+        const rated = records.filter(d => d.yelpMatch && d.yelpMatch.avg_rating !== null);
+
+        return {
+            total: records.length,
+            avgHealthScore: records.length > 0 ? (d3.mean(records, d => d.healthScore) || 0) : null,
+            avgRating: rated.length > 0 ? d3.mean(rated, d => d.yelpMatch.avg_rating) : null,
+            rated: rated.length,
+            matchLevels,
+            priceHealth: this.priceBands.compareHealth(records)
+        };
+    }
+
+    /**
+     * Count and average health score per neighbourhood (records outside every neighbourhood are left out)
+     * @param {Array} records - Records with AREA_NAME
+     * @returns {Map} AREA_NAME -> { count, avgHealthScore }
+     */
+    aggregateByNeighbourhood(records) {
+        return d3.rollup(
+            records.filter(d => d.AREA_NAME),
+            v => ({
+                count: v.length,
+                avgHealthScore: d3.mean(v, d => d.healthScore)
+            }),
+            d => d.AREA_NAME
+        );
+    }
+
+    /**
+     * Get the records in one neighbourhood
+     * @param {Array} records - Records
+     * @param {string} neighbourhoodName - AREA_NAME
+     * @returns {Array} Records in the neighbourhood
+     */
+    inNeighbourhood(records, neighbourhoodName) {
+        return records.filter(d => d.AREA_NAME === neighbourhoodName);
+    }
+
+    /**
+     * Run the processing pipeline on already-read source data and score the result,
+     * giving the same records the map starts from
+     * @param {Object} sources - { dinesafe, yelp, geo, ratings } (ratings: Map from DataLoader.parseRatings)
+     * @param {Object} options - { sampleSize, seed, scoringModel } (defaults match the page without URL options)
+     * @returns {Object} { records, sampleInfo, qualityReport, matchStats, scoringModel } (scoringModel: definition
+     *     of the model that produced the scores)
+     */
+    processSources(sources, options = {}) {
+        const loader = new DataLoader();
+        const sampling = {
+            sampleSize: options.sampleSize !== undefined ? options.sampleSize : loader.SAMPLE_SIZE,
+            seed: options.seed || loader.SAMPLE_SEED
+        };
+        const records = loader.processData(sources.dinesafe, sources.yelp, sources.ratings || new Map(),
+            sampling, sources.geo || null);
+        const scoringModel = options.scoringModel instanceof ScoringModel
+            ? options.scoringModel
+            : new ScoringModel(options.scoringModel);
+        this.scoreRecords(records, scoringModel);
+
+        return {
+            records,
+            sampleInfo: loader.getSampleInfo(),
+            qualityReport: loader.qualityReport,
+            matchStats: loader.getMatchStats(),
+            scoringModel: scoringModel.toJSON()
+        };
+    }
+}
@@ -0,0 +1,498 @@
+// dotLayer.js - Canvas renderer for the establishment dots on the main map
+
+/**
+ * DotLayer class - Draws the establishment dots on a canvas that sits inside the main SVG
+ * (a foreignObject where the dots group used to be, so the change dots and search highlight
+ * stay on top) and finds the dot under the pointer with a quadtree. The canvas follows the
+ * d3 zoom transform and redraws at most once per animation frame, only the dots in view,
+ * so the full dataset can be shown without sampling.
+ * Below clusterMaxZoom, dots sharing a grid cell of clusterRadius screen pixels are drawn as
+ * one cluster: a ring of their grade mix around the count. Clusters are computed per zoom
+ * level (half powers of two) and split up as the map zooms in.
+ */
+class DotLayer {
+    constructor(mapStateInstance, handlers = {}) {
+        this.mapState = mapStateInstance;
+        // { onHover(d, event), onLeave(event), onClick(d, event), onClusterHover(cluster, event), onClusterClick(cluster, event) }
+        this.handlers = handlers;
+
+        this.points = [];          // { d, x, y, r, style } in untransformed map coordinates
+        this.batches = [];         // Points grouped by style, one canvas path per group
+        this.quadtree = null;
+        this.maxRadius = 0;
+        this.positions = new WeakMap();  // Record -> projected [x, y] (the projection does not change)
+        this.transform = d3.zoomIdentity;
+        this.hovered = null;
+        this.hoveredCluster = null;
+        this.highlightedId = null;
+        this.frame = null;
+        this.clusterCache = new Map();   // Cluster level -> { clusters, singles }
+
+        // Same look as the SVG circles had: fill by health grade, stroke by status
+        this.STATUS_STROKES = { "Closed": "#c62828", "Conditional Pass": "#e65100" };
+        this.DEFAULT_STROKE = "rgba(0,0,0,0.3)";
+        this.STYLES = {
+            base: { fillOpacity: 0.7, lineWidth: 0.5, dash: [] },
+            weakMatch: { dash: [2, 1] },                                           // Weak Yelp match
+            approximate: { fillOpacity: 0.35, lineWidth: 1, dash: [1, 1.5], stroke: "#333" },  // No DineSafe coordinates
+            hovered: { fillOpacity: 1, lineWidth: 2 },
+            highlighted: { fillOpacity: 1, lineWidth: 2, stroke: "#1d4ed8" }       // Search result
+        };
+        this.HIT_TOLERANCE = 2;  // Screen pixels around a dot that still count as a hit
+        this.CLUSTER_MIN_SIZE = 4;  // Cells with fewer dots show them individually
+        this.GRADES = ['A', 'B', 'C', 'D'];
+    }
+
+    /**
+     * Create the canvas and bind pointer events
+     * @param {Object} svg - d3 selection of the main SVG
+     */
+    setup(svg) {
+        const config = this.mapState.getConfig();
+        this.svg = svg;
+        this.ratio = window.devicePixelRatio || 1;
+
+        const foreignObject = svg.append("foreignObject")
+            .attr("id", "dot-layer")
+            .attr("width", config.mainWidth)
+            .attr("height", config.mainHeight)
+            .style("pointer-events", "none");
+        this.canvas = foreignObject.append("xhtml:canvas")
+            .attr("width", config.mainWidth * this.ratio)
+            .attr("height", config.mainHeight * this.ratio)
+            .style("width", `${config.mainWidth}px`)
+            .style("height", `${config.mainHeight}px`)
+            .style("display", "block")
+            .node();
+        this.context = this.canvas.getContext("2d");
+
+        svg.on("mousemove.dots", (event) => this.handleMove(event))
+            .on("mouseleave.dots", (event) => this.setHovered(null, event));
+        // Capture phase: a click on a dot does not select the neighbourhood underneath
+        svg.node().addEventListener("click", (event) => this.handleClick(event), true);
+    }
+
+    /**
+     * Show a set of records (replaces the previous ones)
+     * @param {Array} records - Render records
+     */
+    setData(records) {
+        const projection = this.mapState.getMainProjection();
+        const radiusScale = this.mapState.getRadiusScale();
+        const colors = this.mapState.getConfig().healthGradeColors;
+        const batches = new Map();
+
+        this.points = [];
+        records.forEach(d => {
+            if (!this.positions.has(d)) this.positions.set(d, projection([+d.Longitude, +d.Latitude]));
+            const position = this.positions.get(d);
+            if (!position || isNaN(position[0]) || isNaN(position[1])) return;
+
+            const weakMatch = !!d.yelpMatch && d.yelpMatch.matchLevel === 'weak';
+            const approximate = !!d.locationPrecision && d.locationPrecision !== 'exact';
+            const fill = colors[d.healthGrade || 'D'];
+            const stroke = this.STATUS_STROKES[d["Establishment Status"]] ||
+                (approximate ? this.STYLES.approximate.stroke : this.DEFAULT_STROKE);
+            const key = `${fill}|${stroke}|${weakMatch}|${approximate}`;
+
+            if (!batches.has(key)) {
+                batches.set(key, {
+                    style: {
+                        ...this.STYLES.base,
+                        ...(weakMatch ? this.STYLES.weakMatch : {}),
+                        ...(approximate ? this.STYLES.approximate : {}),
+                        fill,
+                        stroke
+                    },
+                    points: []
+                });
+            }
+            const point = {
+                d,
+                x: position[0],
+                y: position[1],
+                r: d.yelpMatch && d.yelpMatch.num_of_reviews !== null ? radiusScale(d.yelpMatch.num_of_reviews) : 3,
+                style: batches.get(key).style
+            };
+            batches.get(key).points.push(point);
+            this.points.push(point);
+        });
+
+        this.batches = Array.from(batches.values());
+        this.maxRadius = d3.max(this.points, p => p.r) || 0;
+        this.quadtree = d3.quadtree(this.points, p => p.x, p => p.y);
+        this.clusterCache.clear();
+        this.hoveredCluster = null;
+        if (this.hovered && !this.points.some(p => p.d === this.hovered.d)) this.hovered = null;
+        this.render();
+    }
+
+    /**
+     * Remove all dots
+     */
+    clear() {
+        this.setData([]);
+    }
+
+    /**
+     * Follow a zoom transform
+     * @param {Object} transform - d3 zoom transform
+     */
+    setTransform(transform) {
+        const levelChanged = this.getClusterLevel(transform.k) !== this.getClusterLevel(this.transform.k);
+        this.transform = transform;
+        // The hovered cluster is gone once the clusters split or merge
+        if (levelChanged && this.hoveredCluster) {
+            this.hoveredCluster = null;
+            this.svg.classed("dot-hover", !!this.hovered);
+        }
+        this.render();
+    }
+
+    /**
+     * Animate to a zoom transform (for transforms applied without the zoom behaviour)
+     * @param {Object} transform - d3 zoom transform
+     * @param {number} duration - Duration in ms
+     */
+    transitionTo(transform, duration) {
+        const from = { k: this.transform.k, x: this.transform.x, y: this.transform.y };
+        const interpolate = d3.interpolate(from, { k: transform.k, x: transform.x, y: transform.y });
+        d3.select(this.canvas)
+            .transition("dot-transform")
+            .duration(duration)
+            .tween("transform", () => t => {
+                const { k, x, y } = interpolate(t);
+                this.setTransform(d3.zoomIdentity.translate(x, y).scale(k));
+            });
+    }
+
+    /**
+     * Mark a record as the search result (drawn on top with a blue outline)
+     * @param {*} uniqueId - unique_id of the record, or null to clear
+     */
+    setHighlight(uniqueId) {
+        this.highlightedId = uniqueId;
+        this.render();
+    }
+
+    /**
+     * Get the cluster level of a zoom level
+     * @param {number} k - Zoom scale
+     * @returns {number|null} Scale the clusters are computed for, or null when not clustering
+     */
+    getClusterLevel(k) {
+        if (k >= this.mapState.getConfig().clusterMaxZoom) return null;
+        return Math.pow(2, Math.floor(Math.log2(Math.max(k, 1)) * 2) / 2);
+    }
+
+    /**
+     * Get the clusters of the current zoom level
+     * @returns {Object|null} { clusters, singles } (singles: Set of points drawn as dots), null when not clustering
+     */
+    getClustering() {
+        const level = this.getClusterLevel(this.transform.k);
+        if (level === null) return null;
+        if (!this.clusterCache.has(level)) this.clusterCache.set(level, this.buildClusters(level));
+        return this.clusterCache.get(level);
+    }
+
+    /**
+     * Group the points into grid cells of clusterRadius screen pixels at a zoom level
+     * @param {number} level - Zoom scale
+     * @returns {Object} { clusters: [{ x, y, count, grades, members, bounds, level }], singles }
+     */
+    buildClusters(level) {
+        const size = this.mapState.getConfig().clusterRadius / level;
+        const cells = new Map();
+        this.points.forEach(p => {
+            const key = `${Math.floor(p.x / size)},${Math.floor(p.y / size)}`;
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(p);
+        });
+
+        const clusters = [];
+        const singles = new Set();
+        cells.forEach(points => {
+            if (points.length < this.CLUSTER_MIN_SIZE) {
+                points.forEach(p => singles.add(p));
+                return;
+            }
+            const grades = { A: 0, B: 0, C: 0, D: 0 };
+            points.forEach(p => grades[p.d.healthGrade || 'D']++);
+            clusters.push({
+                x: d3.mean(points, p => p.x),
+                y: d3.mean(points, p => p.y),
+                count: points.length,
+                grades,
+                members: points.map(p => p.d),
+                bounds: [[d3.min(points, p => p.x), d3.min(points, p => p.y)], [d3.max(points, p => p.x), d3.max(points, p => p.y)]],
+                level
+            });
+        });
+        return { clusters, singles };
+    }
+
+    /**
+     * Radius of a cluster symbol
+     * @param {number} count - Number of dots
+     * @returns {number} Radius in screen pixels
+     */
+    getClusterRadius(count) {
+        return 10 + 4 * Math.log10(count);
+    }
+
+    /**
+     * Schedule a redraw
+     */
+    render() {
+        if (this.frame !== null) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.draw();
+        });
+    }
+
+    /**
+     * Draw the dots in view
+     */
+    draw() {
+        const config = this.mapState.getConfig();
+        const context = this.context;
+        const { k, x, y } = this.transform;
+
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        context.setTransform(this.ratio * k, 0, 0, this.ratio * k, this.ratio * x, this.ratio * y);
+
+        // Visible extent in map coordinates
+        const [x0, y0] = this.transform.invert([0, 0]);
+        const [x1, y1] = this.transform.invert([config.mainWidth, config.mainHeight]);
+        const inView = p => p.x + p.r >= x0 && p.x - p.r <= x1 && p.y + p.r >= y0 && p.y - p.r <= y1;
+        const clustering = this.getClustering();
+
+        this.batches.forEach(({ style, points }) => {
+            context.beginPath();
+            points.forEach(p => {
+                if (!inView(p) || (clustering && !clustering.singles.has(p))) return;
+                context.moveTo(p.x + p.r, p.y);
+                context.arc(p.x, p.y, p.r, 0, 2 * Math.PI);
+            });
+            this.paint(style);
+        });
+
+        if (clustering) {
+            clustering.clusters.forEach(cluster => {
+                const r = this.getClusterRadius(cluster.count) / k;
+                if (inView({ x: cluster.x, y: cluster.y, r })) this.drawCluster(cluster, r);
+            });
+        }
+
+        // Hovered and highlighted dots on top of the rest
+        const highlighted = this.highlightedId !== null
+            ? this.points.filter(p => p.d["unique_id"] === this.highlightedId)
+            : [];
+        highlighted.forEach(p => this.drawPoint(p, { ...p.style, ...this.STYLES.highlighted }));
+        if (this.hovered) this.drawPoint(this.hovered, { ...this.hovered.style, ...this.STYLES.hovered });
+    }
+
+    /**
+     * Draw a single dot
+     * @param {Object} p - Point
+     * @param {Object} style - Style
+     */
+    drawPoint(p, style) {
+        this.context.beginPath();
+        this.context.arc(p.x, p.y, p.r, 0, 2 * Math.PI);
+        this.paint(style);
+    }
+
+    /**
+     * Draw a cluster: a ring of its grade mix around the count
+     * @param {Object} cluster - Cluster
+     * @param {number} r - Radius in map coordinates
+     */
+    drawCluster(cluster, r) {
+        const context = this.context;
+        const k = this.transform.k;
+        const colors = this.mapState.getConfig().healthGradeColors;
+        const ring = r * 0.35;
+
+        let angle = -Math.PI / 2;
+        this.GRADES.forEach(grade => {
+            if (!cluster.grades[grade]) return;
+            const end = angle + cluster.grades[grade] / cluster.count * 2 * Math.PI;
+            context.beginPath();
+            context.arc(cluster.x, cluster.y, r, angle, end);
+            context.arc(cluster.x, cluster.y, r - ring, end, angle, true);
+            context.closePath();
+            context.fillStyle = colors[grade];
+            context.fill();
+            angle = end;
+        });
+
+        context.beginPath();
+        context.arc(cluster.x, cluster.y, r - ring, 0, 2 * Math.PI);
+        context.fillStyle = "rgba(255, 255, 255, 0.9)";
+        context.fill();
+        if (cluster === this.hoveredCluster) {
+            context.beginPath();
+            context.arc(cluster.x, cluster.y, r, 0, 2 * Math.PI);
+            context.setLineDash([]);
+            context.lineWidth = 2 / k;
+            context.strokeStyle = "#2c3e50";
+            context.stroke();
+        }
+
+        context.fillStyle = "#2c3e50";
+        context.font = `bold ${11 / k}px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif`;
+        context.textAlign = "center";
+        context.textBaseline = "middle";
+        context.fillText(d3.format(cluster.count >= 10000 ? ".2s" : ",")(cluster.count), cluster.x, cluster.y);
+    }
+
+    /**
+     * Fill and stroke the current path
+     * @param {Object} style - { fill, fillOpacity, stroke, lineWidth, dash }
+     */
+    paint(style) {
+        const context = this.context;
+        context.globalAlpha = style.fillOpacity;
+        context.fillStyle = style.fill;
+        context.fill();
+        context.globalAlpha = 1;
+        context.setLineDash(style.dash);
+        context.lineWidth = style.lineWidth;
+        context.strokeStyle = style.stroke;
+        context.stroke();
+    }
+
+    /**
+     * Find the dot under the pointer
+     * @param {Event} event - Mouse event
+     * @returns {Object|null} Point closest to the pointer among those it is over
+     */
+    find(event) {
+        const [x, y] = this.transform.invert(d3.pointer(event, this.svg.node()));
+        return this.findAt(x, y);
+    }
+
+    /**
+     * Find the cluster under the pointer
+     * @param {Event} event - Mouse event
+     * @returns {Object|null} Cluster, or null (also when not clustering)
+     */
+    findCluster(event) {
+        const clustering = this.getClustering();
+        if (!clustering) return null;
+
+        const [x, y] = this.transform.invert(d3.pointer(event, this.svg.node()));
+        const k = this.transform.k;
+        return clustering.clusters.find(cluster =>
+            Math.hypot(cluster.x - x, cluster.y - y) <= (this.getClusterRadius(cluster.count) + this.HIT_TOLERANCE) / k) || null;
+    }
+
+    /**
+     * Find the dot at a map position
+     * @param {number} x - X in untransformed map coordinates
+     * @param {number} y - Y in untransformed map coordinates
+     * @returns {Object|null} Point closest to the position among those covering it
+     */
+    findAt(x, y) {
+        if (!this.quadtree || this.points.length === 0) return null;
+
+        const clustering = this.getClustering();
+        const tolerance = this.HIT_TOLERANCE / this.transform.k;
+        const reach = this.maxRadius + tolerance;
+        let hit = null;
+        let hitDistance = Infinity;
+
+        this.quadtree.visit((node, nx0, ny0, nx1, ny1) => {
+            if (!node.length) {
+                let leaf = node;
+                do {
+                    const p = leaf.data;
+                    const distance = Math.hypot(p.x - x, p.y - y);
+                    // Dots inside a cluster are not drawn
+                    const drawn = !clustering || clustering.singles.has(p);
+                    if (drawn && distance <= p.r + tolerance && distance < hitDistance) {
+                        hit = p;
+                        hitDistance = distance;
+                    }
+                } while ((leaf = leaf.next));
+            }
+            return nx0 > x + reach || nx1 < x - reach || ny0 > y + reach || ny1 < y - reach;
+        });
+        return hit;
+    }
+
+    /**
+     * Check whether an event happened on the map itself (not on change dots or other overlays)
+     * @param {Event} event - Mouse event
+     * @returns {boolean} True when dots can be hit
+     */
+    isOnMap(event) {
+        // The hexagons are drawn below the dots, so dots over them can still be hit
+        return event.target === this.svg.node() || !!event.target.closest("#map-paths, #hexbin-layer");
+    }
+
+    /**
+     * Update hover state on pointer move
+     * @param {Event} event - Mouse event
+     */
+    handleMove(event) {
+        if (this.mapState.getIsAnimating()) return;
+        const onMap = this.isOnMap(event);
+        const cluster = onMap ? this.findCluster(event) : null;
+        this.setHovered(onMap && !cluster ? this.find(event) : null, event, cluster);
+    }
+
+    /**
+     * Report a click on a dot or cluster
+     * @param {Event} event - Mouse event
+     */
+    handleClick(event) {
+        if (!this.isOnMap(event)) return;
+        const cluster = this.findCluster(event);
+        const hit = cluster ? null : this.find(event);
+        if (!cluster && !hit) return;
+
+        event.stopPropagation();
+        if (cluster && this.handlers.onClusterClick) {
+            this.handlers.onClusterClick(cluster, event);
+        } else if (hit && this.handlers.onClick) {
+            this.handlers.onClick(hit.d, event);
+        }
+    }
+
+    /**
+     * Change the hovered dot or cluster
+     * @param {Object|null} point - Point under the pointer
+     * @param {Event} event - Mouse event
+     * @param {Object|null} cluster - Cluster under the pointer
+     */
+    setHovered(point, event, cluster = null) {
+        if (point === this.hovered && cluster === this.hoveredCluster) return;
+        const hadHover = !!(this.hovered || this.hoveredCluster);
+        this.hovered = point;
+        this.hoveredCluster = cluster;
+        this.svg.classed("dot-hover", !!(point || cluster));
+        this.render();
+
+        if (cluster && this.handlers.onClusterHover) {
+            this.handlers.onClusterHover(cluster, event);
+        } else if (point && this.handlers.onHover) {
+            this.handlers.onHover(point.d, event);
+        } else if (!point && !cluster && hadHover && this.handlers.onLeave) {
+            this.handlers.onLeave(event);
+        }
+    }
+
+    /**
+     * Get the record or cluster under the pointer
+     * @returns {Object|null} Hovered record or cluster
+     */
+    getHovered() {
+        if (this.hoveredCluster) return this.hoveredCluster;
+        return this.hovered ? this.hovered.d : null;
+    }
+}
@@ -0,0 +1,201 @@
+// fieldMapping.js - Column mapping between imported files and the app's data schema
+
+/**
+ * FieldMapping class - Maps the columns of a source file onto the canonical fields the
+ * pipeline reads (the DineSafe / Yelp / neighbourhood column names). Every source is mapped
+ * once when it enters the pipeline (imports when they are stored, the bundled files in
+ * DataLoader.normalizeRows), so the records every other module reads only have canonical keys.
+ * Mappings of imports are saved in localStorage per file signature (dataset kind + column
+ * names), so a file with the same layout is mapped automatically next time.
+ */
+class FieldMapping {
+    /**
+     * Canonical fields per dataset kind: key is the field the pipeline reads,
+     * aliases help guess the source column, fallback is used when the field is not mapped
+     * @returns {Object} kind -> { label, fields: [{ key, label, required, aliases, fallback }] }
+     */
+    static getSchemas() {
+        return {
+            inspections: {
+                label: "Inspection records (replaces DineSafe)",
+                fields: [
+                    { key: "Establishment ID", label: "Establishment ID", required: true, aliases: ["establishment_id", "facility id", "business id", "license number", "id"] },
+                    { key: "Establishment Name", label: "Name", required: true, aliases: ["name", "business name", "dba", "facility name", "restaurant name"] },
+                    { key: "Establishment Type", label: "Type", required: false, aliases: ["type", "facility type", "category", "business type"], fallback: "Restaurant" },
+                    { key: "Establishment Address", label: "Address", required: false, aliases: ["address", "street address", "location"] },
+                    { key: "Establishment Status", label: "Inspection status", required: true, aliases: ["status", "result", "inspection result", "outcome"] },
+                    { key: "Inspection ID", label: "Inspection ID", required: false, aliases: ["inspection_id", "inspection number"] },
+                    { key: "Inspection Date", label: "Inspection date", required: true, aliases: ["date", "inspection_date", "inspected"] },
+                    { key: "Infraction Details", label: "Infraction details", required: false, aliases: ["infraction", "violation", "violations", "violation description"] },
+                    { key: "Severity", label: "Infraction severity", required: false, aliases: ["violation severity", "risk", "severity level"] },
+                    { key: "Action", label: "Action", required: false, aliases: ["action taken"] },
+                    { key: "Outcome", label: "Outcome", required: false, aliases: ["court outcome"] },
+                    { key: "Amount Fined", label: "Amount fined", required: false, aliases: ["fine", "fine amount"] },
+                    { key: "Latitude", label: "Latitude", required: false, aliases: ["lat", "y"] },
+                    { key: "Longitude", label: "Longitude", required: false, aliases: ["lon", "lng", "long", "x"] },
+                    { key: "unique_id", label: "Row ID", required: false, aliases: ["_id", "row id", "record id"] }
+                ]
+            },
+            yelp: {
+                label: "Business listings (replaces Yelp data)",
+                fields: [
+                    { key: "Restaurant Name", label: "Name", required: true, aliases: ["name", "business name"] },
+                    { key: "Restaurant Address", label: "Address", required: false, aliases: ["address", "full address"] },
+                    { key: "Category", label: "Category", required: false, aliases: ["categories", "cuisine"] },
+                    { key: "Restaurant Price Range", label: "Price range", required: false, aliases: ["price", "price range"] },
+                    { key: "Restaurant Yelp URL", label: "Listing URL", required: false, aliases: ["url", "yelp url", "link"] },
+                    { key: "Restaurant Latitude", label: "Latitude", required: false, aliases: ["lat", "latitude"] },
+                    { key: "Restaurant Longitude", label: "Longitude", required: false, aliases: ["lon", "lng", "longitude"] },
+                    { key: "avg_rating", label: "Average rating", required: false, aliases: ["rating", "stars"] },
+                    { key: "num_of_reviews", label: "Number of reviews", required: false, aliases: ["review_count", "reviews"] }
+                ]
+            },
+            boundaries: {
+                label: "Boundary polygons (replaces neighbourhoods)",
+                fields: [
+                    { key: "AREA_NAME", label: "Area name", required: true, aliases: ["name", "neighbourhood", "neighborhood", "area", "ward_name"] },
+                    { key: "AREA_SHORT_CODE", label: "Area code", required: false, aliases: ["code", "id", "area_id", "ward"] }
+                ]
+            }
+        };
+    }
+
+    constructor(kind, columns, mapping = null) {
+        this.kind = kind;
+        this.columns = columns;
+        this.schema = FieldMapping.getSchemas()[kind];
+        this.mapping = mapping || this.guess();  // canonical key -> source column ("" = not mapped)
+    }
+
+    /**
+     * Guess the source column of each field (exact name, then alias, case-insensitive)
+     * @returns {Object} Mapping
+     */
+    guess() {
+        const normalize = value => value.toLowerCase().replace(/[\s_-]+/g, " ").trim();
+        const byName = new Map(this.columns.map(column => [normalize(column), column]));
+        const mapping = {};
+
+        this.schema.fields.forEach(field => {
+            const candidates = [field.key, ...field.aliases].map(normalize);
+            const match = candidates.find(candidate => byName.has(candidate));
+            mapping[field.key] = match ? byName.get(match) : "";
+        });
+        return mapping;
+    }
+
+    /**
+     * Guess the dataset kind of a tabular file from its columns
+     * @param {Array<string>} columns - Column names
+     * @returns {string} "inspections" | "yelp"
+     */
+    static guessKind(columns) {
+        const score = kind => {
+            const mapping = new FieldMapping(kind, columns).mapping;
+            return Object.values(mapping).filter(Boolean).length;
+        };
+        return score("yelp") > score("inspections") ? "yelp" : "inspections";
+    }
+
+    /**
+     * Signature of a file layout: dataset kind plus its sorted column names
+     * @returns {string} Signature
+     */
+    getSignature() {
+        return `${this.kind}|${[...this.columns].sort().join("|")}`;
+    }
+
+    /**
+     * List required fields that are not mapped
+     * @returns {Array<string>} Field labels
+     */
+    getMissingFields() {
+        return this.schema.fields
+            .filter(field => field.required && !this.mapping[field.key])
+            .map(field => field.label);
+    }
+
+    /**
+     * Read a canonical field from a source row
+     * @param {Object} row - Source row
+     * @param {string} key - Canonical field key
+     * @returns {*} Value, or undefined when the field is not mapped
+     */
+    get(row, key) {
+        const column = this.mapping[key];
+        return column ? row[column] : undefined;
+    }
+
+    /**
+     * Convert source rows to canonical rows (only mapped fields and fallbacks are kept)
+     * @param {Array} rows - Source rows
+     * @returns {Array} Canonical rows
+     */
+    applyToRows(rows) {
+        const fields = this.schema.fields.filter(field => this.mapping[field.key] || field.fallback !== undefined);
+        return rows.map(row => {
+            const result = {};
+            fields.forEach(field => {
+                result[field.key] = this.mapping[field.key] ? this.get(row, field.key) : field.fallback;
+            });
+            return result;
+        });
+    }
+
+    /**
+     * Set canonical properties on every feature of a boundary file
+     * @param {Object} geo - FeatureCollection
+     * @returns {Object} FeatureCollection with AREA_NAME / AREA_SHORT_CODE properties
+     */
+    applyToGeo(geo) {
+        return {
+            ...geo,
+            features: geo.features.map(feature => {
+                const properties = feature.properties || {};
+                const name = this.get(properties, "AREA_NAME");
+                const code = this.get(properties, "AREA_SHORT_CODE");
+                return {
+                    ...feature,
+                    properties: {
+                        ...properties,
+                        AREA_NAME: name !== undefined && name !== null ? String(name) : "",
+                        AREA_SHORT_CODE: code !== undefined && code !== null ? String(code) : ""
+                    }
+                };
+            })
+        };
+    }
+
+    /**
+     * Save this mapping for its file signature
+     */
+    save() {
+        const saved = FieldMapping.loadAll();
+        saved[this.getSignature()] = this.mapping;
+        localStorage.setItem("fieldMappings", JSON.stringify(saved));
+    }
+
+    /**
+     * Create a mapping for a file layout, reusing the saved one when the signature is known
+     * @param {string} kind - Dataset kind
+     * @param {Array<string>} columns - Column names
+     * @returns {FieldMapping} Mapping (saved or guessed)
+     */
+    static forColumns(kind, columns) {
+        const guessed = new FieldMapping(kind, columns);
+        const saved = FieldMapping.loadAll()[guessed.getSignature()];
+        return saved ? new FieldMapping(kind, columns, { ...guessed.mapping, ...saved }) : guessed;
+    }
+
+    /**
+     * Load all saved mappings
+     * @returns {Object} Signature -> mapping
+     */
+    static loadAll() {
+        try {
+            return JSON.parse(localStorage.getItem("fieldMappings")) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+}
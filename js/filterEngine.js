@@ -0,0 +1,201 @@
+// filterEngine.js - Declarative record filters shared by the map, the statistics panel and the cards page
+
+/**
+ * FilterEngine class - Every filter is declared once as a key, a default value and a predicate.
+ * A filter description is a plain object of filter key -> value (JSON-serializable, defaults may
+ * be left out); the engine composes the predicates of its active filters and counts how many
+ * records each option of a filter would match given the other filters.
+ * Multi-select filters (status, healthGrade, type) take a list of values, where an empty list
+ * matches everything; a single value or 'all' is accepted too.
+ */
+class FilterEngine {
+    constructor() {
+        this.cuisineTaxonomy = new CuisineTaxonomy();
+        this.priceBands = new PriceBands();
+
+        // DineSafe types listed in the type filter; 'other' matches every type not listed here
+        this.MAIN_ESTABLISHMENT_TYPES = [
+            "Restaurant", "Food Take Out", "Food Store (Convenience/Variety)",
+            "Food Court Vendor", "Supermarket", "Bakery", "Food Caterer",
+            "Banquet Facility", "Butcher Shop"
+        ];
+        this.SEVERITY_ORDER = { 'clean': 0, 'M': 1, 'S': 2, 'C': 3 };
+
+        // Filters whose value is a list of alternatives
+        this.MULTI_SELECT = ["status", "healthGrade", "type"];
+
+        // Filter key -> predicate (record, value, all filter values); a filter at its default
+        // value matches everything. severityMode only changes how severity compares.
+        this.PREDICATES = {
+            status: (d, values) => values.includes(d["Establishment Status"]),
+            healthGrade: (d, values) => values.includes(d.healthGrade),
+            type: (d, values) => values.some(type => this.matchesType(d, type)),
+            severity: (d, value, filters) => this.matchesSeverity(d, value, filters.severityMode),
+            scoreMin: (d, value) => d.healthScore >= value,
+            scoreMax: (d, value) => d.healthScore <= value,
+            yelpCuisine: (d, value) => this.cuisineTaxonomy.matches(d, value),
+            price: (d, value) => this.priceBands.matches(d, value),
+            yelpOnly: d => !!d.yelpMatch
+        };
+    }
+
+    /**
+     * Filter values that match every record
+     * @returns {Object} { status, healthGrade, type, severity, severityMode, scoreMin, scoreMax, yelpCuisine, price, yelpOnly }
+     */
+    static getDefaults() {
+        return {
+            status: [],              // Establishment Status values
+            healthGrade: [],         // A-D
+            type: [],                // DineSafe establishment types, or 'other'
+            severity: 'all',         // Worst severity: clean, M, S, C
+            severityMode: 'atMost',  // Compare the worst severity 'atMost' or 'atLeast' with severity
+            scoreMin: 0,             // Health score range, inclusive
+            scoreMax: 100,
+            yelpCuisine: 'all',      // Cuisine taxonomy node, or 'none'
+            price: 'all',            // Price band 1-4, or 'unknown'
+            yelpOnly: false          // Only records with a Yelp match
+        };
+    }
+
+    /**
+     * Bring a filter value into its canonical form (lists for multi-select filters)
+     * @param {string} key - Filter key
+     * @param {*} value - Filter value
+     * @returns {*} Canonical value
+     */
+    normalizeValue(key, value) {
+        if (!this.MULTI_SELECT.includes(key)) return value;
+        const values = Array.isArray(value) ? value : [value];
+        return [...new Set(values.filter(v => v !== 'all' && v !== '' && v !== null && v !== undefined))];
+    }
+
+    /**
+     * Check whether a filter value matches everything
+     * @param {string} key - Filter key
+     * @param {*} value - Filter value
+     * @returns {boolean} True when the value is the default
+     */
+    isDefault(key, value) {
+        const normalized = this.normalizeValue(key, value);
+        return Array.isArray(normalized) ? normalized.length === 0 : normalized === FilterEngine.getDefaults()[key];
+    }
+
+    /**
+     * Complete a filter description with the default values (unknown keys are dropped)
+     * @param {Object} filters - Filter description
+     * @returns {Object} Every filter key with its value
+     */
+    normalize(filters = {}) {
+        const normalized = FilterEngine.getDefaults();
+        Object.keys(normalized).forEach(key => {
+            if (filters[key] !== undefined && filters[key] !== null) normalized[key] = this.normalizeValue(key, filters[key]);
+        });
+        return normalized;
+    }
+
+    /**
+     * Reduce a filter description to its active filters
+     * @param {Object} filters - Filter description
+     * @returns {Object} Filter key -> value for the filters not at their default
+     */
+    describe(filters = {}) {
+        const active = {};
+        Object.entries(this.normalize(filters)).forEach(([key, value]) => {
+            if (!this.isDefault(key, value)) active[key] = value;
+        });
+        return active;
+    }
+
+    /**
+     * Get the predicate of one filter value
+     * @param {string} key - Filter key
+     * @param {*} value - Filter value (one option of a multi-select filter is accepted too)
+     * @param {Object} filters - The other filter values (severityMode)
+     * @returns {Function|null} Record -> boolean, or null when the value matches everything
+     */
+    getPredicate(key, value, filters = {}) {
+        if (!this.PREDICATES[key] || value === undefined || this.isDefault(key, value)) return null;
+        const normalized = this.normalizeValue(key, value);
+        const context = this.normalize(filters);
+        return d => this.PREDICATES[key](d, normalized, context);
+    }
+
+    /**
+     * Compose the predicates of a filter description
+     * @param {Object} filters - Filter description
+     * @param {string|null} except - Filter key to leave out (for option counts)
+     * @returns {Function} Record -> boolean (true when every active filter matches)
+     */
+    compile(filters = {}, except = null) {
+        const predicates = Object.entries(this.describe(filters))
+            .filter(([key]) => key !== except)
+            .map(([key, value]) => this.getPredicate(key, value, filters))
+            .filter(Boolean);
+        return d => predicates.every(predicate => predicate(d));
+    }
+
+    /**
+     * Filter records
+     * @param {Array} records - Render records
+     * @param {Object} filters - Filter description
+     * @returns {Array} Matching records
+     */
+    filter(records, filters = {}) {
+        return records.filter(this.compile(filters));
+    }
+
+    /**
+     * Count the records each option of a filter would match, with the other filters applied
+     * @param {Array} records - Render records
+     * @param {Object} filters - Filter description
+     * @param {string} key - Filter key
+     * @param {Array} values - Option values
+     * @returns {Map} Option value -> number of records
+     */
+    countOptions(records, filters, key, values) {
+        const candidates = records.filter(this.compile(filters, key));
+        const counts = new Map();
+
+        // Cuisine nodes are counted in one pass over the taxonomy
+        const nodeCounts = key === "yelpCuisine" ? this.cuisineTaxonomy.countNodes(candidates) : null;
+
+        values.forEach(value => {
+            const predicate = this.getPredicate(key, value, filters);
+            if (!predicate) {
+                counts.set(value, candidates.length);
+            } else if (nodeCounts && value !== "none") {
+                counts.set(value, nodeCounts.get(value) || 0);
+            } else {
+                counts.set(value, candidates.filter(predicate).length);
+            }
+        });
+        return counts;
+    }
+
+    /**
+     * Check whether a record's worst infraction severity is within a severity filter
+     * @param {Object} d - Record with worstSeverity
+     * @param {string} severity - 'all', 'clean', 'M', 'S' or 'C'
+     * @param {string} mode - 'atMost' (no worse than severity) or 'atLeast' (severity or worse)
+     * @returns {boolean} True when the record matches
+     */
+    matchesSeverity(d, severity, mode = 'atMost') {
+        if (severity === 'all') return true;
+        const order = this.SEVERITY_ORDER[d.worstSeverity];
+        if (order === undefined) return false;
+        return mode === 'atLeast' ? order >= this.SEVERITY_ORDER[severity] : order <= this.SEVERITY_ORDER[severity];
+    }
+
+    /**
+     * Check whether a record matches the establishment type filter
+     * @param {Object} d - Record
+     * @param {string} type - 'all', 'other' or a DineSafe establishment type
+     * @returns {boolean} True when the record matches
+     */
+    matchesType(d, type) {
+        if (type === 'all') return true;
+        if (type === 'other') return !this.MAIN_ESTABLISHMENT_TYPES.includes(d["Establishment Type"]);
+        return d["Establishment Type"] === type;
+    }
+}
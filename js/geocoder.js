@@ -0,0 +1,64 @@
+// geocoder.js - Offline location fallback for establishments without coordinates
+
+/**
+ * Geocoder class - Places establishments that have no DineSafe coordinates at the position of a
+ * Yelp listing with the same street address
+ */
+class Geocoder {
+    constructor(yelpMatcher = new YelpMatcher()) {
+        this.yelpMatcher = yelpMatcher;  // Reused for address parsing
+        this.addressIndex = new Map();   // "number street" -> [lat, lon]
+
+        // Location precision flags, most precise first
+        this.PRECISION = {
+            exact: "DineSafe coordinates",
+            address: "Yelp listing at the same address"
+        };
+    }
+
+    /**
+     * Index Yelp coordinates by street address
+     * @param {Array} yelpData - Yelp rows
+     */
+    buildIndex(yelpData) {
+        this.addressIndex.clear();
+
+        yelpData.forEach(row => {
+            const lat = parseFloat(row["Restaurant Latitude"]);
+            const lon = parseFloat(row["Restaurant Longitude"]);
+            if (isNaN(lat) || isNaN(lon)) return;
+
+            const key = this.getAddressKey(this.yelpMatcher.parseAddress(row["Restaurant Address"]));
+            if (key && !this.addressIndex.has(key)) {
+                this.addressIndex.set(key, [lat, lon]);
+            }
+        });
+    }
+
+    /**
+     * Build the address lookup key
+     * @param {Object|null} address - Parsed address
+     * @returns {string|null} Key, or null without a street number and name
+     */
+    getAddressKey(address) {
+        if (!address || !address.number || !address.street) return null;
+        return `${address.number} ${address.street}`;
+    }
+
+    /**
+     * Find an approximate location for an establishment
+     * @param {Object} d - Establishment
+     * @returns {Object|null} { lat, lon, precision }, or null when nothing matches
+     */
+    locate(d) {
+        const address = this.yelpMatcher.parseAddress(d["Establishment Address"]);
+        if (!address) return null;
+
+        const key = this.getAddressKey(address);
+        if (key && this.addressIndex.has(key)) {
+            const [lat, lon] = this.addressIndex.get(key);
+            return { lat, lon, precision: "address" };
+        }
+        return null;
+    }
+}
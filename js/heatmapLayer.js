@@ -0,0 +1,143 @@
+// heatmapLayer.js - Kernel density heatmap of serious infractions on the main map
+
+/**
+ * HeatmapLayer class - Draws a kernel density estimate of the filtered establishments, weighted
+ * by their worst infraction severity (crucial and significant only), as filled contour bands in
+ * an SVG group between the neighbourhoods and the dots. The density is computed in screen space
+ * for the current view, so the bandwidth stays the same number of pixels at every zoom level;
+ * while zooming the last contours follow the zoom transform and are recomputed once it settles.
+ */
+class HeatmapLayer {
+    constructor(mapStateInstance) {
+        this.mapState = mapStateInstance;
+
+        this.points = [];          // { x, y, weight } in untransformed map coordinates
+        this.visible = false;
+        this.bandwidth = 20;       // Kernel bandwidth in screen pixels
+        this.transform = d3.zoomIdentity;
+        this.redrawTimeout = null;
+
+        // Weight of a record by worstSeverity; records without a weight are left out
+        this.SEVERITY_WEIGHTS = { C: 3, S: 1 };
+        this.CELL_SIZE = 4;        // Density grid cell in screen pixels
+        this.LEVELS = 10;          // Contour bands between 0 and the densest cell in view
+        this.REDRAW_DELAY = 150;   // ms after the last zoom event
+    }
+
+    /**
+     * Create the layer group
+     * @param {Object} svg - d3 selection of the main SVG
+     */
+    setup(svg) {
+        this.group = svg.append("g")
+            .attr("id", "heatmap-layer")
+            .style("pointer-events", "none")
+            .style("display", "none");
+    }
+
+    /**
+     * Set the records to estimate the density of
+     * @param {Array} records - Filtered render records
+     */
+    setData(records) {
+        const projection = this.mapState.getMainProjection();
+        this.points = [];
+        records.forEach(d => {
+            const weight = this.SEVERITY_WEIGHTS[d.worstSeverity];
+            if (!weight || isNaN(d.Longitude) || isNaN(d.Latitude) || !d.Longitude || !d.Latitude) return;
+            const [x, y] = projection([d.Longitude, d.Latitude]);
+            this.points.push({ x, y, weight });
+        });
+        this.draw();
+    }
+
+    /**
+     * Show or hide the layer and change the kernel bandwidth
+     * @param {Object} options - { visible, bandwidth (screen pixels) }
+     */
+    setOptions({ visible, bandwidth }) {
+        this.visible = visible;
+        this.bandwidth = bandwidth;
+        this.group.style("display", visible ? null : "none");
+        this.draw();
+    }
+
+    /**
+     * Follow the zoom transform; the density is recomputed once zooming stops
+     * @param {Object} transform - d3 zoom transform
+     */
+    setTransform(transform) {
+        this.transform = transform;
+        this.group.attr("transform", transform);
+        this.scheduleDraw();
+    }
+
+    /**
+     * Animate to a zoom transform (for transforms applied without the zoom behaviour)
+     * @param {Object} transform - d3 zoom transform
+     * @param {number} duration - Duration in ms
+     */
+    transitionTo(transform, duration) {
+        this.transform = transform;
+        this.group.transition("heatmap-transform")
+            .duration(duration)
+            .attr("transform", transform)
+            .on("end", () => this.draw());
+    }
+
+    /**
+     * Recompute the density after the zoom settles
+     */
+    scheduleDraw() {
+        if (!this.visible) return;
+        clearTimeout(this.redrawTimeout);
+        this.redrawTimeout = setTimeout(() => this.draw(), this.REDRAW_DELAY);
+    }
+
+    /**
+     * Compute the density of the points in view and draw its contour bands
+     */
+    draw() {
+        clearTimeout(this.redrawTimeout);
+        if (!this.group) return;
+        if (!this.visible || this.points.length === 0) {
+            this.group.selectAll("path").remove();
+            return;
+        }
+
+        const config = this.mapState.getConfig();
+        const t = this.transform;
+        // Points just outside the view still add to the density near its edges
+        const margin = this.bandwidth * 3;
+        const width = config.mainWidth + 2 * margin;
+        const height = config.mainHeight + 2 * margin;
+        const inView = this.points
+            .map(p => ({ x: t.applyX(p.x) + margin, y: t.applyY(p.y) + margin, weight: p.weight }))
+            .filter(p => p.x >= 0 && p.x <= width && p.y >= 0 && p.y <= height);
+
+        const density = d3.contourDensity()
+            .x(p => p.x)
+            .y(p => p.y)
+            .weight(p => p.weight)
+            .size([width, height])
+            .cellSize(this.CELL_SIZE)
+            .bandwidth(this.bandwidth);
+        const contours = density.contours(inView);
+        const max = contours.max;
+        const bands = max > 0 ? d3.range(1, this.LEVELS).map(i => contours(max * i / this.LEVELS)) : [];
+
+        // Contours are in screen pixels of the view; draw them in map coordinates so the zoom transform applies
+        const toMap = d3.geoPath(d3.geoIdentity()
+            .scale(1 / t.k)
+            .translate([-(margin + t.x) / t.k, -(margin + t.y) / t.k]));
+        const color = d3.scaleSequential(d3.interpolateYlOrRd).domain([0, max]);
+
+        this.group.attr("transform", t)
+            .selectAll("path")
+            .data(bands)
+            .join("path")
+            .attr("class", "heatmap-band")
+            .attr("d", toMap)
+            .attr("fill", d => color(d.value));
+    }
+}
@@ -0,0 +1,221 @@
+// hexbinLayer.js - Hexagonal binning of the filtered establishments on the main map
+
+/**
+ * HexbinLayer class - Groups the filtered establishments into hexagons of equal ground size (so
+ * areas compare fairly, unlike neighbourhoods of very different sizes) and colours each hexagon
+ * by its count, average health score or closure rate. Hexagons are pointy-topped and laid out
+ * in map coordinates, so they follow the zoom transform like the neighbourhoods; only hexagons
+ * with establishments are drawn.
+ */
+class HexbinLayer {
+    constructor(mapStateInstance, handlers = {}) {
+        this.mapState = mapStateInstance;
+        // { onHover(bin, event), onMove(event), onLeave(event), onClick(bin, event) }
+        this.handlers = handlers;
+
+        this.records = [];
+        this.bins = [];
+        this.visible = false;
+        this.sizeKm = 1;           // Hexagon radius (centre to corner) on the ground
+        this.metric = "count";
+        this.selectedKey = null;   // Hexagon whose statistics are shown
+
+        this.KM_PER_DEGREE_LAT = 111.32;
+        this.METRICS = {
+            count: {
+                label: "Establishments",
+                format: d3.format(","),
+                interpolator: d3.interpolateBlues,
+                value: bin => bin.count
+            },
+            avgHealthScore: {
+                label: "Avg. Health Score",
+                format: d3.format(".1f"),
+                interpolator: d3.interpolateRdYlGn,
+                value: bin => bin.avgHealthScore
+            },
+            closureRate: {
+                label: "Closure Rate",
+                format: d3.format(".1%"),
+                interpolator: t => d3.interpolateRdYlGn(1 - t),
+                value: bin => bin.closureRate
+            }
+        };
+    }
+
+    /**
+     * Create the layer group
+     * @param {Object} svg - d3 selection of the main SVG
+     */
+    setup(svg) {
+        this.group = svg.append("g")
+            .attr("id", "hexbin-layer")
+            .style("display", "none");
+    }
+
+    /**
+     * Set the records to bin
+     * @param {Array} records - Filtered render records
+     */
+    setData(records) {
+        this.records = records;
+        this.draw();
+    }
+
+    /**
+     * Show or hide the layer, change the hexagon size and the colour metric
+     * @param {Object} options - { visible, sizeKm, metric }
+     */
+    setOptions({ visible, sizeKm, metric }) {
+        // Hexagons of another size are other hexagons
+        if (sizeKm !== this.sizeKm) this.selectedKey = null;
+        this.visible = visible;
+        this.sizeKm = sizeKm;
+        this.metric = metric in this.METRICS ? metric : "count";
+        this.group.style("display", visible ? null : "none");
+        this.draw();
+    }
+
+    /**
+     * Hexagon radius in map coordinates, measured at the centre of the neighbourhoods
+     * @returns {number} Radius in untransformed map pixels
+     */
+    getRadius() {
+        const projection = this.mapState.getMainProjection();
+        const [lon, lat] = d3.geoCentroid(this.mapState.getGeoData());
+        const [, y0] = projection([lon, lat]);
+        const [, y1] = projection([lon, lat + this.sizeKm / this.KM_PER_DEGREE_LAT]);
+        return Math.abs(y1 - y0);
+    }
+
+    /**
+     * Group records into hexagons
+     * @param {Array} records - Render records
+     * @param {number} radius - Hexagon radius in map coordinates
+     * @returns {Array} [{ x, y, count, avgHealthScore, closureRate, grades, members }]
+     */
+    binRecords(records, radius) {
+        const projection = this.mapState.getMainProjection();
+        const dx = radius * 2 * Math.sin(Math.PI / 3);
+        const dy = radius * 1.5;
+        const bins = new Map();
+
+        records.forEach(d => {
+            if (isNaN(d.Longitude) || isNaN(d.Latitude) || !d.Longitude || !d.Latitude) return;
+            const [x, y] = projection([d.Longitude, d.Latitude]);
+
+            // The nearest centre lies in one of the two rows around the point; in each row round to the nearest column
+            let pi = 0;
+            let pj = 0;
+            let best = Infinity;
+            const row = Math.floor(y / dy);
+            [row, row + 1].forEach(j => {
+                const i = Math.round(x / dx - (j & 1) / 2);
+                const distance = Math.hypot(x - (i + (j & 1) / 2) * dx, y - j * dy);
+                if (distance < best) {
+                    best = distance;
+                    pi = i;
+                    pj = j;
+                }
+            });
+
+            const key = `${pi},${pj}`;
+            if (!bins.has(key)) bins.set(key, { key, x: (pi + (pj & 1) / 2) * dx, y: pj * dy, members: [] });
+            bins.get(key).members.push(d);
+        });
+
+        return Array.from(bins.values(), bin => {
+            const grades = { A: 0, B: 0, C: 0, D: 0 };
+            bin.members.forEach(d => { if (d.healthGrade in grades) grades[d.healthGrade]++; });
+            return {
+                ...bin,
+                count: bin.members.length,
+                avgHealthScore: d3.mean(bin.members, d => d.healthScore),
+                closureRate: bin.members.filter(d => d["Establishment Status"] === "Closed").length / bin.members.length,
+                grades
+            };
+        });
+    }
+
+    /**
+     * Outline a hexagon as the one whose statistics are shown
+     * @param {Object|null} bin - Hexagon, or null to clear
+     */
+    select(bin) {
+        this.selectedKey = bin ? bin.key : null;
+        if (this.group) this.group.selectAll("path").classed("selected", d => d.key === this.selectedKey);
+    }
+
+    /**
+     * Get the outlined hexagon as binned from the current records
+     * @returns {Object|null} Hexagon, or null when none is selected or it has no establishments left
+     */
+    getSelected() {
+        return this.bins.find(bin => bin.key === this.selectedKey) || null;
+    }
+
+    /**
+     * Path of a hexagon centred on the origin
+     * @param {number} radius - Radius in map coordinates
+     * @returns {string} SVG path data
+     */
+    hexagonPath(radius) {
+        const corners = d3.range(6).map(i => {
+            const angle = i * Math.PI / 3;
+            return [Math.sin(angle) * radius, -Math.cos(angle) * radius];
+        });
+        return `M${corners.map(([x, y]) => `${x.toFixed(3)},${y.toFixed(3)}`).join("L")}Z`;
+    }
+
+    /**
+     * Colour scale of the current metric
+     * @returns {Function} Bin -> colour
+     */
+    getColor() {
+        const { interpolator, value } = this.METRICS[this.metric];
+        const [min, max] = d3.extent(this.bins, value);
+        const scale = d3.scaleSequential(interpolator).domain([min, max > min ? max : min + 1]);
+        return bin => scale(value(bin));
+    }
+
+    /**
+     * Bin the records and draw the hexagons
+     */
+    draw() {
+        if (!this.group) return;
+        if (!this.visible) {
+            this.bins = [];
+            this.selectedKey = null;
+            this.group.selectAll("path").remove();
+            return;
+        }
+
+        const radius = this.getRadius();
+        this.bins = this.binRecords(this.records, radius);
+        const color = this.getColor();
+
+        this.group.selectAll("path")
+            .data(this.bins, d => d.key)
+            .join("path")
+            .attr("class", "hexbin")
+            .classed("selected", d => d.key === this.selectedKey)
+            .attr("d", this.hexagonPath(radius))
+            .attr("transform", d => `translate(${d.x},${d.y})`)
+            .attr("fill", color)
+            .on("mouseenter", (event, d) => { if (this.handlers.onHover) this.handlers.onHover(d, event); })
+            .on("mousemove", (event) => { if (this.handlers.onMove) this.handlers.onMove(event); })
+            .on("mouseleave", (event) => { if (this.handlers.onLeave) this.handlers.onLeave(event); })
+            .on("click", (event, d) => { if (this.handlers.onClick) this.handlers.onClick(d, event); });
+    }
+
+    /**
+     * Get the value range of the current metric (for the legend)
+     * @returns {Object|null} { label, min, max, format, interpolator }, null when nothing is drawn
+     */
+    getLegend() {
+        if (this.bins.length === 0) return null;
+        const { label, format, interpolator, value } = this.METRICS[this.metric];
+        const [min, max] = d3.extent(this.bins, value);
+        return { label, min, max, format, interpolator };
+    }
+}
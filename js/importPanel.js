@@ -0,0 +1,215 @@
+// importPanel.js - Bring-your-own dataset import
+
+/**
+ * ImportPanel class - Reads a local CSV, JSON or GeoJSON file (file picker or drag and drop),
+ * lets the user map its columns onto the app's fields and stores it as a replacement for the
+ * bundled inspections, Yelp or neighbourhood file; the page reloads to process it
+ */
+class ImportPanel {
+    constructor(dataLoader, imports = []) {
+        this.dataLoader = dataLoader;
+        this.imports = imports;  // Active imports: [{ kind, name, importedAt, rows }]
+        this.schemas = FieldMapping.getSchemas();
+        this.file = null;        // { name, data, columns, kind }
+        this.mapping = null;
+    }
+
+    /**
+     * Bind the file input, drop targets and buttons
+     */
+    setup() {
+        d3.select("#import-file-input").on("change", (event) => {
+            const file = event.target.files[0];
+            if (file) this.readFile(file);
+            event.target.value = "";
+        });
+
+        // Files can be dropped on the panel's drop zone or anywhere on the map
+        d3.selectAll("#import-dropzone, #map-container")
+            .on("dragover", (event) => {
+                if (!Array.from(event.dataTransfer.types).includes("Files")) return;
+                event.preventDefault();
+                d3.select("#import-dropzone").classed("dragover", true);
+            })
+            .on("dragleave", () => d3.select("#import-dropzone").classed("dragover", false))
+            .on("drop", (event) => {
+                event.preventDefault();
+                d3.select("#import-dropzone").classed("dragover", false);
+                const file = event.dataTransfer.files[0];
+                if (!file) return;
+                this.show();
+                this.readFile(file);
+            });
+
+        d3.select("#import-kind-select")
+            .on("change", (event) => this.setKind(event.target.value))
+            .selectAll("option")
+            .data(Object.entries(this.schemas))
+            .join("option")
+            .attr("value", ([kind]) => kind)
+            .text(([, schema]) => schema.label);
+
+        d3.select("#import-apply-btn").on("click", () => this.apply());
+        d3.select("#import-clear-btn").on("click", () => this.clear());
+        d3.select("#import-close-btn").on("click", () => this.hide());
+
+        this.render();
+    }
+
+    /**
+     * Show the panel
+     */
+    show() {
+        d3.select("#import-panel").classed("hidden", false);
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        d3.select("#import-panel").classed("hidden", true);
+    }
+
+    /**
+     * Parse a dropped or chosen file and guess its dataset kind
+     * @param {File} file - Local file
+     */
+    async readFile(file) {
+        const status = d3.select("#import-status");
+        status.text(`Reading ${file.name}...`);
+
+        try {
+            const parsed = this.parseText(file.name, await file.text());
+            this.file = { name: file.name, ...parsed };
+            this.setKind(parsed.kind);
+            status.text(`${file.name}: ${d3.format(",")(parsed.count)} ${parsed.kind === "boundaries" ? "features" : "rows"}`);
+        } catch (e) {
+            console.error("❌ Import failed:", e);
+            this.file = null;
+            this.mapping = null;
+            this.render();
+            status.text(`Cannot read ${file.name}: ${e.message}`);
+        }
+    }
+
+    /**
+     * Parse file contents (CSV, JSON array of rows, or GeoJSON FeatureCollection)
+     * @param {string} name - File name
+     * @param {string} text - File contents
+     * @returns {Object} { data, columns, kind, count }
+     */
+    parseText(name, text) {
+        text = text.replace(/^\uFEFF/, "");
+
+        if (/\.csv$/i.test(name)) {
+            const rows = d3.csvParse(text);
+            if (rows.length === 0) throw new Error("the CSV file has no rows");
+            return { data: rows, columns: rows.columns, kind: FieldMapping.guessKind(rows.columns), count: rows.length };
+        }
+
+        const json = JSON.parse(text);
+        if (json && json.type === "FeatureCollection" && Array.isArray(json.features)) {
+            const columns = Array.from(new Set(json.features.flatMap(f => Object.keys(f.properties || {}))));
+            return { data: json, columns, kind: "boundaries", count: json.features.length };
+        }
+        if (Array.isArray(json) && json.length > 0 && typeof json[0] === "object") {
+            const columns = Array.from(new Set(json.slice(0, 100).flatMap(row => Object.keys(row))));
+            return { data: json, columns, kind: FieldMapping.guessKind(columns), count: json.length };
+        }
+        throw new Error("expected a CSV file, a JSON array of records or a GeoJSON FeatureCollection");
+    }
+
+    /**
+     * Set the dataset kind of the current file and load its (saved or guessed) mapping
+     * @param {string} kind - "inspections" | "yelp" | "boundaries"
+     */
+    setKind(kind) {
+        if (!this.file) return;
+        this.file.kind = kind;
+        this.mapping = FieldMapping.forColumns(kind, this.file.columns);
+        this.render();
+    }
+
+    /**
+     * Render the active imports and the mapping table of the current file
+     */
+    render() {
+        const format = d3.format(",");
+        const kindLabels = { inspections: "Inspections", yelp: "Yelp data", boundaries: "Neighbourhoods" };
+
+        d3.select("#import-active")
+            .selectAll("li")
+            .data(this.imports.length > 0 ? this.imports : [null])
+            .join("li")
+            .text(d => d
+                ? `${kindLabels[d.kind]}: ${d.name} (${format(d.rows)} ${d.kind === "boundaries" ? "features" : "rows"}, ` +
+                  `imported ${new Date(d.importedAt).toLocaleDateString()})`
+                : "None, using the bundled files");
+        d3.select("#import-clear-btn").property("disabled", this.imports.length === 0);
+
+        const table = d3.select("#import-mapping");
+        table.selectAll("*").remove();
+        d3.select("#import-kind-select").property("disabled", !this.file);
+        d3.select("#import-apply-btn").property("disabled", true);
+        if (!this.file || !this.mapping) return;
+
+        d3.select("#import-kind-select").property("value", this.file.kind);
+        const columns = this.file.columns.filter(Boolean);
+
+        const rows = table.append("tbody").selectAll("tr")
+            .data(this.mapping.schema.fields)
+            .join("tr");
+        rows.append("td")
+            .text(d => d.label)
+            .classed("required", d => d.required);
+        rows.append("td")
+            .append("select")
+            .on("change", (event, d) => {
+                this.mapping.mapping[d.key] = event.target.value;
+                this.renderMissing();
+            })
+            .selectAll("option")
+            .data(d => [{ value: "", label: d.fallback !== undefined ? `(not in file: "${d.fallback}")` : "(not in file)", field: d },
+                ...columns.map(column => ({ value: column, label: column, field: d }))])
+            .join("option")
+            .attr("value", o => o.value)
+            .property("selected", o => this.mapping.mapping[o.field.key] === o.value)
+            .text(o => o.label);
+
+        this.renderMissing();
+    }
+
+    /**
+     * Show which required fields are still unmapped and enable "Import" when none are
+     */
+    renderMissing() {
+        const missing = this.mapping.getMissingFields();
+        d3.select("#import-missing").text(missing.length > 0 ? `Required fields not mapped: ${missing.join(", ")}` : "");
+        d3.select("#import-apply-btn").property("disabled", missing.length > 0);
+    }
+
+    /**
+     * Store the current file with its mapping and reload the page to process it
+     */
+    async apply() {
+        const status = d3.select("#import-status");
+        status.text("Importing...");
+        try {
+            await this.dataLoader.importDataset(this.file.kind, this.file.name, this.mapping, this.file.data);
+            await this.dataLoader.clearCache();
+            window.location.reload();
+        } catch (e) {
+            console.error("❌ Import failed:", e);
+            status.text(`Import failed: ${e.message}`);
+        }
+    }
+
+    /**
+     * Remove all imports and reload with the bundled files
+     */
+    async clear() {
+        await this.dataLoader.clearImports();
+        await this.dataLoader.clearCache();
+        window.location.reload();
+    }
+}
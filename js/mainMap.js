@@ -15,9 +15,35 @@ class MainMap {
         console.log("  - tooltip:", !!this.tooltip, typeof this.tooltip);
         console.log("  - charts:", !!this.charts);
         
-        // Cache neighbourhood statistics data
-        this.neighbourhoodStatsCache = new Map();
-        this.lastHoverTimeout = null;
+        // 筛选、统计与聚合（与 cards 页面和 Node 脚本共用，不读取 DOM）
+        this.core = new DineSafeCore();
+        
+        // 视图状态保存在 URL 中（可分享链接）
+        this.urlState = new UrlState();
+        
+        // 筛选条件 -> 筛选控件（chips：多选按钮组，range：滑块，select：下拉框；counts: false 表示不显示数量）
+        this.FILTER_CONTROLS = {
+            status: { type: "chips", selector: "#status-filter" },
+            healthGrade: { type: "chips", selector: "#health-grade-filter" },
+            type: { type: "chips", selector: "#cuisine-filter" },
+            scoreMin: { type: "range", selector: "#score-min-filter" },
+            scoreMax: { type: "range", selector: "#score-max-filter" },
+            severityMode: { type: "select", selector: "#severity-mode-filter", counts: false },
+            severity: { type: "select", selector: "#severity-filter" },
+            yelpCuisine: { type: "select", selector: "#yelp-cuisine-filter" },
+            price: { type: "select", selector: "#price-filter" }
+        };
+        
+        // 各社区统计（基于当前筛选结果，筛选变化时重新计算）
+        this.neighbourhoodStats = new Map();
+        
+        // 分级设色模式：按所选指标为社区着色（null 表示未开启）
+        this.choropleth = new Choropleth();
+        this.choroplethValues = null;
+        
+        // 搜索定位：餐厅的缩放级别和飞行动画时长
+        this.SEARCH_ZOOM = 6;
+        this.FLY_DURATION = 1000;
     }
 
     /**
@@ -34,7 +60,61 @@ class MainMap {
         
         // 创建地图图层
         mainSvg.append("g").attr("id", "map-paths");
-        mainSvg.append("g").attr("id", "restaurant-dots");
+        // 严重违规的核密度热力图，位于社区和餐厅点之间
+        this.heatmapLayer = new HeatmapLayer(this.mapState);
+        this.heatmapLayer.setup(mainSvg);
+        this.mapState.setHeatmapLayer(this.heatmapLayer);
+        // 六边形分箱：面积相同的六边形，便于比较
+        this.hexbinLayer = new HexbinLayer(this.mapState, {
+            onHover: (bin, event) => {
+                // 鼠标在餐厅点上时保留餐厅的 tooltip
+                if (this.dotLayer.getHovered()) return;
+                this.tooltip.hide();
+                this.showHexTooltip(event, bin);
+            },
+            onMove: (event) => this.tooltip.move(event),
+            onLeave: () => this.tooltip.hide(),
+            onClick: (bin) => this.handleHexClick(bin)
+        });
+        this.hexbinLayer.setup(mainSvg);
+        this.mapState.setHexbinLayer(this.hexbinLayer);
+        // 餐厅点使用 canvas 绘制（可显示全部数据），鼠标命中由 DotLayer 的 quadtree 判断；
+        // 低缩放级别下相邻的点合并为聚合点
+        this.dotLayer = new DotLayer(this.mapState, {
+            onHover: (d, event) => {
+                // 立即隐藏任何可能存在的社区tooltip，然后显示餐厅的tooltip
+                this.tooltip.hide();
+                this.tooltip.show(event, d);
+            },
+            onLeave: (event) => {
+                this.tooltip.hide();
+                // 离开餐厅点后如果仍在六边形或社区上，重新显示其 tooltip
+                const hex = event && event.target.closest ? event.target.closest("#hexbin-layer path") : null;
+                const path = event && event.target.closest ? event.target.closest("#map-paths path") : null;
+                if (hex) {
+                    this.showHexTooltip(event, d3.select(hex).datum());
+                } else if (path) {
+                    this.handleNeighbourhoodMouseover(event, d3.select(path).datum());
+                }
+            },
+            onClick: (d, event) => {
+                // 点击餐厅点：高亮并显示 tooltip（不选中下方的社区）
+                this.dotLayer.setHighlight(d["unique_id"]);
+                this.tooltip.show(event, d);
+            },
+            onClusterHover: (cluster, event) => {
+                this.tooltip.hide();
+                this.showClusterTooltip(event, cluster);
+            },
+            onClusterClick: (cluster) => {
+                this.tooltip.hideImmediate();
+                this.zoomToCluster(cluster);
+            }
+        });
+        this.dotLayer.setup(mainSvg);
+        this.mapState.setDotLayer(this.dotLayer);
+        mainSvg.append("g").attr("id", "change-dots");
+        mainSvg.append("g").attr("id", "search-highlight");
         
         // 添加缩放和拖拽功能
         const mainZoom = d3.zoom()
@@ -45,14 +125,17 @@ class MainMap {
                 
                 // 应用变换到地图和餐厅点
                 mainSvg.select("#map-paths").attr("transform", event.transform);
-                mainSvg.select("#restaurant-dots").attr("transform", event.transform);
+                mainSvg.selectAll("#hexbin-layer, #change-dots, #search-highlight").attr("transform", event.transform);
+                this.dotLayer.setTransform(event.transform);
+                this.heatmapLayer.setTransform(event.transform);
                 
                 // 更新 minimap（需要MiniMap实例）
                 if (window.miniMapInstance) {
                     window.miniMapInstance.updateVisibility();
                     window.miniMapInstance.updateViewport();
                 }
-            });
+            })
+            .on("end", () => this.mapState.notifyViewChange());
         
         this.mapState.setMainZoom(mainZoom);
         mainSvg.call(mainZoom);
@@ -84,171 +167,393 @@ class MainMap {
             .on("click", (event, d) => this.handleNeighbourhoodClick(event, d))
             .on("mouseenter", (event, d) => this.handleNeighbourhoodMouseover(event, d))
             .on("mousemove", (event) => this.tooltip.move(event))
-            .on("mouseleave", () => {
-                // 当鼠标离开社区时，清除待处理的计算并隐藏tooltip
-                if (this.lastHoverTimeout) {
-                    clearTimeout(this.lastHoverTimeout);
-                    this.lastHoverTimeout = null;
-                }
-                this.tooltip.hide();
-            });
+            .on("mouseleave", () => this.tooltip.hide());
         
-        // 获取筛选后的数据
+        // 获取筛选后的数据，并重新计算各社区统计
         const filteredData = this.getFilteredData();
+        this.updateNeighbourhoodStats(filteredData);
         
         // 根据复选框状态决定是否显示点
         const showDots = d3.select("#show-dots").property("checked");
         if (showDots) {
             this.drawAllRestaurants(filteredData);
         } else {
-            mainSvg.select("#restaurant-dots").selectAll("*").remove();
+            this.clearRestaurants();
         }
     }
 
     /**
-     * 获取筛选后的数据
-     * @returns {Array} 筛选后的餐厅数据
+     * 读取筛选控件的当前值
+     * @returns {Object} 筛选条件（DineSafeCore.filterRecords 的格式）
      */
-    getFilteredData() {
-        const mergedData = this.mapState.getMergedData();
-        const statusFilter = d3.select("#status-filter").property("value");
-        const healthGradeFilter = d3.select("#health-grade-filter").property("value");
-        const cuisineFilter = d3.select("#cuisine-filter").property("value");
-        const severityFilter = d3.select("#severity-filter").property("value");
-        
-        const mainCuisineTypes = [
-            "Restaurant", "Food Take Out", "Food Store (Convenience/Variety)",
-            "Food Court Vendor", "Supermarket", "Bakery", "Food Caterer",
-            "Banquet Facility", "Butcher Shop"
-        ];
-        
-        return mergedData.filter(d => {
-            const statusMatch = statusFilter === 'all' || d["Establishment Status"] === statusFilter;
-            const healthGradeMatch = healthGradeFilter === 'all' || d.healthGrade === healthGradeFilter;
-            
-            let cuisineMatch = cuisineFilter === 'all';
-            if (!cuisineMatch) {
-                if (cuisineFilter === 'other') {
-                    cuisineMatch = !mainCuisineTypes.includes(d["Establishment Type"]);
-                } else {
-                    cuisineMatch = d["Establishment Type"] === cuisineFilter;
-                }
+    getFilterValues() {
+        const filters = {};
+        Object.entries(this.FILTER_CONTROLS).forEach(([key, { type, selector }]) => {
+            if (type === "chips") {
+                filters[key] = d3.selectAll(`${selector} .chip.active`).nodes().map(chip => chip.dataset.value);
+            } else if (type === "range") {
+                filters[key] = +d3.select(selector).property("value");
+            } else {
+                filters[key] = d3.select(selector).property("value");
             }
+        });
+        return filters;
+    }
+
+    /**
+     * 更新健康分数范围的文字显示
+     */
+    updateScoreRangeLabel() {
+        const { scoreMin, scoreMax } = this.getFilterValues();
+        d3.select("#score-range-value").text(`${scoreMin} – ${scoreMax}`);
+    }
+
+    /**
+     * 在每个筛选选项后显示匹配数量，如 "Closed (214)"（其他筛选条件保持不变时的数量）
+     */
+    updateFilterCounts() {
+        const data = this.mapState.getMergedData();
+        const filters = this.getFilterValues();
+        const format = d3.format(",");
+        
+        Object.entries(this.FILTER_CONTROLS).forEach(([key, { type, selector, counts: showCounts }]) => {
+            if (type === "range" || showCounts === false) return;
             
-            let severityMatch = true;
-            if (severityFilter !== 'all') {
-                const severityOrder = { 'clean': 0, 'M': 1, 'S': 2, 'C': 3 };
-                const filterLevel = severityOrder[severityFilter];
-                const restaurantLevel = severityOrder[d.worstSeverity];
-                severityMatch = restaurantLevel <= filterLevel;
-            }
+            const options = d3.select(selector).selectAll(type === "chips" ? ".chip" : "option");
+            // 原始文字保存在 data-label 中
+            options.each(function() {
+                if (!this.hasAttribute("data-label")) this.setAttribute("data-label", this.textContent);
+            });
             
-            return statusMatch && healthGradeMatch && cuisineMatch && severityMatch;
+            // 选项的值：按钮为 data-value，下拉选项为 value
+            const valueOf = node => (type === "chips" ? node.dataset.value : node.value);
+            const counts = this.core.countOptions(data, filters, key, options.nodes().map(valueOf));
+            options.text(function() {
+                return `${this.getAttribute("data-label")} (${format(counts.get(valueOf(this)))})`;
+            });
         });
     }
 
+    /**
+     * 获取筛选后的数据
+     * @returns {Array} 筛选后的餐厅数据
+     */
+    getFilteredData() {
+        return this.core.filterRecords(this.mapState.getMergedData(), this.getFilterValues());
+    }
+
     /**
      * 绘制所有餐厅点
      * @param {Array} restaurants - 餐厅数据
      */
     drawAllRestaurants(restaurants) {
-        const config = this.mapState.getConfig();
+        this.dotLayer.setData(restaurants);
+    }
+
+    /**
+     * 清除餐厅点
+     */
+    clearRestaurants() {
+        this.dotLayer.clear();
+    }
+
+    /**
+     * 绘制快照变化点（与餐厅点分开的图层）
+     * @param {Array} changes - SnapshotDiff 变化列表，传空数组清除
+     */
+    drawChanges(changes) {
         const mainProjection = this.mapState.getMainProjection();
         const mainSvg = this.mapState.getMainSvg();
-        const radiusScale = this.mapState.getRadiusScale();
-        
-        const circles = mainSvg.select("#restaurant-dots").selectAll("circle")
-            .data(restaurants, d => d["unique_id"]);
-        
-        circles.join("circle")
-            .attr("class", "restaurant")
-            .attr("cx", d => mainProjection([+d.Longitude, +d.Latitude])[0])
-            .attr("cy", d => mainProjection([+d.Longitude, +d.Latitude])[1])
-            .attr("r", d => d.yelpMatch ? radiusScale(+d.yelpMatch.num_of_reviews) : 3)
-            .attr("fill", d => config.healthGradeColors[d.healthGrade || 'D'])
-            .attr("stroke", d => {
-                if (d["Establishment Status"] === "Closed") return "#c62828";
-                if (d["Establishment Status"] === "Conditional Pass") return "#e65100";
-                return "rgba(0,0,0,0.3)";
-            })
+        const snapshotDiff = new SnapshotDiff();
+        
+        // 没有坐标的变化只出现在变化日志中
+        const located = changes.filter(d => !isNaN(d.Latitude) && !isNaN(d.Longitude) && d.Latitude && d.Longitude);
+        
+        mainSvg.select("#change-dots").selectAll("circle")
+            .data(located, d => `${d.changeType}|${d["Establishment ID"]}`)
+            .join("circle")
+            .attr("class", d => `change-dot change-${d.changeType}`)
+            .attr("cx", d => mainProjection([d.Longitude, d.Latitude])[0])
+            .attr("cy", d => mainProjection([d.Longitude, d.Latitude])[1])
+            .attr("r", 5)
             .on("mouseenter", (event, d) => {
-                // 当鼠标进入餐厅点时，立即清除任何待处理的社区悬停计算
-                if (this.lastHoverTimeout) {
-                    clearTimeout(this.lastHoverTimeout);
-                    this.lastHoverTimeout = null;
-                }
-                // 立即隐藏任何可能存在的社区tooltip，然后显示餐厅的tooltip
-                this.tooltip.hide(); 
-                
-                // 添加悬停效果
-                d3.select(event.target).classed("hovered", true);
-                
-                this.tooltip.show(event, d);
+                this.tooltip.hide();
+                this.tooltip.showCustom(event, `
+                    <div style="min-width: 200px;">
+                        <h3 style="margin: 0 0 6px 0;">${d["Establishment Name"]}</h3>
+                        <div style="font-size: 13px; color: #666;">${d["Establishment Address"] || ""}</div>
+                        <div style="margin-top: 6px;">
+                            <strong>${snapshotDiff.CHANGE_TYPES[d.changeType]}:</strong> ${snapshotDiff.describe(d)}
+                        </div>
+                    </div>
+                `);
             })
             .on("mousemove", (event) => this.tooltip.move(event))
-            .on("mouseleave", (event) => {
-                // 移除悬停效果
-                d3.select(event.target).classed("hovered", false);
-                this.tooltip.hide();
-            });
+            .on("mouseleave", () => this.tooltip.hide());
     }
 
     /**
-     * 处理社区悬停事件（优化性能）
+     * 按社区汇总筛选后的餐厅（使用加载时分配的 AREA_NAME），并更新基于筛选结果的分级设色、热力图和六边形
+     * @param {Array} restaurants - 筛选后的餐厅数据
+     */
+    updateNeighbourhoodStats(restaurants) {
+        this.neighbourhoodStats = this.core.aggregateByNeighbourhood(restaurants);
+        this.updateChoropleth(restaurants);
+        this.heatmapLayer.setData(restaurants);
+        this.hexbinLayer.setData(restaurants);
+        this.renderHexbinLegend();
+    }
+
+    /**
+     * 读取六边形控件的当前值
+     * @returns {Object} { visible, sizeKm, metric }
+     */
+    getHexbinSettings() {
+        return {
+            visible: d3.select("#show-hexbin").property("checked"),
+            sizeKm: +d3.select("#hexbin-size").property("value"),
+            metric: d3.select("#hexbin-metric").property("value")
+        };
+    }
+
+    /**
+     * 应用六边形控件的值（显示状态、大小和着色指标）
+     */
+    updateHexbin() {
+        const settings = this.getHexbinSettings();
+        d3.selectAll("#hexbin-size, #hexbin-metric").property("disabled", !settings.visible);
+        this.hexbinLayer.setOptions(settings);
+        this.renderHexbinLegend();
+    }
+
+    /**
+     * 从 URL 恢复六边形控件（无效的值回到默认值）
+     */
+    restoreHexbin() {
+        const { visible, sizeKm, metric } = this.urlState.readHexbin();
+        d3.select("#show-hexbin").property("checked", visible);
+        
+        const size = d3.select("#hexbin-size").property("value", sizeKm);
+        if (size.property("value") !== sizeKm) size.property("value", "1");
+        d3.select("#hexbin-metric").property("value", metric in this.hexbinLayer.METRICS ? metric : "count");
+        this.updateHexbin();
+    }
+
+    /**
+     * 绘制六边形图例（颜色渐变和取值范围）
+     */
+    renderHexbinLegend() {
+        const legendData = this.hexbinLayer.getLegend();
+        const legend = d3.select("#hexbin-legend").classed("hidden", !legendData).html("");
+        if (!legendData) return;
+        
+        const { label, min, max, format, interpolator } = legendData;
+        const stops = d3.range(0, 1.01, 0.25).map(t => interpolator(t)).join(", ");
+        legend.append("div").attr("class", "legend-title").text(label);
+        legend.append("div").attr("class", "legend-gradient").style("background", `linear-gradient(to right, ${stops})`);
+        const labels = legend.append("div").attr("class", "legend-range");
+        labels.append("span").text(format(min));
+        labels.append("span").text(format(max));
+    }
+
+    /**
+     * 显示六边形工具提示：餐厅数量、平均健康分、关闭率和卫生等级构成
      * @param {Event} event - 鼠标事件
-     * @param {Object} feature - GeoJSON feature
+     * @param {Object} bin - HexbinLayer 六边形
      */
-    handleNeighbourhoodMouseover(event, feature) {
-        const neighbourhoodName = feature.properties.AREA_NAME;
+    showHexTooltip(event, bin) {
+        const grades = ['A', 'B', 'C', 'D']
+            .filter(grade => bin.grades[grade] > 0)
+            .map(grade => `${grade}: ${bin.grades[grade]}`)
+            .join(" · ");
         
-        // 清除之前的计算
-        if (this.lastHoverTimeout) {
-            clearTimeout(this.lastHoverTimeout);
+        const content = `
+            <div style="min-width: 200px;">
+                <h3 style="margin: 0 0 10px 0; border-bottom: 2px solid #007bff; padding-bottom: 5px;">
+                    ${d3.format(",")(bin.count)} ${bin.count === 1 ? "restaurant" : "restaurants"}
+                </h3>
+                <div style="font-size: 14px;">
+                    <strong>Avg. Health Score:</strong>
+                    <span style="font-weight: bold; font-size: 18px; color: #2c3e50;">
+                        ${bin.avgHealthScore !== undefined ? bin.avgHealthScore.toFixed(1) : 'N/A'}
+                    </span>
+                </div>
+                <div style="font-size: 14px; margin-top: 4px;">
+                    <strong>Closure Rate:</strong> ${d3.format(".1%")(bin.closureRate)}
+                </div>
+                <div style="font-size: 13px; color: #666; margin-top: 4px;">Health grades: ${grades || 'N/A'}</div>
+                <div style="font-size: 12px; color: #999; margin-top: 6px;">Click for statistics</div>
+            </div>
+        `;
+        
+        this.tooltip.showCustom(event, content);
+    }
+
+    /**
+     * 处理六边形点击事件：与点击社区一样显示其中餐厅的点和统计面板
+     * @param {Object} bin - HexbinLayer 六边形
+     */
+    handleHexClick(bin) {
+        const mainSvg = this.mapState.getMainSvg();
+        
+        // 六边形与社区的选中互斥
+        mainSvg.select("#map-paths").selectAll("path").classed("selected", false);
+        this.mapState.setSelectedNeighbourhood(null);
+        this.hexbinLayer.select(bin);
+        
+        // 以六边形内最多餐厅所在的社区命名
+        const areas = d3.rollups(bin.members.filter(d => d.AREA_NAME), v => v.length, d => d.AREA_NAME)
+            .sort((a, b) => b[1] - a[1]);
+        const name = areas.length > 0 ? `Hexagon near ${areas[0][0]}` : "Hexagon";
+        
+        const showDots = d3.select("#show-dots").property("checked");
+        if (showDots) {
+            this.drawRestaurantsInNeighbourhood(bin.members);
         }
         
-        // 立即隐藏任何餐厅的tooltip
-        this.tooltip.hide();
+        this.showStatsPanel(name, bin.members, `${name} - Hexagon Statistics`);
+        this.mapState.notifyViewChange(true);
+    }
+
+    /**
+     * 读取热力图控件的当前值
+     * @returns {Object} { visible, bandwidth }
+     */
+    getHeatmapSettings() {
+        return {
+            visible: d3.select("#show-heatmap").property("checked"),
+            bandwidth: +d3.select("#heatmap-bandwidth").property("value")
+        };
+    }
+
+    /**
+     * 应用热力图控件的值（显示状态和带宽）
+     */
+    updateHeatmap() {
+        const { visible, bandwidth } = this.getHeatmapSettings();
+        d3.select("#heatmap-bandwidth").property("disabled", !visible);
+        d3.select("#heatmap-bandwidth-value").text(`${bandwidth} px`);
+        this.heatmapLayer.setOptions({ visible, bandwidth });
+    }
+
+    /**
+     * 从 URL 恢复热力图控件
+     */
+    restoreHeatmap() {
+        const { visible, bandwidth } = this.urlState.readHeatmap();
+        const slider = d3.select("#heatmap-bandwidth");
+        d3.select("#show-heatmap").property("checked", visible);
+        // 超出滑块范围的值由浏览器限制到范围内
+        slider.property("value", bandwidth === null ? slider.attr("value") : bandwidth);
+        this.updateHeatmap();
+    }
+
+    /**
+     * 读取分级设色控件的当前值
+     * @returns {Object} { metric, classing }，metric 为 'none' 表示未开启
+     */
+    getChoroplethSettings() {
+        return {
+            metric: d3.select("#choropleth-metric").property("value"),
+            classing: d3.select("#choropleth-classing").property("value")
+        };
+    }
+
+    /**
+     * 从 URL 恢复分级设色控件（无效的值回到默认值）
+     */
+    restoreChoropleth() {
+        const { metric, classing } = this.urlState.readChoropleth();
+        d3.select("#choropleth-metric").property("value", metric in this.choropleth.METRICS ? metric : "none");
+        d3.select("#choropleth-classing").property("value", classing in this.choropleth.CLASSINGS ? classing : "quantile");
+    }
+
+    /**
+     * 按所选指标为社区着色并更新图例（指标基于筛选后的餐厅计算）
+     * @param {Array} restaurants - 筛选后的餐厅数据
+     */
+    updateChoropleth(restaurants = this.getFilteredData()) {
+        const { metric, classing } = this.getChoroplethSettings();
+        const paths = this.mapState.getMainSvg().select("#map-paths");
+        const active = metric in this.choropleth.METRICS;
         
-        // 检查缓存
-        if (this.neighbourhoodStatsCache.has(neighbourhoodName)) {
-            const avgHealthScore = this.neighbourhoodStatsCache.get(neighbourhoodName);
-            this.showNeighbourhoodTooltip(event, neighbourhoodName, avgHealthScore);
+        d3.select("#choropleth-classing").property("disabled", !active);
+        paths.classed("choropleth", active);
+        if (!active) {
+            this.choroplethValues = null;
+            paths.selectAll("path").style("--choropleth-fill", null);
+            d3.select("#choropleth-legend").classed("hidden", true).html("");
             return;
         }
         
-        // 先显示名称，异步计算分数
-        this.showNeighbourhoodTooltip(event, neighbourhoodName, '');
+        const values = this.choropleth.computeValues(metric, restaurants, this.mapState.getGeoData().features);
+        const { color, classes } = this.choropleth.classify(metric, values, classing);
+        this.choroplethValues = values;
         
-        // 延迟计算，避免快速移动时频繁计算
-        this.lastHoverTimeout = setTimeout(() => {
-            const mergedData = this.mapState.getMergedData();
-            
-            // 实时计算该社区内的餐厅
-            const restaurantsInArea = mergedData.filter(resto => {
-                const point = [+resto.Longitude, +resto.Latitude];
-                return d3.geoContains(feature, point);
-            });
-            
-            // 计算平均健康分
-            const avgHealthScore = restaurantsInArea.length > 0 
-                ? d3.mean(restaurantsInArea, d => d.healthScore).toFixed(1)
-                : 'N/A';
-            
-            // 缓存结果
-            this.neighbourhoodStatsCache.set(neighbourhoodName, avgHealthScore);
-            
-            // 更新显示
-            this.showNeighbourhoodTooltip(event, neighbourhoodName, avgHealthScore);
-        }, 150); // 150ms 延迟
+        // 填充色通过 CSS 变量设置，悬停和选中样式仍然有效
+        paths.selectAll("path").style("--choropleth-fill", d => color(values.get(d.properties.AREA_NAME)));
+        
+        const hasNoData = Array.from(values.values()).some(v => v === null || isNaN(v));
+        this.renderChoroplethLegend(metric, classes, hasNoData);
+    }
+
+    /**
+     * 绘制分级设色图例
+     * @param {string} metric - 指标键
+     * @param {Array} classes - Choropleth.classify 返回的分级 [{ min, max, color }]
+     * @param {boolean} hasNoData - 是否有无数据的社区
+     */
+    renderChoroplethLegend(metric, classes, hasNoData) {
+        const { label, format } = this.choropleth.METRICS[metric];
+        const rows = classes.map(c => ({ color: c.color, text: `${format(c.min)} – ${format(c.max)}` }));
+        if (hasNoData) rows.push({ color: this.choropleth.NO_DATA_COLOR, text: "No data" });
+        
+        const legend = d3.select("#choropleth-legend").classed("hidden", false).html("");
+        legend.append("div").attr("class", "legend-title").text(label);
+        const items = legend.selectAll(".legend-row")
+            .data(rows)
+            .join("div")
+            .attr("class", "legend-row");
+        items.append("span").attr("class", "legend-swatch").style("background", d => d.color);
+        items.append("span").text(d => d.text);
+    }
+
+    /**
+     * 获取社区内的餐厅
+     * @param {Array} restaurants - 餐厅数据
+     * @param {string} neighbourhoodName - 社区名称 (AREA_NAME)
+     * @returns {Array} 该社区内的餐厅
+     */
+    getRestaurantsInNeighbourhood(restaurants, neighbourhoodName) {
+        return this.core.inNeighbourhood(restaurants, neighbourhoodName);
+    }
+
+    /**
+     * 处理社区悬停事件
+     * @param {Event} event - 鼠标事件
+     * @param {Object} feature - GeoJSON feature
+     */
+    handleNeighbourhoodMouseover(event, feature) {
+        const neighbourhoodName = feature.properties.AREA_NAME;
+        
+        // 鼠标在餐厅点上时保留餐厅的 tooltip
+        if (this.dotLayer.getHovered()) return;
+        
+        // 立即隐藏任何餐厅的tooltip
+        this.tooltip.hide();
+        
+        const stats = this.neighbourhoodStats.get(neighbourhoodName);
+        this.showNeighbourhoodTooltip(event, neighbourhoodName, stats);
     }
 
     /**
      * 显示社区工具提示
      * @param {Event} event - 鼠标事件
      * @param {string} neighbourhoodName - 社区名称
-     * @param {string} avgHealthScore - 平均健康分数
+     * @param {Object} stats - { count, avgHealthScore }，无餐厅时为 undefined
      */
-    showNeighbourhoodTooltip(event, neighbourhoodName, avgHealthScore) {
+    showNeighbourhoodTooltip(event, neighbourhoodName, stats) {
+        const avgHealthScore = stats ? stats.avgHealthScore.toFixed(1) : 'N/A';
         const content = `
             <div style="min-width: 200px;">
                 <h3 style="margin: 0 0 10px 0; border-bottom: 2px solid #007bff; padding-bottom: 5px;">
@@ -260,12 +565,87 @@ class MainMap {
                         ${avgHealthScore}
                     </span>
                 </div>
+                ${this.getChoroplethTooltipRow(neighbourhoodName)}
+                <div style="font-size: 13px; color: #666; margin-top: 4px;">
+                    ${stats ? stats.count : 0} restaurants match the current filters
+                </div>
+            </div>
+        `;
+        
+        this.tooltip.showCustom(event, content);
+    }
+
+    /**
+     * 社区工具提示中的分级设色指标行（未开启时为空）
+     * @param {string} neighbourhoodName - 社区名称
+     * @returns {string} HTML
+     */
+    getChoroplethTooltipRow(neighbourhoodName) {
+        const { metric } = this.getChoroplethSettings();
+        if (!this.choroplethValues || !(metric in this.choropleth.METRICS)) return "";
+        
+        const { label, format } = this.choropleth.METRICS[metric];
+        const value = this.choroplethValues.get(neighbourhoodName);
+        return `
+                <div style="font-size: 14px; margin-top: 4px;">
+                    <strong>${label}:</strong> ${value === null || value === undefined || isNaN(value) ? 'N/A' : format(value)}
+                </div>`;
+    }
+
+    /**
+     * 显示聚合点工具提示：餐厅数量、卫生等级构成、平均健康分和营业状态
+     * @param {Event} event - 鼠标事件
+     * @param {Object} cluster - DotLayer 聚合点
+     */
+    showClusterTooltip(event, cluster) {
+        const colors = this.mapState.getConfig().healthGradeColors;
+        const summary = this.core.summarize(cluster.members);
+        const statuses = d3.rollups(cluster.members, v => v.length, d => d["Establishment Status"] || "Unknown")
+            .sort((a, b) => b[1] - a[1]);
+        
+        const gradeRows = ['A', 'B', 'C', 'D']
+            .filter(grade => cluster.grades[grade] > 0)
+            .map(grade => `
+                <div style="display: flex; align-items: center; gap: 6px;">
+                    <span style="display: inline-block; width: 10px; height: 10px; border-radius: 50%; background: ${colors[grade]};"></span>
+                    Grade ${grade}: ${cluster.grades[grade]} (${Math.round(cluster.grades[grade] / cluster.count * 100)}%)
+                </div>`)
+            .join("");
+        
+        const content = `
+            <div style="min-width: 200px;">
+                <h3 style="margin: 0 0 10px 0; border-bottom: 2px solid #007bff; padding-bottom: 5px;">
+                    ${d3.format(",")(cluster.count)} restaurants
+                </h3>
+                <div style="font-size: 14px;">
+                    <strong>Avg. Health Score:</strong>
+                    <span style="font-weight: bold; font-size: 18px; color: #2c3e50;">
+                        ${summary.avgHealthScore !== null ? summary.avgHealthScore.toFixed(1) : 'N/A'}
+                    </span>
+                </div>
+                <div style="font-size: 13px; margin-top: 6px;">${gradeRows}</div>
+                <div style="font-size: 13px; color: #666; margin-top: 6px;">
+                    ${statuses.map(([status, count]) => `${status}: ${count}`).join(" · ")}
+                </div>
+                <div style="font-size: 12px; color: #999; margin-top: 6px;">Click to zoom in</div>
             </div>
         `;
         
         this.tooltip.showCustom(event, content);
     }
 
+    /**
+     * 缩放到聚合点包含的餐厅范围，至少放大到聚合点拆分的下一级
+     * @param {Object} cluster - DotLayer 聚合点
+     */
+    zoomToCluster(cluster) {
+        const config = this.mapState.getConfig();
+        const [[x0, y0], [x1, y1]] = cluster.bounds;
+        const fit = 0.8 / Math.max((x1 - x0) / config.mainWidth, (y1 - y0) / config.mainHeight);
+        
+        this.flyTo(this.getCenteredTransform([(x0 + x1) / 2, (y0 + y1) / 2], Math.max(fit, cluster.level * 2)));
+    }
+
     /**
      * 处理社区点击事件
      * @param {Event} event - 鼠标事件
@@ -278,17 +658,16 @@ class MainMap {
         // 更新选中状态
         mainSvg.select("#map-paths").selectAll("path")
             .classed("selected", d => d.properties.AREA_NAME === neighbourhoodName);
+        this.hexbinLayer.select(null);
         
         this.mapState.setSelectedNeighbourhood(feature);
         
-        // 获取筛选后的数据
+        // 获取筛选后的数据，并重新计算各社区统计
         const filteredData = this.getFilteredData();
+        this.updateNeighbourhoodStats(filteredData);
         
         // 筛选该社区内的餐厅
-        const restaurantsInArea = filteredData.filter(resto => {
-            const point = [+resto.Longitude, +resto.Latitude];
-            return d3.geoContains(feature, point);
-        });
+        const restaurantsInArea = this.getRestaurantsInNeighbourhood(filteredData, neighbourhoodName);
         
         console.log(`📍 ${neighbourhoodName}: ${restaurantsInArea.length} restaurants`);
         
@@ -300,6 +679,7 @@ class MainMap {
         
         // 显示统计面板
         this.showStatsPanel(neighbourhoodName, restaurantsInArea);
+        this.mapState.notifyViewChange(true);
     }
 
     /**
@@ -307,88 +687,199 @@ class MainMap {
      * @param {Array} restaurants - 餐厅数据
      */
     drawRestaurantsInNeighbourhood(restaurants) {
-        const config = this.mapState.getConfig();
-        const mainProjection = this.mapState.getMainProjection();
-        const mainSvg = this.mapState.getMainSvg();
-        const radiusScale = this.mapState.getRadiusScale();
-        
-        const circles = mainSvg.select("#restaurant-dots").selectAll("circle")
-            .data(restaurants, d => d["unique_id"]);
-        
-        circles.join("circle")
-            .attr("class", "restaurant")
-            .attr("cx", d => mainProjection([+d.Longitude, +d.Latitude])[0])
-            .attr("cy", d => mainProjection([+d.Longitude, +d.Latitude])[1])
-            .attr("r", d => d.yelpMatch ? radiusScale(+d.yelpMatch.num_of_reviews) : 3)
-            .attr("fill", d => config.healthGradeColors[d.healthGrade || 'D'])
-            .attr("stroke", d => {
-                if (d["Establishment Status"] === "Closed") return "#c62828";
-                if (d["Establishment Status"] === "Conditional Pass") return "#e65100";
-                return "rgba(0,0,0,0.3)";
-            })
-            .on("mouseenter", (event, d) => {
-                // 当鼠标进入餐厅点时，立即清除任何待处理的社区悬停计算
-                if (this.lastHoverTimeout) {
-                    clearTimeout(this.lastHoverTimeout);
-                    this.lastHoverTimeout = null;
-                }
-                // 立即隐藏任何可能存在的社区tooltip，然后显示餐厅的tooltip
-                this.tooltip.hide(); 
-                
-                // 添加悬停效果
-                d3.select(event.target).classed("hovered", true);
-                
-                this.tooltip.show(event, d);
-            })
-            .on("mousemove", (event) => this.tooltip.move(event))
-            .on("mouseleave", (event) => {
-                // 移除悬停效果
-                d3.select(event.target).classed("hovered", false);
-                this.tooltip.hide();
-            });
+        this.dotLayer.setData(restaurants);
     }
 
     /**
      * 显示统计面板
-     * @param {string} neighbourhoodName - 社区名称
+     * @param {string} neighbourhoodName - 社区名称（六边形时为其名称）
      * @param {Array} restaurants - 餐厅数据
+     * @param {string} heading - 面板标题
      */
-    showStatsPanel(neighbourhoodName, restaurants) {
+    showStatsPanel(neighbourhoodName, restaurants, heading = `${neighbourhoodName} - Neighbourhood Statistics`) {
         const panel = d3.select("#stats-panel");
         panel.classed("hidden", false);
         
-        d3.select("#stats-neighbourhood-name").text(`${neighbourhoodName} - Neighbourhood Statistics`);
-        
-        // 计算统计数据
-        const totalRestaurants = restaurants.length;
-        const avgHealthScore = totalRestaurants > 0 
-            ? (d3.mean(restaurants, d => d.healthScore) || 0).toFixed(1)
-            : 0;
-        const avgRating = restaurants.filter(d => d.yelpMatch).length > 0
-            ? (d3.mean(restaurants.filter(d => d.yelpMatch), d => +d.yelpMatch.avg_rating) || 0).toFixed(2)
-            : "N/A";
-        
-        // 更新指标卡片
-        d3.select("#stats-total").text(totalRestaurants);
-        d3.select("#stats-health").text(avgHealthScore);
-        d3.select("#stats-rating").text(avgRating);
+        d3.select("#stats-neighbourhood-name").text(heading);
+        this.updateMetrics(restaurants);
         
         // 绘制图表
         this.charts.drawCuisineChart(restaurants);
         this.charts.drawStatusChart(restaurants);
         this.charts.drawRatingChart(restaurants);
+        this.charts.drawYelpCuisineChart(restaurants, this.getFilterValues().yelpCuisine);
         
         // 显示"查看详情"按钮
         d3.select("#view-details-btn")
             .style("display", "inline-block")
             .on("click", () => {
                 this.saveFilters();
-                sessionStorage.setItem('selectedRestaurants', JSON.stringify(restaurants));
-                sessionStorage.setItem('selectedNeighbourhood', neighbourhoodName);
-                window.location.href = 'cards.html';
+                const selected = this.mapState.getSelectedNeighbourhood();
+                // 只传递餐厅 ID（完整记录可能超出 sessionStorage 配额），cards 页面从缓存数据中重建
+                try {
+                    sessionStorage.setItem('selectedIds', JSON.stringify(restaurants.map(d => d["unique_id"])));
+                    sessionStorage.setItem('selectedNeighbourhood', neighbourhoodName);
+                    sessionStorage.setItem('selectedAreaCode', selected ? selected.properties.AREA_SHORT_CODE : '');
+                    sessionStorage.setItem('scoringModel', JSON.stringify(this.mapState.getScoringModel()));
+                } catch (e) {
+                    // 无法保存时 cards 页面使用 URL 中的社区和筛选条件
+                    console.warn("⚠ Could not hand the selection over to the cards page:", e.message);
+                    ['selectedIds', 'selectedNeighbourhood', 'selectedAreaCode', 'scoringModel'].forEach(key => sessionStorage.removeItem(key));
+                }
+                // cards 页面沿用地图的 URL 参数（筛选、社区、抽样），链接可直接分享
+                window.location.href = `cards.html${window.location.search}`;
             });
     }
 
+    /**
+     * 更新指标卡片、匹配摘要和价格对比（数值来自 DineSafeCore.summarize）
+     * @param {Array} restaurants - 餐厅数据
+     */
+    updateMetrics(restaurants) {
+        const summary = this.core.summarize(restaurants);
+        
+        d3.select("#stats-total").text(summary.total);
+        d3.select("#stats-health").text(summary.avgHealthScore !== null ? summary.avgHealthScore.toFixed(1) : 0);
+        d3.select("#stats-rating").text(summary.avgRating !== null ? summary.avgRating.toFixed(2) : "Unknown");
+        this.updateSampleNote();
+        this.updateMatchSummary(summary);
+        this.updatePriceHealth(summary.priceHealth);
+    }
+
+    /**
+     * 更新抽样说明（统计数据是否来自样本、样本多大）
+     */
+    updateSampleNote() {
+        const info = this.mapState.getSampleInfo();
+        const note = d3.select("#stats-sample-note");
+        if (!info) {
+            note.text("").classed("sampled", false);
+            return;
+        }
+        
+        const format = d3.format(",");
+        if (info.sampled) {
+            const share = (info.sampleSize / info.populationSize * 100).toFixed(1);
+            note.classed("sampled", true).text(
+                `Figures are estimated from a sample of ${format(info.sampleSize)} of ${format(info.populationSize)} ` +
+                `establishments (${share}%, seed "${info.seed}", stratified by ${info.strata.join(" and ")}).`
+            );
+        } else {
+            note.classed("sampled", false)
+                .text(`Figures cover all ${format(info.populationSize)} establishments (no sampling).`);
+        }
+    }
+
+    /**
+     * 更新 Yelp 匹配置信度和评分覆盖摘要
+     * @param {Object} summary - DineSafeCore.summarize 的结果
+     */
+    updateMatchSummary(summary) {
+        const counts = summary.matchLevels;
+        d3.select("#stats-match-summary").text(
+            `Yelp matches: ${counts.strong} strong · ${counts.medium} medium · ${counts.weak} weak · ${counts.none} unmatched` +
+            ` · rating known for ${summary.rated}`
+        );
+    }
+
+    /**
+     * 按价格区间比较平均健康分（"便宜的餐厅是否更不安全？"）
+     * @param {Array} rows - 各价格区间的统计（PriceBands.compareHealth）
+     */
+    updatePriceHealth(rows) {
+        d3.select("#stats-price-health")
+            .selectAll("tr")
+            .data(rows)
+            .join("tr")
+            .attr("title", d => `${d.label}: ${d.count} restaurants`)
+            .html(d => `<td class="price-symbol">${d.symbol}</td>` +
+                `<td class="price-score">${d.avgHealthScore !== null ? d.avgHealthScore.toFixed(1) : "–"}</td>` +
+                `<td class="price-count">n=${d.count}</td>`);
+    }
+
+    /**
+     * 以动画方式将主地图缩放到指定变换
+     * @param {Object} transform - d3 zoom transform
+     * @param {Function} onEnd - 动画结束后的回调（动画被打断时不调用）
+     */
+    flyTo(transform, onEnd = null) {
+        this.mapState.getMainSvg()
+            .transition()
+            .duration(this.FLY_DURATION)
+            .call(this.mapState.getMainZoom().transform, transform)
+            .on("end", () => { if (onEnd) onEnd(); });
+    }
+
+    /**
+     * 计算使地图上某点位于中心的缩放变换
+     * @param {Array} point - 投影后的坐标 [x, y]
+     * @param {number} k - 缩放级别
+     * @returns {Object} d3 zoom transform
+     */
+    getCenteredTransform([x, y], k) {
+        const config = this.mapState.getConfig();
+        const scale = Math.max(config.minZoom, Math.min(config.maxZoom, k));
+        return d3.zoomIdentity
+            .translate(config.mainWidth / 2, config.mainHeight / 2)
+            .scale(scale)
+            .translate(-x, -y);
+    }
+
+    /**
+     * 定位到社区（搜索结果）：飞到其边界范围，选中并显示统计面板
+     * @param {Object} feature - GeoJSON feature
+     */
+    focusNeighbourhood(feature) {
+        const config = this.mapState.getConfig();
+        const [[x0, y0], [x1, y1]] = this.mapState.getMainPathGenerator().bounds(feature);
+        const k = 0.8 / Math.max((x1 - x0) / config.mainWidth, (y1 - y0) / config.mainHeight);
+        
+        this.clearSearchHighlight();
+        this.handleNeighbourhoodClick(null, feature);
+        this.flyTo(this.getCenteredTransform([(x0 + x1) / 2, (y0 + y1) / 2], k));
+    }
+
+    /**
+     * 定位到餐厅（搜索结果）：飞到其位置，高亮该点并显示 tooltip
+     * @param {Object} d - 餐厅数据
+     */
+    focusRestaurant(d) {
+        const mainSvg = this.mapState.getMainSvg();
+        const point = this.mapState.getMainProjection()([+d.Longitude, +d.Latitude]);
+        if (!point || isNaN(point[0]) || isNaN(point[1])) {
+            console.warn(`⚠ ${d["Establishment Name"]} has no location`);
+            return;
+        }
+        
+        const transform = this.getCenteredTransform(point, Math.max(this.mapState.getCurrentZoom(), this.SEARCH_ZOOM));
+        
+        // 高亮圆环单独绘制，即使该餐厅不在当前筛选结果中也能看到
+        this.clearSearchHighlight();
+        mainSvg.select("#search-highlight").append("circle")
+            .attr("class", "search-highlight")
+            .attr("cx", point[0])
+            .attr("cy", point[1])
+            .attr("r", 12 / transform.k);
+        this.dotLayer.setHighlight(d["unique_id"]);
+        
+        this.tooltip.hideImmediate();
+        this.flyTo(transform, () => {
+            // tooltip 定位使用页面坐标
+            const rect = mainSvg.node().getBoundingClientRect();
+            const [x, y] = transform.apply(point);
+            this.tooltip.show({ pageX: rect.left + window.scrollX + x, pageY: rect.top + window.scrollY + y }, d);
+        });
+    }
+
+    /**
+     * 清除搜索高亮
+     */
+    clearSearchHighlight() {
+        const mainSvg = this.mapState.getMainSvg();
+        mainSvg.select("#search-highlight").selectAll("*").remove();
+        this.dotLayer.setHighlight(null);
+    }
+
     /**
      * 关闭统计面板
      */
@@ -396,91 +887,65 @@ class MainMap {
         const mainSvg = this.mapState.getMainSvg();
         d3.select("#stats-panel").classed("hidden", true);
         mainSvg.select("#map-paths").selectAll("path").classed("selected", false);
-        mainSvg.select("#restaurant-dots").selectAll("*").remove();
+        this.hexbinLayer.select(null);
+        this.clearRestaurants();
         this.mapState.setSelectedNeighbourhood(null);
+        this.mapState.notifyViewChange(true);
     }
 
     /**
      * 显示全局统计预览
      */
     showGlobalStats() {
-        const mergedData = this.mapState.getMergedData();
         const panel = d3.select("#stats-panel");
         panel.classed("hidden", false);
         
         d3.select("#stats-neighbourhood-name").text("Toronto Overview - All Restaurants");
-        
-        // 获取筛选条件
-        const statusFilter = d3.select("#status-filter").property("value");
-        const healthGradeFilter = d3.select("#health-grade-filter").property("value");
-        const cuisineFilter = d3.select("#cuisine-filter").property("value");
-        const severityFilter = d3.select("#severity-filter").property("value");
+        this.hexbinLayer.select(null);
         
         // 应用筛选
-        const filteredRestaurants = mergedData.filter(d => {
-            const statusMatch = statusFilter === 'all' || d["Establishment Status"] === statusFilter;
-            const healthGradeMatch = healthGradeFilter === 'all' || d.healthGrade === healthGradeFilter;
-            const cuisineMatch = cuisineFilter === 'all' || d["Establishment Type"] === cuisineFilter;
-            
-            let severityMatch = true;
-            if (severityFilter !== 'all') {
-                const severityOrder = { 'clean': 0, 'M': 1, 'S': 2, 'C': 3 };
-                const filterLevel = severityOrder[severityFilter];
-                const restaurantLevel = severityOrder[d.worstSeverity];
-                severityMatch = restaurantLevel <= filterLevel;
-            }
-            
-            return statusMatch && healthGradeMatch && cuisineMatch && severityMatch;
-        });
-        
-        // 计算统计数据
-        const totalRestaurants = filteredRestaurants.length;
-        const avgHealthScore = totalRestaurants > 0 
-            ? (d3.mean(filteredRestaurants, d => d.healthScore) || 0).toFixed(1)
-            : 0;
-        const avgRating = filteredRestaurants.filter(d => d.yelpMatch).length > 0
-            ? (d3.mean(filteredRestaurants.filter(d => d.yelpMatch), d => +d.yelpMatch.avg_rating) || 0).toFixed(2)
-            : "N/A";
-        
-        // 更新指标卡片
-        d3.select("#stats-total").text(totalRestaurants);
-        d3.select("#stats-health").text(avgHealthScore);
-        d3.select("#stats-rating").text(avgRating);
+        const filteredRestaurants = this.getFilteredData();
+        this.updateMetrics(filteredRestaurants);
         
         // 绘制图表
         this.charts.drawCuisineChart(filteredRestaurants);
         this.charts.drawStatusChart(filteredRestaurants);
         this.charts.drawRatingChart(filteredRestaurants);
+        this.charts.drawYelpCuisineChart(filteredRestaurants, this.getFilterValues().yelpCuisine);
         
         // 隐藏"查看详情"按钮
         d3.select("#view-details-btn").style("display", "none");
     }
 
     /**
-     * 保存筛选器状态
+     * 保存筛选器状态（写入 URL）
      */
     saveFilters() {
-        const filters = {
-            status: d3.select("#status-filter").property("value"),
-            healthGrade: d3.select("#health-grade-filter").property("value"),
-            cuisine: d3.select("#cuisine-filter").property("value"),
-            severity: d3.select("#severity-filter").property("value")
-        };
-        sessionStorage.setItem('mapFilters', JSON.stringify(filters));
+        this.urlState.update(params => this.urlState.writeFilters(params, this.getFilterValues()));
     }
 
     /**
-     * 恢复筛选器状态
+     * 恢复筛选器状态（从 URL 读取）
      */
     restoreFilters() {
-        const savedFilters = sessionStorage.getItem('mapFilters');
-        if (savedFilters) {
-            const filters = JSON.parse(savedFilters);
-            d3.select("#status-filter").property("value", filters.status || 'all');
-            d3.select("#health-grade-filter").property("value", filters.healthGrade || 'all');
-            d3.select("#cuisine-filter").property("value", filters.cuisine || 'all');
-            d3.select("#severity-filter").property("value", filters.severity || 'all');
-        }
+        const filters = this.urlState.readFilters();
+        const defaults = DineSafeCore.getDefaultFilters();
+        
+        Object.entries(this.FILTER_CONTROLS).forEach(([key, { type, selector }]) => {
+            if (type === "chips") {
+                // 不在按钮中的值被忽略
+                d3.selectAll(`${selector} .chip`)
+                    .classed("active", function() { return filters[key].includes(this.dataset.value); })
+                    .attr("aria-pressed", function() { return filters[key].includes(this.dataset.value); });
+            } else if (type === "range") {
+                d3.select(selector).property("value", filters[key]);
+            } else {
+                const select = d3.select(selector).property("value", filters[key]);
+                // 链接中的值不在选项中时（例如其他数据集的菜系）回到默认值
+                if (select.property("value") !== filters[key]) select.property("value", defaults[key]);
+            }
+        });
+        this.updateScoreRangeLabel();
     }
 
     /**
@@ -489,12 +954,14 @@ class MainMap {
     resetToAllData() {
         const mainSvg = this.mapState.getMainSvg();
         
-        // 清除社区选择状态
+        // 清除社区和六边形选择状态
         mainSvg.select("#map-paths").selectAll("path").classed("selected", false);
+        this.hexbinLayer.select(null);
         this.mapState.setSelectedNeighbourhood(null);
         
-        // 清除餐厅点显示
-        mainSvg.select("#restaurant-dots").selectAll("*").remove();
+        // 清除餐厅点显示和搜索高亮
+        this.clearRestaurants();
+        this.clearSearchHighlight();
         
         // 重新绘制所有餐厅点（如果复选框被选中）
         const showDots = d3.select("#show-dots").property("checked");
@@ -505,6 +972,7 @@ class MainMap {
         
         // 显示全局统计
         this.showGlobalStats();
+        this.mapState.notifyViewChange(true);
     }
 }
 
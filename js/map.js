@@ -7,15 +7,24 @@ class MapManager {
         this.charts = null;
         this.mainMap = null;
         this.miniMap = null;
+        this.qualityPanel = null;
+        this.scoringPanel = null;
+        this.changesPanel = null;
     }
 
-    init(geo, data) {
+    init(geo, data, meta = {}) {
         const config = MapState.getInstance().getConfig();
         
         // Initialize MapState singleton
         this.mapState = MapState.getInstance();
         this.mapState.setGeoData(geo);
         this.mapState.setMergedData(data);
+        this.mapState.setSampleInfo(meta.sampleInfo || null);
+        
+        // Rescore with the linked or saved scoring model (processing uses the default model)
+        const scoringModel = this.loadScoringModel();
+        this.mapState.setScoringModel(scoringModel);
+        scoringModel.apply(data);
         
         // Create SVG elements
         const mainSvg = d3.select("#map-container").append("svg")
@@ -51,8 +60,8 @@ class MapManager {
             .clamp(true);
         this.mapState.setRadiusScale(radiusScale);
 
-        // Initialize module instances
-        this.dataLoader = new DataLoader();
+        // Initialize module instances (reuse the loader that loaded the data, it holds the imported datasets)
+        this.dataLoader = meta.dataLoader || new DataLoader();
         this.tooltip = initTooltip(this.mapState);
         this.charts = new Charts();
         this.mainMap = new MainMap(this.mapState, this.tooltip, this.charts);
@@ -68,7 +77,13 @@ class MapManager {
         this.mainMap.setup();
         
         // Restore filter state
+        this.populateCuisineFilter(data);
         this.mainMap.restoreFilters();
+        this.mainMap.restoreChoropleth();
+        this.mainMap.restoreHeatmap();
+        this.mainMap.restoreHexbin();
+        d3.select("#show-dots").property("checked", this.mainMap.urlState.readShowDots());
+        this.mainMap.updateFilterCounts();
         
         // Initial render
         this.mainMap.updateWithFilters();
@@ -76,28 +91,384 @@ class MapManager {
         
         // Bind filter events
         this.bindFilterEvents();
+        this.bindChoroplethControls();
+        this.bindHeatmapControls();
+        this.bindHexbinControls();
+        this.bindSamplingControls();
+        this.bindCacheControls(meta.cacheInfo || null);
+        this.bindQualityPanel(meta.qualityReport || null);
+        this.scoringPanel = new ScoringPanel(scoringModel, model => this.applyScoringModel(model));
+        this.scoringPanel.setup();
+        this.bindSnapshotControls();
+        this.bindImportPanel(meta.imports || []);
+        this.bindSearch();
+        this.bindUrlState();
+    }
+
+    /**
+     * Fill the hierarchical Yelp cuisine filter from the loaded data
+     * @param {Array} data - Records with cuisines
+     */
+    populateCuisineFilter(data) {
+        const options = new CuisineTaxonomy().buildOptions(data);
+        
+        // Counts are added by MainMap.updateFilterCounts
+        d3.select("#yelp-cuisine-filter")
+            .selectAll("option")
+            .data([
+                { value: "all", label: "All Cuisines", depth: 0 },
+                ...options,
+                { value: "none", label: "No Yelp Category", depth: 0 }
+            ])
+            .join("option")
+            .attr("value", d => d.value)
+            .attr("data-label", d => d.label)
+            .classed("cuisine-group", d => d.depth === 0 && d.value !== "all" && d.value !== "none")
+            .text(d => d.label);
+    }
+
+    /**
+     * Bind the search box: choosing a result flies to the restaurant or neighbourhood
+     */
+    bindSearch() {
+        const searchIndex = new SearchIndex().build(this.mapState.getMergedData(), this.mapState.getGeoData().features);
+        this.searchBox = new SearchBox(searchIndex, result => {
+            if (result.kind === "neighbourhood") {
+                this.mainMap.focusNeighbourhood(result.target);
+            } else {
+                this.mainMap.focusRestaurant(result.target);
+            }
+        });
+        this.searchBox.setup();
     }
 
     /**
      * Bind filter events
      */
     bindFilterEvents() {
-        d3.selectAll("select, #show-dots").on("change", () => {
-            const selectedNeighbourhood = this.mapState.getSelectedNeighbourhood();
-            
-            if (!selectedNeighbourhood) {
-                // Global view
-                this.mainMap.updateWithFilters();
-                this.mainMap.showGlobalStats();
-            } else {
-                // Neighbourhood view
-                const showDots = d3.select("#show-dots").property("checked");
-                if (showDots) {
-                    this.mainMap.handleNeighbourhoodClick(null, selectedNeighbourhood);
-                } else {
-                    this.mapState.getMainSvg().select("#restaurant-dots").selectAll("*").remove();
+        const onChange = () => {
+            this.refreshViews();
+            this.syncUrl(true);
+        };
+        const mainMap = this.mainMap;
+        
+        d3.selectAll(".filters-container select, #show-dots").on("change", onChange);
+        
+        // Chips toggle; none active means the filter is off
+        d3.selectAll(".filters-container .chip").on("click", function() {
+            const chip = d3.select(this);
+            const active = !chip.classed("active");
+            chip.classed("active", active).attr("aria-pressed", active);
+            onChange();
+        });
+        
+        // Score range: the handles cannot cross; the map updates when a handle is released
+        d3.selectAll("#score-min-filter, #score-max-filter")
+            .on("input", function() {
+                const min = d3.select("#score-min-filter");
+                const max = d3.select("#score-max-filter");
+                if (+min.property("value") > +max.property("value")) {
+                    (this.id === "score-min-filter" ? max : min).property("value", this.value);
                 }
+                mainMap.updateScoreRangeLabel();
+            })
+            .on("change", onChange);
+    }
+
+    /**
+     * Bind the choropleth metric and classing controls (only the neighbourhood fills change)
+     */
+    bindChoroplethControls() {
+        d3.selectAll("#choropleth-metric, #choropleth-classing").on("change", () => {
+            this.mainMap.updateChoropleth();
+            this.syncUrl(true);
+        });
+    }
+
+    /**
+     * Bind the heatmap toggle and bandwidth slider (the density is recomputed when the slider is released)
+     */
+    bindHeatmapControls() {
+        const onChange = () => {
+            this.mainMap.updateHeatmap();
+            this.syncUrl(true);
+        };
+        d3.select("#show-heatmap").on("change", onChange);
+        d3.select("#heatmap-bandwidth")
+            .on("input", function() { d3.select("#heatmap-bandwidth-value").text(`${this.value} px`); })
+            .on("change", onChange);
+    }
+
+    /**
+     * Bind the hexagon layer toggle, size and colour metric
+     */
+    bindHexbinControls() {
+        d3.selectAll("#show-hexbin, #hexbin-size, #hexbin-metric").on("change", () => {
+            this.mainMap.updateHexbin();
+            this.syncUrl(true);
+        });
+    }
+
+    /**
+     * Re-render map and statistics for the current filters and view
+     */
+    refreshViews() {
+        const selectedNeighbourhood = this.mapState.getSelectedNeighbourhood();
+        this.mainMap.updateFilterCounts();
+        
+        if (!selectedNeighbourhood) {
+            // Global view; a selected hexagon keeps its statistics panel while it still has establishments
+            this.mainMap.updateWithFilters();
+            const hexagon = this.mainMap.hexbinLayer.getSelected();
+            if (hexagon) {
+                this.mainMap.handleHexClick(hexagon);
+            } else {
+                this.mainMap.showGlobalStats();
+            }
+        } else {
+            // Neighbourhood view (the statistics panel is re-rendered with or without dots)
+            if (!d3.select("#show-dots").property("checked")) {
+                this.mainMap.clearRestaurants();
             }
+            this.mainMap.handleNeighbourhoodClick(null, selectedNeighbourhood);
+        }
+    }
+
+    /**
+     * Keep the URL in sync with the view (filters, zoom, selected neighbourhood, dots) and
+     * restore the view from it, on load and on browser back/forward
+     */
+    bindUrlState() {
+        this.urlState = this.mainMap.urlState;
+        this.applyingUrlState = false;
+        this.mapState.setViewChangeHandler(push => this.syncUrl(push));
+        window.addEventListener("popstate", () => this.applyUrlState());
+        
+        // Filters and dots were restored before the first render; zoom and selection follow
+        this.applyUrlState(false);
+        
+        // A model loaded from localStorage goes into the URL too, so a shared link shows the same scores
+        this.urlState.update(params => this.urlState.writeScoringModel(params, this.mapState.getScoringModel()));
+    }
+
+    /**
+     * Write the current view into the URL
+     * @param {boolean} push - Add a browser history entry instead of replacing the current one
+     */
+    syncUrl(push = false) {
+        if (this.applyingUrlState) return;
+        const selected = this.mapState.getSelectedNeighbourhood();
+        
+        this.urlState.update(params => {
+            this.urlState.writeFilters(params, this.mainMap.getFilterValues());
+            this.urlState.writeScoringModel(params, this.mapState.getScoringModel());
+            this.urlState.writeTransform(params, this.mapState.getCurrentTransform());
+            this.urlState.writeArea(params, selected ? selected.properties.AREA_SHORT_CODE : null);
+            this.urlState.writeShowDots(params, d3.select("#show-dots").property("checked"));
+            this.urlState.writeChoropleth(params, this.mainMap.getChoroplethSettings());
+            this.urlState.writeHeatmap(params, this.mainMap.getHeatmapSettings());
+            this.urlState.writeHexbin(params, this.mainMap.getHexbinSettings());
+        }, push);
+    }
+
+    /**
+     * Restore the view from the URL
+     * @param {boolean} restoreControls - Also restore the filter controls and dot visibility
+     */
+    applyUrlState(restoreControls = true) {
+        this.applyingUrlState = true;
+        
+        if (restoreControls) {
+            this.restoreScoringModel();
+            this.mainMap.restoreFilters();
+            this.mainMap.restoreChoropleth();
+            this.mainMap.restoreHeatmap();
+            this.mainMap.restoreHexbin();
+            d3.select("#show-dots").property("checked", this.urlState.readShowDots());
+            this.mainMap.updateFilterCounts();
+        }
+        
+        const areaCode = this.urlState.readArea();
+        const feature = areaCode
+            ? this.mapState.getGeoData().features.find(f => f.properties.AREA_SHORT_CODE === areaCode)
+            : null;
+        if (feature) {
+            this.mainMap.handleNeighbourhoodClick(null, feature);
+            if (!d3.select("#show-dots").property("checked")) {
+                this.mainMap.clearRestaurants();
+            }
+        } else if (restoreControls) {
+            this.mapState.setSelectedNeighbourhood(null);
+            this.mainMap.updateWithFilters();
+            this.mainMap.showGlobalStats();
+        }
+        
+        const transform = this.urlState.readTransform() || d3.zoomIdentity;
+        this.mapState.getMainSvg().call(this.mapState.getMainZoom().transform, transform);
+        
+        this.applyingUrlState = false;
+    }
+
+    /**
+     * Rescore with the scoring model in the URL when it differs from the active one (the views
+     * are re-rendered by applyUrlState). The default model writes no URL parameter, so a URL
+     * without one restores the default model.
+     */
+    restoreScoringModel() {
+        const definition = this.urlState.readScoringModel();
+        const model = definition ? new ScoringModel(definition) : new ScoringModel();
+        if (JSON.stringify(model) === JSON.stringify(this.mapState.getScoringModel())) return;
+        
+        this.mapState.setScoringModel(model);
+        model.apply(this.mapState.getMergedData());
+        localStorage.setItem("scoringModel", JSON.stringify(model));
+        this.scoringPanel.model = model;
+        this.scoringPanel.fill();
+    }
+
+    /**
+     * Load the scoring model of the URL (a shared link), else the saved one (localStorage), else the default model
+     * @returns {ScoringModel} Scoring model
+     */
+    loadScoringModel() {
+        const linked = new UrlState().readScoringModel();
+        if (linked) return new ScoringModel(linked);
+        try {
+            const saved = localStorage.getItem("scoringModel");
+            return new ScoringModel(saved ? JSON.parse(saved) : {});
+        } catch (e) {
+            console.warn("⚠ Saved scoring model is invalid, using default:", e.message);
+            return new ScoringModel();
+        }
+    }
+
+    /**
+     * Make a scoring model active: rescore all records, save it and re-render every view
+     * @param {ScoringModel} model - Scoring model
+     */
+    applyScoringModel(model) {
+        this.mapState.setScoringModel(model);
+        model.apply(this.mapState.getMergedData());
+        localStorage.setItem("scoringModel", JSON.stringify(model));
+        
+        this.refreshViews();
+        this.syncUrl();
+    }
+
+    /**
+     * Bind sampling controls (sample size and seed are kept in the URL, applying reloads the data)
+     */
+    bindSamplingControls() {
+        const { sampleSize, seed } = this.dataLoader.getSamplingOptions();
+        const sizeSelect = d3.select("#sample-size-select");
+        const sizeValue = sampleSize ? String(sampleSize) : "all";
+        
+        // Sizes set through the URL may not be one of the presets
+        if (sizeSelect.select(`option[value="${sizeValue}"]`).empty()) {
+            sizeSelect.append("option")
+                .attr("value", sizeValue)
+                .text(d3.format(",")(sampleSize));
+        }
+        sizeSelect.property("value", sizeValue);
+        d3.select("#sample-seed-input").property("value", seed);
+        
+        d3.select("#resample-btn").on("click", () => {
+            const params = new URLSearchParams(window.location.search);
+            params.set("sample", sizeSelect.property("value"));
+            params.set("seed", d3.select("#sample-seed-input").property("value").trim() || this.dataLoader.SAMPLE_SEED);
+            window.location.search = params.toString();
+        });
+    }
+
+    /**
+     * Show cache age/size and bind the "Refresh Data" action
+     * @param {Object|null} cacheInfo - { fromCache, fromBundle, createdAt, size } from DataLoader.loadData
+     */
+    bindCacheControls(cacheInfo) {
+        const info = d3.select("#cache-info");
+        if (cacheInfo) {
+            const minutes = Math.round((Date.now() - cacheInfo.createdAt) / 60000);
+            const age = minutes < 1 ? "just now"
+                : minutes < 60 ? `${minutes} min ago`
+                : minutes < 1440 ? `${Math.round(minutes / 60)} h ago`
+                : `${Math.round(minutes / 1440)} d ago`;
+            const size = `${(cacheInfo.size / 1048576).toFixed(1)} MB`;
+            const source = cacheInfo.fromBundle ? "Prebuilt" : cacheInfo.fromCache ? "Cached" : "Processed";
+            info.text(`${source} ${age} · ${size}`);
+        } else {
+            info.text("Not cached");
+        }
+        
+        d3.select("#refresh-data-btn").on("click", async () => {
+            await this.dataLoader.clearCache();
+            window.location.reload();
+        });
+    }
+
+    /**
+     * Create the data quality panel and bind its buttons
+     * @param {Object|null} report - Quality report from DataLoader
+     */
+    bindQualityPanel(report) {
+        this.qualityPanel = new QualityPanel(report);
+        d3.select("#quality-btn").on("click", () => this.qualityPanel.show());
+        d3.select("#quality-close-btn").on("click", () => this.qualityPanel.hide());
+        d3.select("#quality-download-btn").on("click", () => this.qualityPanel.downloadCsv(this.mapState.getScoringModel()));
+    }
+
+    /**
+     * Create the dataset import panel and bind its button
+     * @param {Array} imports - Active imports from DataLoader.loadData
+     */
+    bindImportPanel(imports) {
+        this.importPanel = new ImportPanel(this.dataLoader, imports);
+        this.importPanel.setup();
+        d3.select("#import-btn").on("click", () => this.importPanel.show());
+    }
+
+    /**
+     * Bind the snapshot comparison controls: diff the current data against an older
+     * Dinesafe.json chosen by the user, and show changed establishments and the change log
+     */
+    bindSnapshotControls() {
+        const status = d3.select("#snapshot-status");
+        
+        d3.select("#snapshot-file-input").on("change", (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+            
+            status.text("Comparing...");
+            this.dataLoader.loadSnapshotDiff(file, ({ stage }) => status.text(LOADING_STAGES[stage] || "Comparing..."))
+                .then(diff => {
+                    this.mapState.setSnapshotDiff(diff);
+                    status.text(`${d3.format(",")(diff.changes.length)} changes since ${file.name}`);
+                    d3.select("#changes-btn").property("disabled", false);
+                    
+                    this.changesPanel = new ChangesPanel(diff, changes => this.mainMap.drawChanges(changes));
+                    this.changesPanel.setup();
+                    this.changesPanel.show();
+                })
+                .catch(error => {
+                    console.error("❌ Snapshot comparison failed:", error);
+                    status.text("Comparison failed: is this a DineSafe JSON file?");
+                })
+                .finally(() => {
+                    // Allow choosing the same file again
+                    event.target.value = "";
+                });
+        });
+        
+        d3.select("#changes-btn").on("click", () => {
+            if (this.changesPanel) this.changesPanel.show();
+        });
+        
+        d3.select("#clear-changes-btn").on("click", () => {
+            this.mapState.setSnapshotDiff(null);
+            this.mainMap.drawChanges([]);
+            if (this.changesPanel) this.changesPanel.hide();
+            this.changesPanel = null;
+            d3.select("#changes-btn").property("disabled", true);
+            status.text("");
         });
     }
 
@@ -165,8 +536,8 @@ class MapManager {
 // For backward compatibility, create global instance and functions
 let mapInstance = null;
 
-function initMap(geo, data) {
+function initMap(geo, data, meta) {
     mapInstance = new MapManager();
-    mapInstance.init(geo, data);
+    mapInstance.init(geo, data, meta);
     return mapInstance;
 }
\ No newline at end of file
@@ -28,6 +28,13 @@ class MapState {
         this.updatingBrush = false;       // Flag: whether programmatically updating brush (avoid circular triggers)
         this.mainZoom = null;               // Main map zoom behavior object
         this.isAnimating = false;           // Flag: whether executing animation (to disable tooltip)
+        this.sampleInfo = null;             // Sampling info from DataLoader (size, population, seed)
+        this.scoringModel = null;           // Active health scoring model
+        this.snapshotDiff = null;           // Diff against an older DineSafe snapshot, if loaded
+        this.dotLayer = null;               // Canvas renderer of the establishment dots
+        this.heatmapLayer = null;           // Infraction density heatmap
+        this.hexbinLayer = null;            // Hexagonal binning of the establishments
+        this.viewChangeHandler = null;      // Called when zoom or selection changes (keeps the URL in sync)
 
         // Configuration constants
         this.MAP_CONFIG = {
@@ -41,6 +48,8 @@ class MapState {
             zoomThreshold: 1.5,    // Zoom threshold for showing minimap
             minZoom: 1,
             maxZoom: 8,
+            clusterMaxZoom: 4,     // Dots are clustered below this zoom level
+            clusterRadius: 40,     // Cluster grid cell size in screen pixels
             
             // Animation configuration
             transitionDuration: 500,
@@ -93,6 +102,12 @@ class MapState {
     isUpdatingBrush() { return this.updatingBrush; }
     getMainZoom() { return this.mainZoom; }
     getIsAnimating() { return this.isAnimating; }
+    getSampleInfo() { return this.sampleInfo; }
+    getScoringModel() { return this.scoringModel; }
+    getSnapshotDiff() { return this.snapshotDiff; }
+    getDotLayer() { return this.dotLayer; }
+    getHeatmapLayer() { return this.heatmapLayer; }
+    getHexbinLayer() { return this.hexbinLayer; }
     getConfig() { return this.MAP_CONFIG; }
 
     // Setters
@@ -113,6 +128,21 @@ class MapState {
     setUpdatingBrush(value) { this.updatingBrush = value; }
     setMainZoom(zoom) { this.mainZoom = zoom; }
     setAnimating(value) { this.isAnimating = value; }
+    setSampleInfo(info) { this.sampleInfo = info; }
+    setScoringModel(model) { this.scoringModel = model; }
+    setSnapshotDiff(diff) { this.snapshotDiff = diff; }
+    setDotLayer(layer) { this.dotLayer = layer; }
+    setHeatmapLayer(layer) { this.heatmapLayer = layer; }
+    setHexbinLayer(layer) { this.hexbinLayer = layer; }
+    setViewChangeHandler(handler) { this.viewChangeHandler = handler; }
+
+    /**
+     * Report a view change (zoom, neighbourhood selection) to the view change handler
+     * @param {boolean} push - Whether the change deserves its own browser history entry
+     */
+    notifyViewChange(push = false) {
+        if (this.viewChangeHandler) this.viewChangeHandler(push);
+    }
 
     // Reset all state
     reset() {
@@ -165,15 +165,18 @@ class MiniMap {
                 .duration(config.transitionDuration)
                 .attr("transform", newTransform);
             
-            mainSvg.select("#restaurant-dots")
+            mainSvg.selectAll("#hexbin-layer, #change-dots, #search-highlight")
                 .transition()
                 .duration(config.transitionDuration)
                 .attr("transform", newTransform);
+            this.mapState.getDotLayer().transitionTo(newTransform, config.transitionDuration);
+            this.mapState.getHeatmapLayer().transitionTo(newTransform, config.transitionDuration);
             
             // 动画结束后更新
             setTimeout(() => {
                 this.updateViewport();
                 this.mapState.setAnimating(false);
+                this.mapState.notifyViewChange();
             }, config.transitionDuration);
         }
     }
@@ -0,0 +1,67 @@
+// neighbourhoodIndex.js - Spatial index over the neighbourhood polygons
+
+/**
+ * NeighbourhoodIndex class - Bounding-box grid over the neighbourhood features, so a point
+ * is only tested (d3.geoContains) against the few polygons whose boxes cover its grid cell
+ */
+class NeighbourhoodIndex {
+    constructor(geo, cellSize = 0.01) {
+        this.CELL_SIZE = cellSize;  // Grid cell size in degrees (~1km)
+        this.features = geo ? geo.features : [];
+        this.bounds = this.features.map(feature => d3.geoBounds(feature));
+        this.grid = new Map();      // "row:col" -> feature indices whose bounding box overlaps the cell
+
+        this.bounds.forEach(([[minLon, minLat], [maxLon, maxLat]], i) => {
+            for (let row = this.toCell(minLat); row <= this.toCell(maxLat); row++) {
+                for (let col = this.toCell(minLon); col <= this.toCell(maxLon); col++) {
+                    const key = `${row}:${col}`;
+                    if (!this.grid.has(key)) this.grid.set(key, []);
+                    this.grid.get(key).push(i);
+                }
+            }
+        });
+    }
+
+    /**
+     * Convert a coordinate to a grid row/column
+     * @param {number} value - Latitude or longitude
+     * @returns {number} Cell index
+     */
+    toCell(value) {
+        return Math.floor(value / this.CELL_SIZE);
+    }
+
+    /**
+     * Find the neighbourhood feature containing a point
+     * @param {Array} point - [lon, lat]
+     * @returns {Object|null} Feature, or null when the point is outside every polygon
+     */
+    find(point) {
+        const [lon, lat] = point;
+        if (isNaN(lon) || isNaN(lat)) return null;
+
+        const candidates = this.grid.get(`${this.toCell(lat)}:${this.toCell(lon)}`) || [];
+        for (const i of candidates) {
+            const [[minLon, minLat], [maxLon, maxLat]] = this.bounds[i];
+            if (lon < minLon || lon > maxLon || lat < minLat || lat > maxLat) continue;
+            if (d3.geoContains(this.features[i], point)) return this.features[i];
+        }
+        return null;
+    }
+
+    /**
+     * Set AREA_NAME and AREA_SHORT_CODE on each record (null when outside every neighbourhood)
+     * @param {Array} records - Records with Latitude/Longitude
+     * @returns {Array} Records that fall outside every neighbourhood
+     */
+    assign(records) {
+        const outside = [];
+        records.forEach(d => {
+            const feature = this.find([+d["Longitude"], +d["Latitude"]]);
+            d.AREA_NAME = feature ? feature.properties.AREA_NAME : null;
+            d.AREA_SHORT_CODE = feature ? feature.properties.AREA_SHORT_CODE : null;
+            if (!feature) outside.push(d);
+        });
+        return outside;
+    }
+}
@@ -0,0 +1,94 @@
+// priceBands.js - Yelp price range parsing
+
+/**
+ * PriceBands class - Parses Yelp "Restaurant Price Range" strings ("Under $10", "$11-30",
+ * "$31-60", "Above $61", also with a "US"/"CA" currency prefix) into numeric price bands 1-4
+ */
+class PriceBands {
+    constructor() {
+        // Price per person in dollars; max null = no upper bound
+        this.BANDS = [
+            { band: 1, symbol: "$", label: "Under $10", min: 0, max: 10 },
+            { band: 2, symbol: "$$", label: "$11-30", min: 11, max: 30 },
+            { band: 3, symbol: "$$$", label: "$31-60", min: 31, max: 60 },
+            { band: 4, symbol: "$$$$", label: "Above $61", min: 61, max: null }
+        ];
+    }
+
+    /**
+     * Parse a price range string into a band
+     * @param {string} value - Yelp price range
+     * @returns {number|null} Band 1-4, or null when empty/unparseable
+     */
+    parse(value) {
+        const text = (value || "").trim().replace(/^(US|CA|C)\$/i, "$");
+        if (!text) return null;
+
+        // "$$", "$$$" ... style
+        if (/^\$+$/.test(text)) {
+            return text.length <= this.BANDS.length ? text.length : null;
+        }
+
+        let price = null;
+        let match;
+        if ((match = text.match(/^under\s*\$?(\d+)/i))) {
+            price = +match[1] - 1;
+        } else if ((match = text.match(/^(above|over)\s*\$?(\d+)/i))) {
+            price = +match[2];
+        } else if ((match = text.match(/^\$?(\d+)\s*[-–]\s*\$?(\d+)/))) {
+            price = (+match[1] + +match[2]) / 2;
+        }
+        if (price === null) return null;
+
+        const band = this.BANDS.find(b => price >= b.min && (b.max === null || price <= b.max)) ||
+            this.BANDS.find(b => b.max === null || price < b.max);
+        return band ? band.band : null;
+    }
+
+    /**
+     * Get a band definition
+     * @param {number|null} band - Band 1-4
+     * @returns {Object|null} { band, symbol, label, min, max }
+     */
+    get(band) {
+        return this.BANDS.find(b => b.band === band) || null;
+    }
+
+    /**
+     * Format a band for display, e.g. "$$ ($11-30)"
+     * @param {number|null} band - Band 1-4
+     * @returns {string} Text ("Unknown" when null)
+     */
+    format(band) {
+        const definition = this.get(band);
+        return definition ? `${definition.symbol} (${definition.label})` : "Unknown";
+    }
+
+    /**
+     * Check whether a record matches a price filter value
+     * @param {Object} d - Record with priceBand
+     * @param {string} filter - 'all', 'unknown', or a band number as string
+     * @returns {boolean} True when the record matches
+     */
+    matches(d, filter) {
+        if (filter === "all") return true;
+        if (filter === "unknown") return d.priceBand === null || d.priceBand === undefined;
+        return d.priceBand === +filter;
+    }
+
+    /**
+     * Compare health scores across price bands
+     * @param {Array} records - Records with priceBand and healthScore
+     * @returns {Array} [{ band, symbol, label, count, avgHealthScore }] for every band (avg null when empty)
+     */
+    compareHealth(records) {
+        return this.BANDS.map(b => {
+            const inBand = records.filter(d => d.priceBand === b.band);
+            return {
+                ...b,
+                count: inBand.length,
+                avgHealthScore: inBand.length > 0 ? d3.mean(inBand, d => d.healthScore) : null
+            };
+        });
+    }
+}
@@ -0,0 +1,153 @@
+// qualityPanel.js - Data quality report view
+
+/**
+ * QualityPanel class - Shows records dropped at each pipeline stage, suspicious records,
+ * and exports rejected/suspicious rows as CSV
+ */
+class QualityPanel {
+    constructor(report) {
+        this.report = report;
+        this.MAX_LIST_ITEMS = 20;  // Longer lists are truncated on screen (the CSV has everything)
+    }
+
+    /**
+     * Show the panel
+     */
+    show() {
+        this.render();
+        d3.select("#quality-panel").classed("hidden", false);
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        d3.select("#quality-panel").classed("hidden", true);
+    }
+
+    /**
+     * Render the report into #quality-content
+     */
+    render() {
+        const container = d3.select("#quality-content");
+        container.selectAll("*").remove();
+
+        if (!this.report) {
+            container.append("p").attr("class", "quality-empty")
+                .text("No data quality report is available for this dataset.");
+            d3.select("#quality-download-btn").property("disabled", true);
+            return;
+        }
+
+        const report = this.report;
+        const format = d3.format(",");
+
+        if (report.yelpDataInvalid) {
+            container.append("p").attr("class", "quality-warning")
+                .text("⚠ The Yelp dataset could not be read as a table; no Yelp data was merged.");
+        }
+
+        // Pipeline stages
+        const stageTable = container.append("table").attr("class", "quality-table");
+        stageTable.append("thead").append("tr").selectAll("th")
+            .data(["Stage", "Remaining", "Dropped"])
+            .join("th")
+            .text(d => d);
+        stageTable.append("tbody").selectAll("tr")
+            .data(report.stages)
+            .join("tr")
+            .html(d => `<td>${d.stage}</td><td>${format(d.count)} ${d.unit}</td>` +
+                `<td class="${d.dropped > 0 ? "dropped" : ""}">${d.dropped > 0 ? format(d.dropped) : "–"}</td>`);
+
+        // Excluded establishment types
+        const excluded = Object.entries(report.excludedTypes).sort((a, b) => b[1] - a[1]);
+        this.renderList(container, `Excluded establishment types (${excluded.length})`,
+            excluded, ([type, count]) => `${type}: ${format(count)} rows`);
+
+        this.renderList(container, `Coordinates outside every neighbourhood (${format(report.outsideNeighbourhoods.length)})`,
+            report.outsideNeighbourhoods,
+            d => `${d["Establishment Name"]} — ${d["Establishment Address"] || "no address"} (${d.Latitude.toFixed(5)}, ${d.Longitude.toFixed(5)})`);
+
+        const geocoder = new Geocoder();
+        this.renderList(container, `Approximately placed, no DineSafe coordinates (${format((report.approximateLocations || []).length)})`,
+            report.approximateLocations || [],
+            d => `${d["Establishment Name"]} — ${d["Establishment Address"] || "no address"}: ${geocoder.PRECISION[d.precision]}`);
+
+        this.renderList(container, `Unparseable inspection dates (${format(report.invalidDates.length)})`,
+            report.invalidDates,
+            d => `${d["Establishment Name"]}: "${d["Inspection Date"]}"`);
+
+        this.renderList(container, `Duplicate row ids (${format(report.duplicateIds.length)})`,
+            report.duplicateIds,
+            d => `${d.id} appears ${d.count} times`);
+
+        d3.select("#quality-download-btn").property("disabled", this.getExportRows().length === 0);
+    }
+
+    /**
+     * Render a titled, truncated list
+     * @param {Object} container - d3 selection
+     * @param {string} title - Section title
+     * @param {Array} items - Items
+     * @param {Function} formatItem - Item -> text
+     */
+    renderList(container, title, items, formatItem) {
+        const section = container.append("div").attr("class", "quality-section");
+        section.append("h3").text(title);
+
+        if (items.length === 0) {
+            section.append("p").attr("class", "quality-empty").text("None");
+            return;
+        }
+
+        section.append("ul").selectAll("li")
+            .data(items.slice(0, this.MAX_LIST_ITEMS))
+            .join("li")
+            .text(formatItem);
+
+        if (items.length > this.MAX_LIST_ITEMS) {
+            section.append("p").attr("class", "quality-empty")
+                .text(`… and ${d3.format(",")(items.length - this.MAX_LIST_ITEMS)} more (see CSV download)`);
+        }
+    }
+
+    /**
+     * Collect rejected and suspicious rows, each with a reason column
+     * @returns {Array} Rows
+     */
+    getExportRows() {
+        if (!this.report) return [];
+        return [
+            ...this.report.rejectedRows,
+            ...this.report.outsideNeighbourhoods.map(d => ({ reason: "Outside all neighbourhoods", ...d })),
+            ...(this.report.approximateLocations || []).map(d => ({ reason: `Approximate location (${d.precision})`, ...d }))
+        ];
+    }
+
+    /**
+     * Download rejected and suspicious rows as CSV
+     * @param {ScoringModel} scoringModel - Model that produced the health scores (recorded in every row)
+     */
+    downloadCsv(scoringModel = new ScoringModel()) {
+        const model = scoringModel.getSummary();
+        const rows = this.getExportRows().map(row => ({ ...row, scoringModel: model }));
+        if (rows.length === 0) return;
+
+        // Union of all columns, reason first and the scoring model last
+        const columns = ["reason"];
+        rows.forEach(row => {
+            Object.keys(row).forEach(key => {
+                if (key !== "scoringModel" && !columns.includes(key)) columns.push(key);
+            });
+        });
+        columns.push("scoringModel");
+
+        const blob = new Blob([d3.csvFormat(rows, columns)], { type: "text/csv" });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = "dinesafe_rejected_rows.csv";
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,171 @@
+// scoringModel.js - Configurable health scoring model
+
+/**
+ * ScoringModel class - Defines inspection penalties, grade thresholds and optional
+ * recency decay, and (re)scores establishment records with them
+ */
+class ScoringModel {
+    constructor(definition = {}) {
+        this.definition = ScoringModel.merge(ScoringModel.getDefaultDefinition(), definition);
+    }
+
+    /**
+     * Default model (matches the original hard-coded scoring)
+     * @returns {Object} Model definition
+     */
+    static getDefaultDefinition() {
+        return {
+            // Points deducted from 100 for the inspection outcome
+            statusPenalties: {
+                "Closed": 100,
+                "Conditional Pass": 30,
+                "Pass": 0
+            },
+            // Points deducted for the worst infraction of an inspection
+            severityPenalties: {
+                C: 40,  // Crucial
+                S: 20,  // Significant
+                M: 10   // Minor
+            },
+            // Minimum score for each grade (anything lower is D)
+            gradeThresholds: {
+                A: 90,
+                B: 75,
+                C: 60
+            },
+            // Recency weighting: older inspections count less (weight halves every halfLifeDays)
+            decay: {
+                enabled: false,
+                halfLifeDays: 365
+            }
+        };
+    }
+
+    /**
+     * Deep-merge a (partial) definition over a base definition
+     * @param {Object} base - Base definition
+     * @param {Object} override - Partial definition
+     * @returns {Object} Merged definition
+     */
+    static merge(base, override) {
+        const result = { ...base };
+        Object.keys(override || {}).forEach(key => {
+            const value = override[key];
+            result[key] = value && typeof value === "object" && !Array.isArray(value)
+                ? ScoringModel.merge(base[key] || {}, value)
+                : value;
+        });
+        return result;
+    }
+
+    /**
+     * Score a single inspection
+     * @param {Object} inspection - { status, worstSeverity }
+     * @returns {number} Score between 0 and 100
+     */
+    scoreInspection(inspection) {
+        const { statusPenalties, severityPenalties } = this.definition;
+        let score = 100;
+        score -= statusPenalties[inspection.status] || 0;
+        score -= severityPenalties[inspection.worstSeverity] || 0;
+        return Math.max(0, score);
+    }
+
+    /**
+     * Get the grade for a score
+     * @param {number} healthScore - Score
+     * @returns {string} "A" | "B" | "C" | "D"
+     */
+    grade(healthScore) {
+        const thresholds = this.definition.gradeThresholds;
+        if (healthScore >= thresholds.A) return "A";
+        if (healthScore >= thresholds.B) return "B";
+        if (healthScore >= thresholds.C) return "C";
+        return "D";
+    }
+
+    /**
+     * Score an establishment from its (date-sorted) inspection history.
+     * Without decay this is the latest inspection's score; with decay it is a recency-weighted average.
+     * @param {Array} inspections - Inspections with healthScore and date, oldest first
+     * @param {Date} referenceDate - Date ages are measured from
+     * @returns {number} Score
+     */
+    scoreHistory(inspections, referenceDate = new Date()) {
+        if (inspections.length === 0) return 100;
+
+        const latest = inspections[inspections.length - 1];
+        const { decay } = this.definition;
+        if (!decay.enabled || !(decay.halfLifeDays > 0)) {
+            return latest.healthScore;
+        }
+
+        let weighted = 0;
+        let totalWeight = 0;
+        inspections.forEach(inspection => {
+            const date = new Date(inspection.date);
+            const ageDays = isNaN(date.getTime()) ? Infinity : Math.max(0, (referenceDate - date) / 86400000);
+            const weight = Math.pow(0.5, ageDays / decay.halfLifeDays);
+            weighted += weight * inspection.healthScore;
+            totalWeight += weight;
+        });
+
+        return totalWeight > 0 ? Math.round(weighted / totalWeight) : latest.healthScore;
+    }
+
+    /**
+     * Rescore records in place (inspection scores, establishment score, grade and trend)
+     * @param {Array} records - Establishment records with inspection histories
+     * @returns {Array} The same records
+     */
+    apply(records) {
+        const now = new Date();
+        records.forEach(d => {
+            const inspections = d.inspections || [];
+            inspections.forEach(inspection => {
+                inspection.healthScore = this.scoreInspection(inspection);
+            });
+
+            d.healthScore = inspections.length > 0
+                ? this.scoreHistory(inspections, now)
+                : this.scoreInspection({ status: d["Establishment Status"], worstSeverity: d.worstSeverity });
+            d.healthGrade = this.grade(d.healthScore);
+            d.healthScoreTrend = inspections.map(inspection => ({ date: inspection.date, score: inspection.healthScore }));
+            d.healthTrend = ScoringModel.getTrend(d.healthScoreTrend);
+        });
+        return records;
+    }
+
+    /**
+     * Classify the direction of a health score history
+     * @param {Array} trend - [{ date, score }] sorted oldest first
+     * @returns {string} 'improving' | 'declining' | 'stable' | 'single'
+     */
+    static getTrend(trend) {
+        if (trend.length < 2) return "single";
+        const delta = trend[trend.length - 1].score - trend[trend.length - 2].score;
+        if (delta > 0) return "improving";
+        if (delta < 0) return "declining";
+        return "stable";
+    }
+
+    /**
+     * Short human-readable description of the model
+     * @returns {string} Summary
+     */
+    getSummary() {
+        const { statusPenalties, severityPenalties, gradeThresholds, decay } = this.definition;
+        return `Closed −${statusPenalties["Closed"]}, Conditional −${statusPenalties["Conditional Pass"]}; ` +
+            `Crucial −${severityPenalties.C}, Significant −${severityPenalties.S}, Minor −${severityPenalties.M}; ` +
+            `A≥${gradeThresholds.A}, B≥${gradeThresholds.B}, C≥${gradeThresholds.C}; ` +
+            (decay.enabled ? `recency half-life ${decay.halfLifeDays} days` : "latest inspection only");
+    }
+
+    /**
+     * Serializable form of the model
+     * @returns {Object} Definition
+     */
+    toJSON() {
+        return this.definition;
+    }
+}
@@ -0,0 +1,82 @@
+// scoringPanel.js - Settings panel for the health scoring model
+
+/**
+ * ScoringPanel class - Edits the active ScoringModel; every change is reported
+ * through onChange so the map, filters, charts and cards recompute immediately
+ */
+class ScoringPanel {
+    constructor(model, onChange) {
+        this.model = model;
+        this.onChange = onChange;
+
+        // Input id -> path in the model definition
+        this.FIELDS = {
+            "score-closed": ["statusPenalties", "Closed"],
+            "score-conditional": ["statusPenalties", "Conditional Pass"],
+            "score-crucial": ["severityPenalties", "C"],
+            "score-significant": ["severityPenalties", "S"],
+            "score-minor": ["severityPenalties", "M"],
+            "grade-a": ["gradeThresholds", "A"],
+            "grade-b": ["gradeThresholds", "B"],
+            "grade-c": ["gradeThresholds", "C"],
+            "decay-half-life": ["decay", "halfLifeDays"]
+        };
+    }
+
+    /**
+     * Bind inputs and fill them from the model
+     */
+    setup() {
+        Object.keys(this.FIELDS).forEach(id => {
+            d3.select(`#${id}`).on("change", () => this.handleChange());
+        });
+        d3.select("#decay-enabled").on("change", () => this.handleChange());
+        d3.select("#scoring-reset-btn").on("click", () => {
+            this.model = new ScoringModel();
+            this.fill();
+            this.onChange(this.model);
+        });
+        d3.select("#scoring-btn").on("click", () => d3.select("#scoring-panel").classed("hidden", false));
+        d3.select("#scoring-close-btn").on("click", () => d3.select("#scoring-panel").classed("hidden", true));
+
+        this.fill();
+    }
+
+    /**
+     * Write the model values into the inputs (clears a rejected change's message)
+     */
+    fill() {
+        const definition = this.model.toJSON();
+        Object.entries(this.FIELDS).forEach(([id, [group, key]]) => {
+            d3.select(`#${id}`).property("value", definition[group][key]);
+        });
+        d3.select("#decay-enabled").property("checked", definition.decay.enabled);
+        d3.select("#decay-half-life").property("disabled", !definition.decay.enabled);
+        d3.select("#scoring-summary").text(this.model.getSummary());
+        d3.select("#scoring-error").text("");
+    }
+
+    /**
+     * Build a new model from the inputs and report it. Grade thresholds out of order
+     * (A ≥ B ≥ C) are rejected: the inputs go back to the active model with a message.
+     */
+    handleChange() {
+        const definition = ScoringModel.getDefaultDefinition();
+        Object.entries(this.FIELDS).forEach(([id, [group, key]]) => {
+            const value = parseFloat(d3.select(`#${id}`).property("value"));
+            if (!isNaN(value)) definition[group][key] = Math.max(0, value);
+        });
+        definition.decay.enabled = d3.select("#decay-enabled").property("checked");
+
+        const { A, B, C } = definition.gradeThresholds;
+        if (A < B || B < C) {
+            this.fill();
+            d3.select("#scoring-error").text(`Grade thresholds must satisfy A ≥ B ≥ C (got A ${A}, B ${B}, C ${C}); change not applied.`);
+            return;
+        }
+
+        this.model = new ScoringModel(definition);
+        this.fill();
+        this.onChange(this.model);
+    }
+}
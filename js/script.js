@@ -1,10 +1,45 @@
+// Progress labels for each pipeline stage
+const LOADING_STAGES = {
+    "download": "Downloading data...",
+    "download-geo": "Downloading neighbourhoods...",
+    "download-dinesafe": "Downloading DineSafe inspections...",
+    "download-yelp": "Downloading Yelp listings...",
+    "download-snapshot": "Downloading older snapshot...",
+    "download-bundle": "Downloading prebuilt data...",
+    "decode": "Decoding prebuilt data...",
+    "parse": "Parsing data...",
+    "filter": "Filtering establishment types...",
+    "group": "Grouping inspections by establishment...",
+    "neighbourhoods": "Assigning neighbourhoods...",
+    "match": "Matching Yelp listings...",
+    "diff": "Comparing snapshots...",
+    "transfer": "Preparing map..."
+};
+
+/**
+ * Update the loading overlay with pipeline progress
+ * @param {Object} progress - { stage, loaded, total }
+ */
+function showLoadingProgress({ stage, loaded, total }) {
+    let label = LOADING_STAGES[stage] || "Loading data...";
+    if (total > 0) {
+        const percent = Math.min(100, loaded / total * 100);
+        d3.select("#loading-progress").style("width", `${percent}%`);
+        label += ` ${percent.toFixed(0)}%`;
+    } else if (loaded > 0) {
+        label += ` ${(loaded / 1048576).toFixed(1)} MB`;
+    }
+    d3.select("#loading-label").text(label);
+}
+
 // Load data and initialize map
-loadData()
-    .then(({ geo, mergedData }) => {
+loadData(showLoadingProgress)
+    .then(({ geo, mergedData, sampleInfo, cacheInfo, qualityReport, imports }) => {
         console.log(`✓ Loaded ${mergedData.length} restaurants and ${geo.features.length} neighbourhoods`);
         
         // Initialize map
-        initMap(geo, mergedData);
+        initMap(geo, mergedData, { sampleInfo, cacheInfo, qualityReport, imports, dataLoader });
+        d3.select("#loading-overlay").remove();
         
         console.log("✓ Map initialization complete!");
     })
@@ -0,0 +1,115 @@
+// searchBox.js - Search input with an autocomplete list
+
+/**
+ * SearchBox class - Shows the best SearchIndex results while typing; a result is chosen with
+ * the mouse or the arrow keys and Enter, and reported through onSelect
+ */
+class SearchBox {
+    constructor(searchIndex, onSelect) {
+        this.searchIndex = searchIndex;
+        this.onSelect = onSelect;
+        this.results = [];
+        this.resultsQuery = null;  // Query the current results belong to
+        this.activeIndex = -1;
+        this.searchTimeout = null;
+
+        this.MAX_RESULTS = 8;
+        this.DEBOUNCE_MS = 120;
+    }
+
+    /**
+     * Bind the input and the result list
+     */
+    setup() {
+        const input = d3.select("#search-input");
+
+        input.on("input", () => {
+            clearTimeout(this.searchTimeout);
+            this.searchTimeout = setTimeout(() => this.search(input.property("value")), this.DEBOUNCE_MS);
+        });
+        input.on("keydown", (event) => this.handleKey(event));
+        input.on("focus", () => this.render());
+        // Delay so a click on a result lands before the list closes
+        input.on("blur", () => setTimeout(() => this.hideResults(), 150));
+    }
+
+    /**
+     * Run a search and show its results
+     * @param {string} query - Query text
+     */
+    search(query) {
+        this.results = this.searchIndex.search(query, this.MAX_RESULTS);
+        this.resultsQuery = query;
+        this.activeIndex = this.results.length > 0 ? 0 : -1;
+        this.render();
+        d3.select("#search-results-empty").classed("hidden", this.results.length > 0 || !query.trim());
+    }
+
+    /**
+     * Handle keyboard navigation
+     * @param {KeyboardEvent} event - Key event
+     */
+    handleKey(event) {
+        if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+            if (this.results.length === 0) return;
+            event.preventDefault();
+            const step = event.key === "ArrowDown" ? 1 : -1;
+            this.activeIndex = (this.activeIndex + step + this.results.length) % this.results.length;
+            this.render();
+        } else if (event.key === "Enter") {
+            event.preventDefault();
+            // Results of the latest keystrokes may still be pending; otherwise keep the entry chosen with the arrow keys
+            clearTimeout(this.searchTimeout);
+            const query = d3.select("#search-input").property("value");
+            if (query !== this.resultsQuery) this.search(query);
+            if (this.activeIndex >= 0) this.choose(this.results[this.activeIndex]);
+        } else if (event.key === "Escape") {
+            this.hideResults();
+            event.target.blur();
+        }
+    }
+
+    /**
+     * Show the current results
+     */
+    render() {
+        const items = d3.select("#search-results")
+            .classed("hidden", this.results.length === 0)
+            .selectAll("li")
+            .data(this.results)
+            .join(enter => {
+                const li = enter.append("li").attr("class", "search-result");
+                li.append("span").attr("class", "search-result-label");
+                li.append("span").attr("class", "search-result-detail");
+                return li;
+            });
+
+        items
+            .classed("active", (d, i) => i === this.activeIndex)
+            .classed("search-result-neighbourhood", d => d.kind === "neighbourhood")
+            .on("mousedown", (event, d) => {
+                event.preventDefault();
+                this.choose(d);
+            });
+        items.select(".search-result-label").text(d => d.label);
+        items.select(".search-result-detail").text(d => d.detail);
+    }
+
+    /**
+     * Report a chosen result and close the list
+     * @param {Object} result - SearchIndex result
+     */
+    choose(result) {
+        d3.select("#search-input").property("value", result.label);
+        this.hideResults();
+        this.onSelect(result);
+    }
+
+    /**
+     * Close the result list
+     */
+    hideResults() {
+        d3.select("#search-results").classed("hidden", true);
+        d3.select("#search-results-empty").classed("hidden", true);
+    }
+}
@@ -0,0 +1,189 @@
+// searchIndex.js - Ranked, typo-tolerant search over establishments and neighbourhoods
+
+/**
+ * SearchIndex class - Matches a query against establishment names, addresses and neighbourhood
+ * names. Every query word has to match a word of the entry: exactly, as a prefix, or within a
+ * small edit distance (typos). Results are ranked by how well they match, with name matches
+ * ahead of address matches. DOM-free, so it can run anywhere the core does.
+ */
+class SearchIndex {
+    constructor() {
+        this.entries = [];
+
+        // Score of a word match, by kind
+        this.MATCH_SCORES = { exact: 3, prefix: 2, fuzzy: 1 };
+        // Weight of the field a query matched in
+        this.FIELD_WEIGHTS = { name: 1, neighbourhood: 1, address: 0.6 };
+        // Shortest word length that tolerates 1 and 2 typos
+        this.TYPO_LENGTHS = [4, 8];
+    }
+
+    /**
+     * Build the index
+     * @param {Array} records - Render records
+     * @param {Array} features - Neighbourhood GeoJSON features
+     * @returns {SearchIndex} This index
+     */
+    build(records, features = []) {
+        this.entries = [
+            ...features.map(feature => ({
+                kind: "neighbourhood",
+                label: feature.properties.AREA_NAME,
+                detail: "Neighbourhood",
+                target: feature,
+                fields: { neighbourhood: this.tokenize(feature.properties.AREA_NAME) }
+            })),
+            ...records.map(d => ({
+                kind: "restaurant",
+                label: d["Establishment Name"],
+                detail: [d["Establishment Address"], d.AREA_NAME].filter(Boolean).join(" · "),
+                target: d,
+                fields: {
+                    name: this.tokenize(d["Establishment Name"]),
+                    address: this.tokenize(d["Establishment Address"])
+                }
+            }))
+        ];
+        return this;
+    }
+
+    /**
+     * Split text into lowercase words without accents or punctuation
+     * @param {string} text - Text
+     * @returns {Array} Words
+     */
+    tokenize(text) {
+        return String(text || "")
+            .normalize("NFD")
+            .replace(/[\u0300-\u036f]/g, "")
+            .toLowerCase()
+            .replace(/['\u2019]/g, "")
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean);
+    }
+
+    /**
+     * Search the index
+     * @param {string} query - Query text
+     * @param {number} limit - Maximum number of results
+     * @returns {Array} [{ kind, label, detail, target, score }] best first
+     */
+    search(query, limit = 8) {
+        const terms = this.tokenize(query);
+        if (terms.length === 0) return [];
+
+        // Word scores per query word, shared by all entries (many establishments repeat words)
+        const wordScores = terms.map(() => new Map());
+        const results = [];
+        this.entries.forEach(entry => {
+            const score = this.scoreEntry(entry, terms, wordScores);
+            if (score > 0) results.push({ entry, score });
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score || a.entry.label.length - b.entry.label.length ||
+                a.entry.label.localeCompare(b.entry.label))
+            .slice(0, limit)
+            .map(({ entry, score }) => ({ ...entry, score }));
+    }
+
+    /**
+     * Score an entry against the query words (0 when a word does not match)
+     * @param {Object} entry - Index entry
+     * @param {Array} terms - Query words
+     * @param {Array} wordScores - Cache of matchWord results, one Map per query word
+     * @returns {number} Score
+     */
+    scoreEntry(entry, terms, wordScores = terms.map(() => new Map())) {
+        let best = 0;
+
+        Object.entries(entry.fields).forEach(([field, words]) => {
+            let total = 0;
+            for (let t = 0; t < terms.length; t++) {
+                const match = this.matchTerm(terms[t], words, wordScores[t]);
+                if (match === 0) return;
+                total += match;
+            }
+            // Words in order at the start of the field ("tim ho" -> "Tim Hortons") rank first
+            const leading = terms.every((term, i) => words[i] !== undefined && words[i].startsWith(term)) ? 1 : 0;
+            // Fewer unmatched words = closer match
+            const coverage = terms.length / Math.max(words.length, terms.length);
+            best = Math.max(best, (total / terms.length + leading + coverage) * this.FIELD_WEIGHTS[field]);
+        });
+
+        return best;
+    }
+
+    /**
+     * Find the best match of one query word among the words of a field
+     * @param {string} term - Query word
+     * @param {Array} words - Field words
+     * @param {Map} wordScores - Cache of matchWord results for this query word
+     * @returns {number} Match score (0 = no match)
+     */
+    matchTerm(term, words, wordScores = new Map()) {
+        let best = 0;
+
+        for (const word of words) {
+            if (!wordScores.has(word)) wordScores.set(word, this.matchWord(term, word));
+            best = Math.max(best, wordScores.get(word));
+        }
+
+        // Words typed without their space ("timhortons")
+        if (best < this.MATCH_SCORES.prefix && words.length > 1 &&
+            words.some((word, i) => term.startsWith(word) && words.slice(i).join("").startsWith(term))) {
+            best = this.MATCH_SCORES.prefix;
+        }
+        return best;
+    }
+
+    /**
+     * Match one query word against one word
+     * @param {string} term - Query word
+     * @param {string} word - Word
+     * @returns {number} Match score (0 = no match)
+     */
+    matchWord(term, word) {
+        if (word === term) return this.MATCH_SCORES.exact;
+        if (word.startsWith(term)) return this.MATCH_SCORES.prefix;
+
+        const maxTypos = this.TYPO_LENGTHS.filter(length => term.length >= length).length;
+        if (maxTypos === 0) return 0;
+        // Compare with the word cut to the query length too, so typos in a prefix still match
+        const distance = Math.min(
+            this.editDistance(term, word, maxTypos),
+            this.editDistance(term, word.slice(0, term.length), maxTypos)
+        );
+        return distance <= maxTypos ? this.MATCH_SCORES.fuzzy : 0;
+    }
+
+    /**
+     * Damerau-Levenshtein distance (adjacent transpositions count as one edit), bounded
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @param {number} max - Largest distance of interest
+     * @returns {number} Distance, or max + 1 when it is larger than max
+     */
+    editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previous2 = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], previous2[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous2 = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+}
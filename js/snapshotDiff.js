@@ -0,0 +1,137 @@
+// snapshotDiff.js - Compare two DineSafe dataset releases
+
+/**
+ * SnapshotDiff class - Compares grouped establishments from an older and a newer DineSafe
+ * snapshot and lists what changed (one entry per establishment and change type)
+ */
+class SnapshotDiff {
+    constructor() {
+        // Change types, in display order
+        this.CHANGE_TYPES = {
+            new: "New establishment",
+            closed: "Closed",
+            status: "Status change",
+            crucial: "New crucial infraction",
+            disappeared: "Disappeared"
+        };
+    }
+
+    /**
+     * Compare two sets of grouped establishments
+     * @param {Array} previous - Establishments from the older snapshot
+     * @param {Array} current - Establishments from the newer snapshot
+     * @returns {Object} { changes, summary }
+     */
+    compare(previous, current) {
+        const previousById = new Map(previous.map(d => [d["Establishment ID"], d]));
+        const currentIds = new Set(current.map(d => d["Establishment ID"]));
+        const changes = [];
+
+        current.forEach(d => {
+            const before = previousById.get(d["Establishment ID"]);
+
+            if (!before) {
+                changes.push(this.createChange("new", d, { to: d["Establishment Status"] }));
+            } else if (before["Establishment Status"] !== d["Establishment Status"]) {
+                changes.push(this.createChange(d["Establishment Status"] === "Closed" ? "closed" : "status", d, {
+                    from: before["Establishment Status"],
+                    to: d["Establishment Status"]
+                }));
+            }
+
+            const newCrucial = this.getNewCrucialInfractions(before, d);
+            if (newCrucial.length > 0) {
+                const latest = newCrucial[newCrucial.length - 1];
+                changes.push(this.createChange("crucial", d, {
+                    date: latest.date,
+                    details: latest.details,
+                    count: newCrucial.length
+                }));
+            }
+        });
+
+        previous.forEach(d => {
+            if (!currentIds.has(d["Establishment ID"])) {
+                changes.push(this.createChange("disappeared", d, { from: d["Establishment Status"] }));
+            }
+        });
+
+        const summary = {};
+        Object.keys(this.CHANGE_TYPES).forEach(type => { summary[type] = 0; });
+        changes.forEach(change => { summary[change.changeType]++; });
+
+        return { changes, summary };
+    }
+
+    /**
+     * Crucial infractions in the newer snapshot that the older one did not have
+     * @param {Object|undefined} before - Establishment in the older snapshot
+     * @param {Object} after - Establishment in the newer snapshot
+     * @returns {Array} [{ date, details }] oldest first
+     */
+    getNewCrucialInfractions(before, after) {
+        const known = new Set();
+        if (before) {
+            this.getCrucialInfractions(before).forEach(inf => known.add(`${inf.date}|${inf.details}`));
+        }
+        return this.getCrucialInfractions(after).filter(inf => !known.has(`${inf.date}|${inf.details}`));
+    }
+
+    /**
+     * All crucial infractions of an establishment
+     * @param {Object} d - Establishment with inspections
+     * @returns {Array} [{ date, details }] oldest first
+     */
+    getCrucialInfractions(d) {
+        return (d.inspections || []).flatMap(inspection => inspection.infractions
+            .filter(inf => inf.severity.includes("C - Crucial"))
+            .map(inf => ({ date: inspection.date, details: inf.details })));
+    }
+
+    /**
+     * Build a change entry
+     * @param {string} changeType - Key of CHANGE_TYPES
+     * @param {Object} d - Establishment the change belongs to
+     * @param {Object} extra - Change details (from, to, date, details, count)
+     * @returns {Object} Change
+     */
+    createChange(changeType, d, extra = {}) {
+        return {
+            changeType,
+            "Establishment ID": d["Establishment ID"],
+            "Establishment Name": d["Establishment Name"],
+            "Establishment Type": d["Establishment Type"],
+            "Establishment Address": d["Establishment Address"],
+            "Latitude": +d["Latitude"],
+            "Longitude": +d["Longitude"],
+            "AREA_NAME": d.AREA_NAME || null,
+            "AREA_SHORT_CODE": d.AREA_SHORT_CODE || null,
+            from: null,
+            to: null,
+            date: d["Inspection Date"],
+            details: null,
+            ...extra
+        };
+    }
+
+    /**
+     * Describe a change in one line
+     * @param {Object} change - Change entry
+     * @returns {string} Description
+     */
+    describe(change) {
+        switch (change.changeType) {
+            case "new":
+                return `New establishment (${change.to || "no status"})`;
+            case "closed":
+            case "status":
+                return `${change.from || "No status"} → ${change.to || "no status"}`;
+            case "crucial":
+                return `${change.count} new crucial infraction${change.count > 1 ? "s" : ""}: ${change.details}`;
+            case "disappeared":
+                return `No longer listed (was ${change.from || "no status"})`;
+            default:
+                return change.changeType;
+        }
+    }
+}
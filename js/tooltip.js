@@ -8,6 +8,8 @@ class Tooltip {
         this.mapState = mapStateInstance;
         this.tooltipShowTimeout = null;
         this.tooltipHideTimeout = null;
+        this.priceBands = new PriceBands();
+        this.geocoder = new Geocoder();
     }
 
     /**
@@ -52,19 +54,45 @@ class Tooltip {
                                 ${d["Establishment Status"]}
                             </span>
                             <strong>Health Score:</strong>
-                            <span style="font-weight: bold; color: ${d.healthScore >= 90 ? "#27ae60" : 
-                                                                      d.healthScore >= 70 ? "#f39c12" : "#e74c3c"};">
+                            <span style="font-weight: bold; color: ${d.healthGrade === "A" ? "#27ae60" : 
+                                                                      d.healthGrade === "D" ? "#e74c3c" : "#f39c12"};">
                                 ${d.healthScore}/100
                             </span>
                             <strong>Health Grade:</strong>
                             <span style="font-weight: bold; font-size: 16px; color: ${config.healthGradeColors[d.healthGrade]};">
                                 ${d.healthGrade}
                             </span>
+                            ${d.locationPrecision && d.locationPrecision !== "exact" ? `
+                                <strong>Location:</strong>
+                                <span style="color: #e67e22;">Approximate (${this.geocoder.PRECISION[d.locationPrecision]})</span>
+                            ` : ''}
+                            <strong>Inspections:</strong>
+                            <span>${d.inspectionCount || 1} (latest ${d["Inspection Date"] || "unknown"})</span>
+                            <strong>Worst Ever:</strong>
+                            <span>${{ C: "Crucial", S: "Significant", M: "Minor", clean: "No infractions" }[d.worstSeverity]}</span>
+                            <strong>Trend:</strong>
+                            <span>${{ improving: "▲ Improving", declining: "▼ Declining", stable: "● Stable", single: "Single inspection" }[d.healthTrend] || "N/A"}</span>
                             ${d.yelpMatch ? `
                                 <strong>Yelp Rating:</strong> 
-                                <span>${"⭐".repeat(Math.round(+d.yelpMatch.avg_rating))} ${d.yelpMatch.avg_rating}</span>
+                                ${d.yelpMatch.avg_rating !== null
+                                    ? `<span>${"⭐".repeat(Math.round(d.yelpMatch.avg_rating))} ${d.yelpMatch.avg_rating}</span>`
+                                    : '<span style="color: #95a5a6;">Unknown</span>'}
                                 <strong>Reviews:</strong> 
-                                <span>${d.yelpMatch.num_of_reviews}</span>
+                                ${d.yelpMatch.num_of_reviews !== null
+                                    ? `<span>${d.yelpMatch.num_of_reviews}</span>`
+                                    : '<span style="color: #95a5a6;">Unknown</span>'}
+                                <strong>Yelp Match:</strong>
+                                <span style="color: ${d.yelpMatch.matchLevel === "strong" ? "#27ae60" : 
+                                                      d.yelpMatch.matchLevel === "medium" ? "#f39c12" : "#95a5a6"};">
+                                    ${d.yelpMatch.matchLevel.charAt(0).toUpperCase() + d.yelpMatch.matchLevel.slice(1)}
+                                    (${Math.round(d.yelpMatch.matchConfidence * 100)}%)
+                                </span>
+                                <strong>Price:</strong>
+                                <span${d.priceBand ? '' : ' style="color: #95a5a6;"'}>${this.priceBands.format(d.priceBand)}</span>
+                                ${d.cuisines && d.cuisines.length > 0 ? `
+                                    <strong>Cuisine:</strong>
+                                    <span>${d.cuisines.join("<br/>")}</span>
+                                ` : ''}
                             ` : '<strong>Yelp Data:</strong> <span style="color: #95a5a6;">Not Available</span>'}
                         </div>
                     </div>
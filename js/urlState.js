@@ -0,0 +1,338 @@
+// urlState.js - View state encoded in the page URL
+
+/**
+ * UrlState class - Reads and writes the shareable view state in the query string: map filters,
+ * scoring model, zoom transform, selected neighbourhood (AREA_SHORT_CODE), dot visibility,
+ * choropleth mode, heatmap, hexagon layer and the cards page filters. Default values are left
+ * out so links stay short; other parameters (sample, seed) are kept as they are.
+ */
+class UrlState {
+    constructor() {
+        // FilterEngine filter key -> URL parameter (list values repeat the parameter)
+        this.FILTER_PARAMS = {
+            status: "status",
+            healthGrade: "grade",
+            type: "type",
+            severity: "severity",
+            severityMode: "severityMode",
+            scoreMin: "scoreMin",
+            scoreMax: "scoreMax",
+            yelpCuisine: "cuisine",
+            price: "price"
+        };
+
+        // Cards page filter key -> URL parameter (the map's filters, applied on top of them, plus sorting)
+        this.CARD_PARAMS = {
+            status: "listStatus",
+            healthGrade: "listGrade",
+            type: "listType",
+            severity: "listSeverity",
+            severityMode: "listSeverityMode",
+            scoreMin: "listScoreMin",
+            scoreMax: "listScoreMax",
+            yelpCuisine: "listCuisine",
+            price: "listPrice",
+            yelpOnly: "yelpOnly",
+            sortBy: "sort"
+        };
+
+        // Scoring model setting -> path in the model definition ("model=crucial:50,gradeA:85,...");
+        // "decay" holds the half-life in days and is only written when recency decay is on
+        this.MODEL_PARAMS = {
+            closed: ["statusPenalties", "Closed"],
+            conditional: ["statusPenalties", "Conditional Pass"],
+            crucial: ["severityPenalties", "C"],
+            significant: ["severityPenalties", "S"],
+            minor: ["severityPenalties", "M"],
+            gradeA: ["gradeThresholds", "A"],
+            gradeB: ["gradeThresholds", "B"],
+            gradeC: ["gradeThresholds", "C"],
+            decay: ["decay", "halfLifeDays"]
+        };
+    }
+
+    /**
+     * Get the current query parameters
+     * @returns {URLSearchParams} Parameters
+     */
+    getParams() {
+        return new URLSearchParams(window.location.search);
+    }
+
+    /**
+     * Read the map filters
+     * @param {URLSearchParams} params - Parameters
+     * @returns {Object} Filter values (FilterEngine defaults when absent or invalid)
+     */
+    readFilters(params = this.getParams()) {
+        const defaults = FilterEngine.getDefaults();
+        const filters = {};
+        Object.entries(this.FILTER_PARAMS).forEach(([key, param]) => {
+            const defaultValue = defaults[key];
+            if (Array.isArray(defaultValue)) {
+                filters[key] = params.getAll(param).filter(value => value && value !== 'all');
+            } else if (typeof defaultValue === "number") {
+                const value = parseFloat(params.get(param));
+                filters[key] = isNaN(value) ? defaultValue : value;
+            } else {
+                filters[key] = params.get(param) || defaultValue;
+            }
+        });
+        return filters;
+    }
+
+    /**
+     * Write the map filters
+     * @param {URLSearchParams} params - Parameters to modify
+     * @param {Object} filters - Filter values
+     */
+    writeFilters(params, filters) {
+        const defaults = FilterEngine.getDefaults();
+        Object.entries(this.FILTER_PARAMS).forEach(([key, param]) => {
+            if (Array.isArray(defaults[key])) {
+                params.delete(param);
+                [].concat(filters[key] || []).forEach(value => params.append(param, value));
+            } else {
+                this.setParam(params, param, filters[key], defaults[key]);
+            }
+        });
+    }
+
+    /**
+     * Read the scoring model
+     * @param {URLSearchParams} params - Parameters
+     * @returns {Object|null} Partial model definition (settings not in the URL have their default
+     *     value), or null when the URL has no model
+     */
+    readScoringModel(params = this.getParams()) {
+        if (!params.has("model")) return null;
+        const definition = { decay: { enabled: false } };
+        params.get("model").split(",").forEach(setting => {
+            const [name, text] = setting.split(":");
+            const value = parseFloat(text);
+            if (!(name in this.MODEL_PARAMS) || isNaN(value) || value < 0) return;
+            const [group, key] = this.MODEL_PARAMS[name];
+            definition[group] = { ...definition[group], [key]: value };
+            if (name === "decay") definition.decay.enabled = true;
+        });
+        return definition;
+    }
+
+    /**
+     * Write the scoring model (only the settings that differ from the default model)
+     * @param {URLSearchParams} params - Parameters to modify
+     * @param {ScoringModel} model - Scoring model
+     */
+    writeScoringModel(params, model) {
+        const definition = model.toJSON();
+        const defaults = ScoringModel.getDefaultDefinition();
+        const settings = Object.entries(this.MODEL_PARAMS)
+            .filter(([name, [group, key]]) => name === "decay"
+                ? definition.decay.enabled
+                : definition[group][key] !== defaults[group][key])
+            .map(([name, [group, key]]) => `${name}:${definition[group][key]}`);
+        this.setParam(params, "model", settings.join(","), "");
+    }
+
+    /**
+     * Read the zoom transform ("zoom=k/x/y")
+     * @param {URLSearchParams} params - Parameters
+     * @returns {Object|null} d3 zoom transform, or null when absent or invalid
+     */
+    readTransform(params = this.getParams()) {
+        const parts = (params.get("zoom") || "").split("/").map(Number);
+        if (parts.length !== 3 || parts.some(isNaN) || parts[0] <= 0) return null;
+        const [k, x, y] = parts;
+        return d3.zoomIdentity.translate(x, y).scale(k);
+    }
+
+    /**
+     * Write the zoom transform
+     * @param {URLSearchParams} params - Parameters to modify
+     * @param {Object|null} transform - d3 zoom transform
+     */
+    writeTransform(params, transform) {
+        const isIdentity = !transform || (transform.k === 1 && transform.x === 0 && transform.y === 0);
+        this.setParam(params, "zoom",
+            isIdentity ? null : `${+transform.k.toFixed(3)}/${+transform.x.toFixed(1)}/${+transform.y.toFixed(1)}`, null);
+    }
+
+    /**
+     * Read the selected neighbourhood
+     * @param {URLSearchParams} params - Parameters
+     * @returns {string|null} AREA_SHORT_CODE
+     */
+    readArea(params = this.getParams()) {
+        return params.get("area");
+    }
+
+    /**
+     * Write the selected neighbourhood
+     * @param {URLSearchParams} params - Parameters to modify
+     * @param {string|null} areaCode - AREA_SHORT_CODE (null when none is selected)
+     */
+    writeArea(params, areaCode) {
+        this.setParam(params, "area", areaCode, null);
+    }
+
+    /**
+     * Read dot visibility ("dots=0" hides them)
+     * @param {URLSearchParams} params - Parameters
+     * @returns {boolean} True when dots are shown
+     */
+    readShowDots(params = this.getParams()) {
+        return params.get("dots") !== "0";
+    }
+
+    /**
+     * Write dot visibility
+     * @param {URLSearchParams} params - Parameters to modify
+     * @param {boolean} showDots - Whether dots are shown
+     */
+    writeShowDots(params, showDots) {
+        this.setParam(params, "dots", showDots ? null : "0", null);
+    }
+
+    /**
+     * Read the choropleth mode
+     * @param {URLSearchParams} params - Parameters
+     * @returns {Object} { metric, classing } (metric 'none' when the mode is off)
+     */
+    readChoropleth(params = this.getParams()) {
+        return {
+            metric: params.get("choropleth") || "none",
+            classing: params.get("classing") || "quantile"
+        };
+    }
+
+    /**
+     * Write the choropleth mode
+     * @param {URLSearchParams} params - Parameters to modify
+     * @param {Object} settings - { metric, classing }
+     */
+    writeChoropleth(params, { metric, classing }) {
+        this.setParam(params, "choropleth", metric, "none");
+        this.setParam(params, "classing", metric === "none" ? null : classing, "quantile");
+    }
+
+    /**
+     * Read the heatmap state ("heatmap=<bandwidth>" shows it)
+     * @param {URLSearchParams} params - Parameters
+     * @returns {Object} { visible, bandwidth } (bandwidth null when absent or invalid)
+     */
+    readHeatmap(params = this.getParams()) {
+        if (!params.has("heatmap")) return { visible: false, bandwidth: null };
+        const bandwidth = parseFloat(params.get("heatmap"));
+        return { visible: true, bandwidth: isNaN(bandwidth) || bandwidth <= 0 ? null : bandwidth };
+    }
+
+    /**
+     * Write the heatmap state
+     * @param {URLSearchParams} params - Parameters to modify
+     * @param {Object} settings - { visible, bandwidth }
+     */
+    writeHeatmap(params, { visible, bandwidth }) {
+        this.setParam(params, "heatmap", visible ? bandwidth : null, null);
+    }
+
+    /**
+     * Read the hexagon layer state ("hex=<size in km>" shows it)
+     * @param {URLSearchParams} params - Parameters
+     * @returns {Object} { visible, sizeKm, metric } (sizeKm as written in the URL, "1" when absent)
+     */
+    readHexbin(params = this.getParams()) {
+        return {
+            visible: params.has("hex"),
+            sizeKm: params.get("hex") || "1",
+            metric: params.get("hexColor") || "count"
+        };
+    }
+
+    /**
+     * Write the hexagon layer state
+     * @param {URLSearchParams} params - Parameters to modify
+     * @param {Object} settings - { visible, sizeKm, metric }
+     */
+    writeHexbin(params, { visible, sizeKm, metric }) {
+        this.setParam(params, "hex", visible ? sizeKm : null, null);
+        this.setParam(params, "hexColor", visible ? metric : null, "count");
+    }
+
+    /**
+     * Read the cards page filters
+     * @param {Object} defaults - Default filter values
+     * @param {URLSearchParams} params - Parameters
+     * @returns {Object} Filter values
+     */
+    readCardFilters(defaults, params = this.getParams()) {
+        const filters = { ...defaults };
+        Object.entries(this.CARD_PARAMS).forEach(([key, param]) => {
+            if (!params.has(param)) return;
+            const defaultValue = defaults[key];
+            if (Array.isArray(defaultValue)) {
+                filters[key] = params.getAll(param).filter(value => value && value !== 'all');
+            } else if (typeof defaultValue === "boolean") {
+                filters[key] = params.get(param) === "1";
+            } else if (typeof defaultValue === "number") {
+                const value = parseFloat(params.get(param));
+                filters[key] = isNaN(value) ? defaultValue : value;
+            } else {
+                filters[key] = params.get(param);
+            }
+        });
+        return filters;
+    }
+
+    /**
+     * Write the cards page filters
+     * @param {URLSearchParams} params - Parameters to modify
+     * @param {Object} filters - Filter values
+     * @param {Object} defaults - Default filter values (left out of the URL)
+     */
+    writeCardFilters(params, filters, defaults) {
+        Object.entries(this.CARD_PARAMS).forEach(([key, param]) => {
+            if (Array.isArray(defaults[key])) {
+                params.delete(param);
+                [].concat(filters[key] || []).forEach(value => params.append(param, value));
+                return;
+            }
+            const value = typeof filters[key] === "boolean" ? (filters[key] ? "1" : "0") : filters[key];
+            const fallback = typeof defaults[key] === "boolean" ? (defaults[key] ? "1" : "0") : defaults[key];
+            this.setParam(params, param, value, fallback);
+        });
+    }
+
+    /**
+     * Set a parameter, removing it when it has its default value
+     * @param {URLSearchParams} params - Parameters to modify
+     * @param {string} name - Parameter name
+     * @param {*} value - Value
+     * @param {*} defaultValue - Default value
+     */
+    setParam(params, name, value, defaultValue) {
+        if (value === undefined || value === null || value === "" || value === defaultValue) {
+            params.delete(name);
+        } else {
+            params.set(name, value);
+        }
+    }
+
+    /**
+     * Modify the URL parameters and record the change in the browser history
+     * @param {Function} modify - Receives the URLSearchParams to change
+     * @param {boolean} push - Add a history entry (back/forward steps), otherwise replace the current one
+     */
+    update(modify, push = false) {
+        const params = this.getParams();
+        modify(params);
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`;
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+
+        if (push) {
+            history.pushState(null, "", url);
+        } else {
+            history.replaceState(null, "", url);
+        }
+    }
+}
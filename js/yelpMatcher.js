@@ -0,0 +1,410 @@
+// yelpMatcher.js - Fuzzy matching between DineSafe establishments and Yelp listings
+
+/**
+ * YelpMatcher class - Scores Yelp candidates for a DineSafe establishment using
+ * name similarity, street address / postal code and distance between coordinates.
+ * A component that cannot be computed counts as no evidence, so a name alone never matches;
+ * medium and strong matches need a similar address or nearby DineSafe coordinates, and a
+ * clearly different address without such coordinates rules the candidate out.
+ */
+class YelpMatcher {
+    constructor() {
+        // Component weights (a component that cannot be computed scores 0)
+        this.WEIGHTS = {
+            name: 0.5,
+            address: 0.3,
+            distance: 0.2
+        };
+
+        // Confidence thresholds
+        this.MIN_SCORE = 0.55;       // Below this a candidate is not considered a match
+        this.MEDIUM_SCORE = 0.7;
+        this.STRONG_SCORE = 0.85;
+        this.MIN_NAME_SCORE = 0.35;  // Candidates whose names are this different are never matched
+
+        // Evidence beyond the name
+        this.ADDRESS_SUPPORT = 0.6;   // Address score that supports a medium or strong match
+        this.ADDRESS_CONFLICT = 0.4;  // Address score that rules a candidate out unless the coordinates support it
+        this.DISTANCE_SUPPORT = 0.5;  // Distance score (DineSafe coordinates only) that supports a match
+        // Trust in the distance component by locationPrecision (approximate coordinates are weak evidence)
+        this.LOCATION_WEIGHTS = { exact: 1, address: 0.5 };
+
+        // Spatial candidate search
+        this.MAX_DISTANCE_KM = 0.5;  // Distance score reaches 0 at this distance
+        this.GRID_SIZE = 0.005;      // Grid cell size in degrees (~500m)
+
+        // Words that carry no identifying information in a business name
+        this.NAME_STOP_WORDS = new Set([
+            'the', 'restaurant', 'restaurants', 'inc', 'ltd', 'limited', 'corp', 'co', 'and'
+        ]);
+
+        // Street suffix / direction abbreviations (DineSafe uses the short forms)
+        this.ADDRESS_ABBREVIATIONS = {
+            street: 'st', avenue: 'ave', road: 'rd', drive: 'dr', boulevard: 'blvd',
+            crescent: 'cres', court: 'crt', place: 'pl', square: 'sq', lane: 'lane',
+            parkway: 'pkwy', terrace: 'terr', circle: 'crcl', highway: 'hwy',
+            west: 'w', east: 'e', north: 'n', south: 's'
+        };
+
+        this.reset();
+    }
+
+    /**
+     * Clear the candidate index and statistics
+     */
+    reset() {
+        this.grid = new Map();
+        this.nameIndex = new Map();
+        this.candidates = [];
+        this.stats = { total: 0, matched: 0, strong: 0, medium: 0, weak: 0, unmatched: 0 };
+    }
+
+    /**
+     * Normalize a business name for comparison
+     * @param {string} name - Raw name
+     * @returns {string} Normalized name
+     */
+    normalizeName(name) {
+        if (!name) return '';
+        return name
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[’'`]/g, '')
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .split(' ')
+            .filter(token => token && !this.NAME_STOP_WORDS.has(token))
+            .join(' ');
+    }
+
+    /**
+     * Get the set of character bigrams of a string
+     * @param {string} text - Normalized text
+     * @returns {Set<string>} Bigrams
+     */
+    bigrams(text) {
+        const compact = text.replace(/ /g, '');
+        const result = new Set();
+        for (let i = 0; i < compact.length - 1; i++) {
+            result.add(compact.slice(i, i + 2));
+        }
+        return result;
+    }
+
+    /**
+     * Dice coefficient between two bigram sets
+     * @param {Set<string>} a - Bigrams of first string
+     * @param {Set<string>} b - Bigrams of second string
+     * @returns {number} Similarity between 0 and 1
+     */
+    diceCoefficient(a, b) {
+        if (a.size === 0 || b.size === 0) return 0;
+        let overlap = 0;
+        a.forEach(gram => {
+            if (b.has(gram)) overlap++;
+        });
+        return (2 * overlap) / (a.size + b.size);
+    }
+
+    /**
+     * Parse an address into street number, street name and postal code
+     * @param {string} address - Raw address (Yelp addresses may span several lines)
+     * @returns {Object} { number, street, streetGrams, postal, fsa }
+     */
+    parseAddress(address) {
+        if (!address) return null;
+
+        const postalMatch = address.match(/\b([A-Z]\d[A-Z])\s?(\d[A-Z]\d)?\b/i);
+        const lines = address.split(/\n/).map(l => l.trim()).filter(Boolean);
+        const streetLine = lines.find(l => /^\d/.test(l)) || lines[0] || '';
+
+        const tokens = streetLine
+            .toLowerCase()
+            .replace(/\b(unit|suite|ste)\s*\S+/g, ' ')
+            .replace(/#\s*\S+/g, ' ')
+            .replace(/[^a-z0-9\s-]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(token => this.ADDRESS_ABBREVIATIONS[token] || token);
+
+        let number = null;
+        if (tokens.length > 0 && /^\d/.test(tokens[0])) {
+            number = tokens.shift().match(/^\d+/)[0];
+        }
+        const street = tokens.join(' ');
+
+        return {
+            number,
+            street,
+            streetGrams: this.bigrams(street),
+            postal: postalMatch && postalMatch[2] ? (postalMatch[1] + postalMatch[2]).toUpperCase() : null,
+            fsa: postalMatch ? postalMatch[1].toUpperCase() : null
+        };
+    }
+
+    /**
+     * Compare two parsed addresses
+     * @param {Object} a - Parsed DineSafe address
+     * @param {Object} b - Parsed Yelp address
+     * @returns {number|null} Similarity between 0 and 1, null when it cannot be computed
+     */
+    addressSimilarity(a, b) {
+        if (!a || !b || !a.street || !b.street) return null;
+
+        const streetScore = this.diceCoefficient(a.streetGrams, b.streetGrams);
+        let score;
+        if (a.number && b.number) {
+            score = a.number === b.number ? 0.5 + 0.5 * streetScore : 0.3 * streetScore;
+        } else {
+            score = 0.8 * streetScore;
+        }
+
+        // Postal code agreement, when both sides carry one
+        if (a.fsa && b.fsa) {
+            let postalScore = 0;
+            if (a.postal && b.postal && a.postal === b.postal) postalScore = 1;
+            else if (a.fsa === b.fsa) postalScore = 0.6;
+            score = 0.8 * score + 0.2 * postalScore;
+        }
+
+        return score;
+    }
+
+    /**
+     * Great-circle distance between two points
+     * @returns {number} Distance in kilometres
+     */
+    distanceKm(lat1, lon1, lat2, lon2) {
+        const toRad = Math.PI / 180;
+        const dLat = (lat2 - lat1) * toRad;
+        const dLon = (lon2 - lon1) * toRad;
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+        return 6371 * 2 * Math.asin(Math.sqrt(h));
+    }
+
+    /**
+     * Extract the business alias (/biz/<alias>) and ad business id from a Yelp URL
+     * @param {string} url - Yelp URL, possibly an ad redirect
+     * @returns {Object} { alias, businessId } (null when absent)
+     */
+    parseYelpUrl(url) {
+        let decoded = url || '';
+        try {
+            decoded = decodeURIComponent(decoded);
+        } catch (e) {
+            // Keep the raw URL when it is not valid URI encoding
+        }
+
+        const bizMatch = decoded.match(/\/biz\/([^?&#/]+)/);
+        const adMatch = decoded.match(/ad_business_id=([^&#]+)/);
+        return {
+            alias: bizMatch ? bizMatch[1].toLowerCase() : null,
+            businessId: adMatch ? adMatch[1] : null
+        };
+    }
+
+    /**
+     * Get a stable key for a Yelp business (alias from the /biz/ URL, ad business id, or name + address)
+     * @param {Object} yelpRest - Yelp row
+     * @returns {string} Business key
+     */
+    getBusinessKey(yelpRest) {
+        const { alias, businessId } = this.parseYelpUrl(yelpRest["Restaurant Yelp URL"]);
+        if (alias) return alias;
+        if (businessId) return businessId;
+
+        return `${this.normalizeName(yelpRest["Restaurant Name"])}|${(yelpRest["Restaurant Address"] || '').toLowerCase()}`;
+    }
+
+    getGridKey(lat, lon) {
+        return `${Math.floor(lat / this.GRID_SIZE)}:${Math.floor(lon / this.GRID_SIZE)}`;
+    }
+
+    /**
+     * Build the candidate index (spatial grid + normalized name lookup)
+     * @param {Array} yelpData - Yelp rows
+     */
+    buildIndex(yelpData) {
+        this.reset();
+        const seen = new Map();  // businessKey -> candidate
+
+        yelpData.forEach(yelpRest => {
+            if (!yelpRest || !yelpRest["Restaurant Name"]) return;
+
+            // The same business is listed once per category: keep one candidate per business
+            // and collect the categories of every listing
+            const businessKey = this.getBusinessKey(yelpRest);
+            const category = (yelpRest["Category"] || "").trim();
+            if (seen.has(businessKey)) {
+                const categories = seen.get(businessKey).categories;
+                if (category && !categories.includes(category)) categories.push(category);
+                return;
+            }
+
+            const name = this.normalizeName(yelpRest["Restaurant Name"]);
+            const lat = parseFloat(yelpRest["Restaurant Latitude"]);
+            const lon = parseFloat(yelpRest["Restaurant Longitude"]);
+            const candidate = {
+                row: yelpRest,
+                businessKey,
+                categories: category ? [category] : [],
+                name,
+                nameGrams: this.bigrams(name),
+                address: this.parseAddress(yelpRest["Restaurant Address"]),
+                lat: isNaN(lat) ? null : lat,
+                lon: isNaN(lon) ? null : lon
+            };
+            this.candidates.push(candidate);
+            seen.set(businessKey, candidate);
+
+            if (!this.nameIndex.has(name)) this.nameIndex.set(name, []);
+            this.nameIndex.get(name).push(candidate);
+
+            if (candidate.lat !== null && candidate.lon !== null) {
+                const key = this.getGridKey(candidate.lat, candidate.lon);
+                if (!this.grid.has(key)) this.grid.set(key, []);
+                this.grid.get(key).push(candidate);
+            }
+        });
+
+        console.log(`🔍 Yelp match index: ${this.candidates.length} businesses, ${this.grid.size} grid cells`);
+    }
+
+    /**
+     * Collect candidates near a point plus candidates sharing the exact normalized name
+     */
+    getCandidates(name, lat, lon) {
+        const result = new Set(this.nameIndex.get(name) || []);
+
+        if (lat !== null && lon !== null) {
+            const row = Math.floor(lat / this.GRID_SIZE);
+            const col = Math.floor(lon / this.GRID_SIZE);
+            for (let dr = -1; dr <= 1; dr++) {
+                for (let dc = -1; dc <= 1; dc++) {
+                    const cell = this.grid.get(`${row + dr}:${col + dc}`);
+                    if (cell) cell.forEach(c => result.add(c));
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Score a single candidate against a DineSafe establishment
+     * @returns {Object} { score, components, supported, contradicted }
+     */
+    scoreCandidate(target, candidate) {
+        const nameScore = target.name === candidate.name
+            ? 1
+            : this.diceCoefficient(target.nameGrams, candidate.nameGrams);
+
+        // Skip the address and distance work for names that can never match
+        if (nameScore < this.MIN_NAME_SCORE) {
+            return { score: 0, components: { name: nameScore, address: null, distance: null }, supported: false, contradicted: false };
+        }
+
+        const components = {
+            name: nameScore,
+            address: this.addressSimilarity(target.address, candidate.address),
+            distance: null
+        };
+
+        if (target.lat !== null && candidate.lat !== null) {
+            const km = this.distanceKm(target.lat, target.lon, candidate.lat, candidate.lon);
+            components.distance = Math.max(0, 1 - km / this.MAX_DISTANCE_KM);
+            components.distanceKm = km;
+        }
+
+        const precision = target.precision || 'exact';
+        const locationWeight = this.LOCATION_WEIGHTS[precision] ?? 1;
+        const score = this.WEIGHTS.name * components.name +
+            this.WEIGHTS.address * (components.address ?? 0) +
+            this.WEIGHTS.distance * locationWeight * (components.distance ?? 0);
+
+        const nearby = precision === 'exact' && (components.distance ?? 0) >= this.DISTANCE_SUPPORT;
+        return {
+            score,
+            components,
+            supported: nearby || (components.address ?? 0) >= this.ADDRESS_SUPPORT,
+            contradicted: !nearby && components.address !== null && components.address < this.ADDRESS_CONFLICT
+        };
+    }
+
+    /**
+     * Get the confidence level label for a score
+     * @param {number} score - Match score
+     * @returns {string} 'strong' | 'medium' | 'weak'
+     */
+    getMatchLevel(score) {
+        if (score >= this.STRONG_SCORE) return 'strong';
+        if (score >= this.MEDIUM_SCORE) return 'medium';
+        return 'weak';
+    }
+
+    /**
+     * Find the best Yelp match for a DineSafe establishment
+     * @param {Object} dinesafeRest - DineSafe row
+     * @returns {Object|null} Yelp row copy with matchConfidence, matchLevel and matchComponents, or null
+     */
+    findMatch(dinesafeRest) {
+        this.stats.total++;
+
+        const name = this.normalizeName(dinesafeRest["Establishment Name"]);
+        if (!name) {
+            this.stats.unmatched++;
+            return null;
+        }
+
+        const lat = parseFloat(dinesafeRest["Latitude"]);
+        const lon = parseFloat(dinesafeRest["Longitude"]);
+        const target = {
+            name,
+            nameGrams: this.bigrams(name),
+            address: this.parseAddress(dinesafeRest["Establishment Address"]),
+            lat: isNaN(lat) ? null : lat,
+            lon: isNaN(lon) ? null : lon,
+            precision: dinesafeRest.locationPrecision || 'exact'
+        };
+
+        let best = null;
+        this.getCandidates(name, target.lat, target.lon).forEach(candidate => {
+            const result = this.scoreCandidate(target, candidate);
+            if (result.components.name < this.MIN_NAME_SCORE || result.contradicted) return;
+            if (!best || result.score > best.score) {
+                best = { candidate, ...result };
+            }
+        });
+
+        if (!best || best.score < this.MIN_SCORE) {
+            this.stats.unmatched++;
+            return null;
+        }
+
+        // Without address or location evidence the name alone cannot make a confident match
+        const level = best.supported ? this.getMatchLevel(best.score) : 'weak';
+        this.stats.matched++;
+        this.stats[level]++;
+
+        return {
+            ...best.candidate.row,
+            businessKey: best.candidate.businessKey,
+            categories: best.candidate.categories,
+            matchConfidence: +best.score.toFixed(3),
+            matchLevel: level,
+            matchComponents: best.components
+        };
+    }
+
+    /**
+     * Get match statistics for the establishments processed since the last index build
+     * @returns {Object} Counts per confidence level and overall match rate
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            matchRate: this.stats.total > 0 ? this.stats.matched / this.stats.total : 0
+        };
+    }
+}
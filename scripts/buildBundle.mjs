@@ -0,0 +1,47 @@
+// buildBundle.mjs - Precompute the processed dataset (npm run build:data)
+//
+// Runs the browser pipeline (DataLoader.processData: type filter, grouping, scoring, Yelp merge,
+// neighbourhood assignment) on the files in data/ without sampling, and writes data/bundle.bin:
+// the render records in the ColumnarBundle format plus a simplified neighbourhood topology.
+// The size and modification time of every source file go into the header; loadData uses the
+// bundle when it exists and no source file changed since, and falls back to the raw files otherwise.
+
+import fs from "node:fs";
+import path from "node:path";
+import { topology } from "topojson-server";
+import { presimplify, simplify, quantile } from "topojson-simplify";
+import { ROOT, DataLoader, ColumnarBundle, readSources } from "./core.mjs";
+
+const QUANTIZATION = 1e5;      // Topology grid (~1 m at Toronto's extent)
+const SIMPLIFY_QUANTILE = 0.5;  // Share of boundary points dropped by simplification
+
+const loader = new DataLoader();
+const started = Date.now();
+
+// Source file -> { size, mtime } (null for optional files that are missing)
+const sources = Object.fromEntries(loader.getSourceFiles().map(file => {
+    const fullPath = path.join(ROOT, file);
+    if (!fs.existsSync(fullPath)) return [file, null];
+    const { size, mtimeMs } = fs.statSync(fullPath);
+    return [file, { size, mtime: Math.floor(mtimeMs) }];
+}));
+
+const { dinesafe, yelp, geo, ratings } = await readSources();
+const records = loader.processData(dinesafe, yelp, ratings, { sampleSize: null, seed: loader.SAMPLE_SEED }, geo);
+
+let neighbourhoods = presimplify(topology({ neighbourhoods: geo }, QUANTIZATION));
+neighbourhoods = simplify(neighbourhoods, quantile(neighbourhoods, SIMPLIFY_QUANTILE));
+
+const bundle = new ColumnarBundle().encode(records, {
+    createdAt: Date.now(),
+    pipelineVersion: loader.PIPELINE_VERSION,
+    sources,
+    sampleInfo: loader.getSampleInfo(),
+    matchStats: loader.getMatchStats(),
+    qualityReport: loader.qualityReport,
+    topology: neighbourhoods
+});
+
+fs.writeFileSync(path.join(ROOT, loader.BUNDLE_FILE), bundle);
+console.log(`✓ Wrote ${loader.BUNDLE_FILE}: ${records.length} establishments, ` +
+    `${(bundle.length / 1048576).toFixed(1)} MB in ${((Date.now() - started) / 1000).toFixed(1)} s`);
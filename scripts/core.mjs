@@ -0,0 +1,82 @@
+// core.mjs - Node entry point for the DOM-free core (js/dineSafeCore.js)
+//
+// Loads the browser's classic scripts into this process (as js/dataWorker.js does with
+// importScripts), so scripts and notebooks get exactly the numbers the UI shows:
+//
+//     import { loadDataset, filterRecords, summarize, aggregateByNeighbourhood } from "./scripts/core.mjs";
+//     const { records } = await loadDataset({ sampleSize: null });
+//     const stats = aggregateByNeighbourhood(filterRecords(records, { status: "Pass" }));
+
+import fs from "node:fs";
+import path from "node:path";
+import vm from "node:vm";
+import { fileURLToPath } from "node:url";
+import * as d3 from "d3";
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// Same modules as js/dataWorker.js, plus the core, search and the bundle format
+const SCRIPTS = ["dataCache.js", "scoringModel.js", "neighbourhoodIndex.js", "snapshotDiff.js", "yelpMatcher.js",
+    "cuisineTaxonomy.js", "priceBands.js", "geocoder.js", "fieldMapping.js", "dataLoader.js", "filterEngine.js", "dineSafeCore.js", "choropleth.js", "columnarBundle.js",
+    "searchIndex.js"];
+
+/**
+ * Read a repository file as text
+ * @param {string} file - Path relative to the repository root
+ * @returns {string} Contents
+ */
+export const readFile = file => fs.readFileSync(path.join(ROOT, file), "utf8");
+
+// The classic scripts expect a global d3; its loaders read from the repository instead of fetching
+globalThis.d3 = {
+    ...d3,
+    json: async file => JSON.parse(readFile(file)),
+    csv: async file => d3.csvParse(readFile(file).replace(/^\uFEFF/, ""))
+};
+SCRIPTS.forEach(file => vm.runInThisContext(readFile(`js/${file}`), { filename: `js/${file}` }));
+
+export const DataLoader = vm.runInThisContext("DataLoader");
+export const DineSafeCore = vm.runInThisContext("DineSafeCore");
+export const ScoringModel = vm.runInThisContext("ScoringModel");
+export const ColumnarBundle = vm.runInThisContext("ColumnarBundle");
+export const FilterEngine = vm.runInThisContext("FilterEngine");
+export const Choropleth = vm.runInThisContext("Choropleth");
+export const YelpMatcher = vm.runInThisContext("YelpMatcher");
+export const SnapshotDiff = vm.runInThisContext("SnapshotDiff");
+export const PriceBands = vm.runInThisContext("PriceBands");
+export const SearchIndex = vm.runInThisContext("SearchIndex");
+
+const core = new DineSafeCore();
+
+export const getDefaultFilters = () => DineSafeCore.getDefaultFilters();
+export const filterRecords = (records, filters) => core.filterRecords(records, filters);
+export const countOptions = (records, filters, key, values) => core.countOptions(records, filters, key, values);
+export const sortRecords = (records, sortBy) => core.sortRecords(records, sortBy);
+export const scoreRecords = (records, model) => core.scoreRecords(records, model);
+export const summarize = records => core.summarize(records);
+export const aggregateByNeighbourhood = records => core.aggregateByNeighbourhood(records);
+export const inNeighbourhood = (records, neighbourhoodName) => core.inNeighbourhood(records, neighbourhoodName);
+
+/**
+ * Read the source files in data/
+ * @returns {Promise<Object>} { dinesafe, yelp, geo, ratings }
+ */
+export async function readSources() {
+    const loader = new DataLoader();
+    const [geo, dinesafe, yelp, ratings] = await Promise.all([
+        globalThis.d3.json(loader.DATA_FILES.geo),
+        globalThis.d3.json(loader.DATA_FILES.dinesafe),
+        globalThis.d3.csv(loader.DATA_FILES.yelp),
+        loader.loadRatings()
+    ]);
+    return { dinesafe, yelp, geo, ratings };
+}
+
+/**
+ * Load and process the source files in data/ like the page does
+ * @param {Object} options - { sampleSize (null = all), seed, scoringModel } (defaults match the page)
+ * @returns {Promise<Object>} { records, sampleInfo, qualityReport, matchStats, scoringModel }
+ */
+export async function loadDataset(options = {}) {
+    return core.processSources(await readSources(), options);
+}
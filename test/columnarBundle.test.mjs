@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ColumnarBundle } from "../scripts/core.mjs";
+
+const records = [{
+    "Establishment ID": 10001,
+    "unique_id": "row-1",
+    "Establishment Name": "Joe's Pizza",
+    "Establishment Type": "Restaurant",
+    "Establishment Address": "123 QUEEN ST W",
+    "Establishment Status": "Pass",
+    "Inspection Date": "2024-03-01",
+    "Latitude": 43.6511,
+    "Longitude": -79.3831,
+    "locationPrecision": "exact",
+    "AREA_NAME": "Downtown",
+    "AREA_SHORT_CODE": "170",
+    inspections: [
+        { date: "2023-05-01", status: "Conditional Pass", healthScore: 50, worstSeverity: "S",
+            infractions: [{ details: "Pests", severity: "S - Significant" }, { details: "Labels", severity: "M - Minor" }] },
+        { date: "2024-03-01", status: "Pass", healthScore: 100, worstSeverity: "clean", infractions: [] }
+    ],
+    inspectionCount: 2,
+    healthScore: 100,
+    healthGrade: "A",
+    worstSeverity: "S",
+    healthScoreTrend: [{ date: "2023-05-01", score: 50 }, { date: "2024-03-01", score: 100 }],
+    healthTrend: "improving",
+    cuisines: ["Italian › Pizza"],
+    priceBand: 2,
+    yelpMatch: {
+        "Restaurant Name": "Joe's Pizza",
+        "Restaurant Address": "123 Queen Street West",
+        "Restaurant Yelp URL": "https://www.yelp.ca/biz/joes-pizza-toronto",
+        "Restaurant Price Range": "$11-30",
+        businessKey: "joes-pizza-toronto",
+        categories: ["Pizza", "Italian"],
+        avg_rating: 4.5,
+        num_of_reviews: 120,
+        ratingSource: "imported",
+        matchConfidence: 0.912,
+        matchLevel: "strong"
+    }
+}, {
+    "Establishment ID": "N-2",
+    "unique_id": "row-2",
+    "Establishment Name": "Corner Store",
+    "Establishment Type": "Food Store (Convenience/Variety)",
+    "Establishment Address": "9 KING ST E",
+    "Establishment Status": "Closed",
+    "Inspection Date": "2022-11-15",
+    "Latitude": 43.649,
+    "Longitude": -79.376,
+    "locationPrecision": "address",
+    "AREA_NAME": null,
+    "AREA_SHORT_CODE": null,
+    inspections: [{ date: "2022-11-15", status: "Closed", healthScore: 0, worstSeverity: "C",
+        infractions: [{ details: "No hot water", severity: "C - Crucial" }] }],
+    inspectionCount: 1,
+    healthScore: 0,
+    healthGrade: "D",
+    worstSeverity: "C",
+    healthScoreTrend: [{ date: "2022-11-15", score: 0 }],
+    healthTrend: "single",
+    cuisines: [],
+    priceBand: null,
+    yelpMatch: null
+}];
+
+// Encoded bytes copied into a fresh ArrayBuffer, as the page receives them
+const roundTrip = (bundle, meta) => {
+    const bytes = bundle.encode(records, meta);
+    return bundle.decode(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+};
+
+test("decode returns the encoded records and metadata", () => {
+    const meta = { sampleInfo: { sampleSize: null, seed: "dinesafe" }, version: "abc" };
+    const decoded = roundTrip(new ColumnarBundle(), meta);
+    assert.deepEqual(decoded.records, records);
+    assert.deepEqual(decoded.meta, meta);
+});
+
+test("numeric ids keep their type", () => {
+    const { records: decoded } = roundTrip(new ColumnarBundle(), {});
+    assert.equal(decoded[0]["Establishment ID"], 10001);
+    assert.equal(decoded[1]["Establishment ID"], "N-2");
+});
+
+test("decode rejects other files and formats", () => {
+    const bundle = new ColumnarBundle();
+    assert.throws(() => bundle.decode(new TextEncoder().encode("{\"not\": \"a bundle\"}").buffer), /Not a data bundle/);
+
+    const bytes = bundle.encode(records, {});
+    const newer = new ColumnarBundle();
+    newer.FORMAT_VERSION = bundle.FORMAT_VERSION + 1;
+    assert.throws(() => newer.decode(bytes.buffer.slice(0)), /Unsupported bundle format/);
+});
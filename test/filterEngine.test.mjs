@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FilterEngine, filterRecords, countOptions, getDefaultFilters } from "../scripts/core.mjs";
+
+const record = (id, fields = {}) => ({
+    "Establishment ID": id,
+    "Establishment Name": `Place ${id}`,
+    "Establishment Type": "Restaurant",
+    "Establishment Status": "Pass",
+    healthScore: 100,
+    healthGrade: "A",
+    worstSeverity: "clean",
+    cuisines: [],
+    priceBand: null,
+    yelpMatch: null,
+    ...fields
+});
+
+const records = [
+    record(1),
+    record(2, { "Establishment Status": "Conditional Pass", healthScore: 70, healthGrade: "C", worstSeverity: "S" }),
+    record(3, { "Establishment Type": "Bakery", healthScore: 80, healthGrade: "B", worstSeverity: "M", priceBand: 2 }),
+    record(4, { "Establishment Type": "Food Truck", "Establishment Status": "Closed", healthScore: 0, healthGrade: "D", worstSeverity: "C" }),
+    record(5, { cuisines: ["Asian › Japanese › Sushi"], priceBand: 3, yelpMatch: { "Restaurant Name": "Sushi 5" } })
+];
+
+const ids = list => list.map(d => d["Establishment ID"]);
+
+test("default filters match every record", () => {
+    assert.deepEqual(getDefaultFilters(), FilterEngine.getDefaults());
+    assert.equal(filterRecords(records, {}).length, records.length);
+    assert.equal(filterRecords(records, getDefaultFilters()).length, records.length);
+});
+
+test("multi-select filters accept lists, single values and 'all'", () => {
+    assert.deepEqual(ids(filterRecords(records, { status: ["Pass", "Closed"] })), [1, 3, 4, 5]);
+    assert.deepEqual(ids(filterRecords(records, { status: "Closed" })), [4]);
+    assert.equal(filterRecords(records, { healthGrade: "all" }).length, records.length);
+    assert.deepEqual(ids(filterRecords(records, { healthGrade: ["A", "B"] })), [1, 3, 5]);
+});
+
+test("type 'other' matches types outside the main list", () => {
+    assert.deepEqual(ids(filterRecords(records, { type: ["other"] })), [4]);
+    assert.deepEqual(ids(filterRecords(records, { type: ["Bakery", "other"] })), [3, 4]);
+});
+
+test("severity compares the worst severity at most or at least", () => {
+    assert.deepEqual(ids(filterRecords(records, { severity: "M" })), [1, 3, 5]);
+    assert.deepEqual(ids(filterRecords(records, { severity: "S", severityMode: "atLeast" })), [2, 4]);
+    assert.deepEqual(ids(filterRecords(records, { severity: "clean" })), [1, 5]);
+});
+
+test("score range is inclusive", () => {
+    assert.deepEqual(ids(filterRecords(records, { scoreMin: 70, scoreMax: 80 })), [2, 3]);
+});
+
+test("cuisine, price and Yelp filters", () => {
+    assert.deepEqual(ids(filterRecords(records, { yelpCuisine: "Asian" })), [5]);
+    assert.deepEqual(ids(filterRecords(records, { yelpCuisine: "none" })), [1, 2, 3, 4]);
+    assert.deepEqual(ids(filterRecords(records, { price: "2" })), [3]);
+    assert.deepEqual(ids(filterRecords(records, { price: "unknown" })), [1, 2, 4]);
+    assert.deepEqual(ids(filterRecords(records, { yelpOnly: true })), [5]);
+});
+
+test("describe keeps only the active filters", () => {
+    const engine = new FilterEngine();
+    assert.deepEqual(engine.describe({ status: "all", healthGrade: ["A", "A"], scoreMin: 0, price: "3", bogus: 1 }),
+        { healthGrade: ["A"], price: "3" });
+});
+
+test("countOptions applies every filter except the counted one", () => {
+    const filters = { healthGrade: ["A"], type: ["Restaurant"] };
+    const counts = countOptions(records, filters, "healthGrade", ["all", "A", "B", "C", "D"]);
+    // Restaurants: 1 (A), 2 (C), 5 (A)
+    assert.deepEqual([...counts], [["all", 3], ["A", 2], ["B", 0], ["C", 1], ["D", 0]]);
+});
+
+test("countOptions counts cuisine nodes with their descendants", () => {
+    const counts = countOptions(records, {}, "yelpCuisine", ["Asian", "Asian › Japanese", "none"]);
+    assert.deepEqual([...counts], [["Asian", 1], ["Asian › Japanese", 1], ["none", 4]]);
+});
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PriceBands } from "../scripts/core.mjs";
+
+const priceBands = new PriceBands();
+
+test("parse reads the Yelp price range labels", () => {
+    assert.equal(priceBands.parse("Under $10"), 1);
+    assert.equal(priceBands.parse("$11-30"), 2);
+    assert.equal(priceBands.parse("$31-60"), 3);
+    assert.equal(priceBands.parse("Above $61"), 4);
+});
+
+test("parse accepts dollar signs, currency prefixes and loose spacing", () => {
+    assert.equal(priceBands.parse("$$"), 2);
+    assert.equal(priceBands.parse("$$$$"), 4);
+    assert.equal(priceBands.parse("CA$11-30"), 2);
+    assert.equal(priceBands.parse("US$31 – 60"), 3);
+    assert.equal(priceBands.parse("  over $100 "), 4);
+});
+
+test("parse returns null for empty or unknown values", () => {
+    assert.equal(priceBands.parse(""), null);
+    assert.equal(priceBands.parse(null), null);
+    assert.equal(priceBands.parse("$$$$$"), null);
+    assert.equal(priceBands.parse("cheap"), null);
+});
+
+test("format and matches", () => {
+    assert.equal(priceBands.format(2), "$$ ($11-30)");
+    assert.equal(priceBands.format(null), "Unknown");
+    assert.ok(priceBands.matches({ priceBand: 2 }, "2"));
+    assert.ok(priceBands.matches({ priceBand: null }, "unknown"));
+    assert.ok(!priceBands.matches({ priceBand: 3 }, "2"));
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ScoringModel, scoreRecords } from "../scripts/core.mjs";
+
+const inspection = (date, status, worstSeverity) => ({ date, status, worstSeverity, infractions: [] });
+
+test("the default model deducts status and severity penalties", () => {
+    const model = new ScoringModel();
+    assert.equal(model.scoreInspection({ status: "Pass", worstSeverity: "clean" }), 100);
+    assert.equal(model.scoreInspection({ status: "Pass", worstSeverity: "M" }), 90);
+    assert.equal(model.scoreInspection({ status: "Conditional Pass", worstSeverity: "C" }), 30);
+    assert.equal(model.scoreInspection({ status: "Closed", worstSeverity: "C" }), 0);
+});
+
+test("grades follow the thresholds", () => {
+    const model = new ScoringModel();
+    assert.deepEqual([95, 90, 89, 75, 74, 60, 59].map(score => model.grade(score)), ["A", "A", "B", "B", "C", "C", "D"]);
+});
+
+test("partial definitions merge over the default", () => {
+    const model = new ScoringModel({ severityPenalties: { C: 50 }, gradeThresholds: { A: 85 } });
+    assert.equal(model.definition.severityPenalties.C, 50);
+    assert.equal(model.definition.severityPenalties.S, 20);
+    assert.equal(model.definition.gradeThresholds.A, 85);
+    assert.equal(model.definition.gradeThresholds.B, 75);
+    assert.deepEqual(JSON.parse(JSON.stringify(new ScoringModel())), ScoringModel.getDefaultDefinition());
+});
+
+test("without decay the latest inspection sets the score", () => {
+    const model = new ScoringModel();
+    const history = [{ date: "2020-01-01", healthScore: 30 }, { date: "2024-01-01", healthScore: 90 }];
+    assert.equal(model.scoreHistory(history), 90);
+    assert.equal(model.scoreHistory([]), 100);
+});
+
+test("decay weights recent inspections more", () => {
+    const model = new ScoringModel({ decay: { enabled: true, halfLifeDays: 365 } });
+    const referenceDate = new Date("2024-01-01");
+    // One half-life apart: weights 0.5 and 1
+    const history = [{ date: "2023-01-01", healthScore: 40 }, { date: "2024-01-01", healthScore: 100 }];
+    assert.equal(model.scoreHistory(history, referenceDate), 80);
+});
+
+test("apply rescores records with grade and trend", () => {
+    const records = [{
+        "Establishment Status": "Pass",
+        worstSeverity: "S",
+        inspections: [inspection("2023-01-01", "Pass", "clean"), inspection("2024-01-01", "Pass", "S")]
+    }, {
+        "Establishment Status": "Conditional Pass",
+        worstSeverity: "M",
+        inspections: []
+    }];
+    scoreRecords(records, new ScoringModel());
+
+    assert.deepEqual(records[0].inspections.map(d => d.healthScore), [100, 80]);
+    assert.equal(records[0].healthScore, 80);
+    assert.equal(records[0].healthGrade, "B");
+    assert.equal(records[0].healthTrend, "declining");
+    assert.equal(records[1].healthScore, 60);
+    assert.equal(records[1].healthGrade, "C");
+    assert.equal(records[1].healthTrend, "single");
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SearchIndex } from "../scripts/core.mjs";
+
+test("editDistance counts insertions, deletions, substitutions and transpositions", () => {
+    const index = new SearchIndex();
+    assert.equal(index.editDistance("pizza", "pizza", 2), 0);
+    assert.equal(index.editDistance("pizza", "piza", 2), 1);
+    assert.equal(index.editDistance("pizza", "pizze", 2), 1);
+    assert.equal(index.editDistance("pizza", "pziza", 2), 1);
+    assert.equal(index.editDistance("sushi", "suhsi", 2), 1);
+    assert.equal(index.editDistance("burger", "burgre", 2), 1);
+});
+
+test("editDistance stops past the bound", () => {
+    const index = new SearchIndex();
+    assert.equal(index.editDistance("cafe", "restaurant", 2), 3);
+    assert.equal(index.editDistance("abcd", "wxyz", 1), 2);
+});
+
+const records = [
+    { "Establishment Name": "Tim Hortons", "Establishment Address": "100 Queen St W", AREA_NAME: "Downtown" },
+    { "Establishment Name": "Tim's Noodle House", "Establishment Address": "12 Spadina Ave" },
+    { "Establishment Name": "Café Crêpe", "Establishment Address": "246 Queen St W" },
+    { "Establishment Name": "Pizza Pizza", "Establishment Address": "5 Tim Ave" }
+];
+const features = [{ properties: { AREA_NAME: "Queen Street West" } }];
+const index = new SearchIndex().build(records, features);
+const labels = results => results.map(d => d.label);
+
+test("search ranks leading name matches first", () => {
+    const results = index.search("tim ho");
+    assert.equal(results[0].label, "Tim Hortons");
+    assert.equal(results[0].kind, "restaurant");
+});
+
+test("search ranks name matches ahead of address matches", () => {
+    assert.deepEqual(labels(index.search("tim")).slice(0, 2).sort(), ["Tim Hortons", "Tim's Noodle House"]);
+    assert.equal(labels(index.search("tim")).at(-1), "Pizza Pizza");
+});
+
+test("search tolerates typos and accents", () => {
+    assert.deepEqual(labels(index.search("hortnos")), ["Tim Hortons"]);
+    assert.deepEqual(labels(index.search("cafe crepe")), ["Café Crêpe"]);
+});
+
+test("search needs every query word to match", () => {
+    assert.deepEqual(labels(index.search("tim noodle")), ["Tim's Noodle House"]);
+    // Words have to match within one field
+    assert.deepEqual(index.search("queen crepe"), []);
+    assert.deepEqual(index.search("tim sushi"), []);
+    assert.deepEqual(index.search("   "), []);
+});
+
+test("search finds neighbourhoods and respects the limit", () => {
+    const results = index.search("queen");
+    assert.equal(results[0].kind, "neighbourhood");
+    assert.equal(index.search("queen", 1).length, 1);
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SnapshotDiff } from "../scripts/core.mjs";
+
+const establishment = (id, status, infractions = []) => ({
+    "Establishment ID": id,
+    "Establishment Name": `Place ${id}`,
+    "Establishment Status": status,
+    "Latitude": "43.65",
+    "Longitude": "-79.38",
+    inspections: infractions.map(([date, details, severity]) => ({ date, infractions: [{ details, severity }] }))
+});
+
+test("compare lists new, closed, status, crucial and disappeared changes", () => {
+    const previous = [
+        establishment(1, "Pass"),
+        establishment(2, "Pass"),
+        establishment(3, "Conditional Pass", [["2024-01-01", "Pests", "C - Crucial"]]),
+        establishment(4, "Pass")
+    ];
+    const current = [
+        establishment(1, "Pass"),
+        establishment(2, "Closed"),
+        establishment(3, "Pass", [["2024-01-01", "Pests", "C - Crucial"], ["2024-03-01", "No hot water", "C - Crucial"]]),
+        establishment(5, "Pass", [["2024-02-01", "Mould", "M - Minor"]])
+    ];
+
+    const { changes, summary } = new SnapshotDiff().compare(previous, current);
+    const byType = Object.fromEntries(changes.map(change => [change.changeType, change]));
+
+    assert.deepEqual(summary, { new: 1, closed: 1, status: 1, crucial: 1, disappeared: 1 });
+    assert.equal(byType.new["Establishment ID"], 5);
+    assert.deepEqual([byType.closed.from, byType.closed.to], ["Pass", "Closed"]);
+    assert.deepEqual([byType.status.from, byType.status.to], ["Conditional Pass", "Pass"]);
+    assert.equal(byType.crucial.count, 1);
+    assert.equal(byType.crucial.details, "No hot water");
+    assert.equal(byType.crucial.date, "2024-03-01");
+    assert.equal(byType.disappeared["Establishment ID"], 4);
+    assert.equal(byType.new.Latitude, 43.65);
+});
+
+test("crucial infractions of new establishments are all new", () => {
+    const current = [establishment(1, "Pass", [["2024-01-01", "Pests", "C - Crucial"], ["2024-02-01", "Pests", "C - Crucial"]])];
+    const { summary, changes } = new SnapshotDiff().compare([], current);
+    assert.equal(summary.new, 1);
+    assert.equal(changes.find(change => change.changeType === "crucial").count, 2);
+});
+
+test("identical snapshots have no changes", () => {
+    const snapshot = [establishment(1, "Pass"), establishment(2, "Closed")];
+    assert.deepEqual(new SnapshotDiff().compare(snapshot, snapshot).changes, []);
+});
+
+test("describe summarizes a change in one line", () => {
+    const diff = new SnapshotDiff();
+    assert.equal(diff.describe({ changeType: "status", from: "Pass", to: "Conditional Pass" }), "Pass → Conditional Pass");
+    assert.equal(diff.describe({ changeType: "crucial", count: 2, details: "Pests" }), "2 new crucial infractions: Pests");
+    assert.equal(diff.describe({ changeType: "disappeared", from: null }), "No longer listed (was no status)");
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { YelpMatcher } from "../scripts/core.mjs";
+
+const yelpRow = (name, address, lat, lon, alias, category = "Pizza") => ({
+    "Restaurant Name": name,
+    "Restaurant Address": address,
+    "Restaurant Latitude": String(lat),
+    "Restaurant Longitude": String(lon),
+    "Restaurant Yelp URL": `https://www.yelp.ca/biz/${alias}`,
+    "Category": category
+});
+
+const dinesafeRow = (name, address, lat, lon, fields = {}) => ({
+    "Establishment Name": name,
+    "Establishment Address": address,
+    "Latitude": lat,
+    "Longitude": lon,
+    ...fields
+});
+
+const createMatcher = () => {
+    const matcher = new YelpMatcher();
+    matcher.buildIndex([
+        yelpRow("Joe's Pizza", "123 Queen Street West\nToronto, ON M5H 2M9", 43.6510, -79.3830, "joes-pizza-toronto"),
+        yelpRow("Joe's Pizza", "123 Queen Street West\nToronto, ON M5H 2M9", 43.6510, -79.3830, "joes-pizza-toronto", "Italian"),
+        yelpRow("Golden Dragon", "50 Dundas St W\nToronto, ON M5G 1C4", 43.6560, -79.3820, "golden-dragon-toronto", "Chinese"),
+        yelpRow("Golden Dragon Express", "900 Bloor St W\nToronto, ON M6H 1L1", 43.6620, -79.4270, "golden-dragon-express")
+    ]);
+    return matcher;
+};
+
+test("normalizeName drops punctuation, accents and stop words", () => {
+    const matcher = new YelpMatcher();
+    assert.equal(matcher.normalizeName("The Café & Bar Restaurant Inc."), "cafe bar");
+    assert.equal(matcher.normalizeName("Joe's Pizza"), "joes pizza");
+});
+
+test("parseAddress abbreviates street names and reads postal codes", () => {
+    const address = new YelpMatcher().parseAddress("123 Queen Street West, Unit 4\nToronto, ON M5H 2M9");
+    assert.equal(address.number, "123");
+    assert.equal(address.street, "queen st w");
+    assert.equal(address.postal, "M5H2M9");
+    assert.equal(address.fsa, "M5H");
+});
+
+test("addressSimilarity rewards the same number and street", () => {
+    const matcher = new YelpMatcher();
+    const parse = text => matcher.parseAddress(text);
+    assert.equal(matcher.addressSimilarity(parse("123 QUEEN ST W"), parse("123 Queen Street West")), 1);
+    assert.ok(matcher.addressSimilarity(parse("125 QUEEN ST W"), parse("123 Queen Street West")) < 0.4);
+    assert.equal(matcher.addressSimilarity(parse("123 QUEEN ST W"), null), null);
+});
+
+test("one candidate per business, with the categories of every listing", () => {
+    const matcher = createMatcher();
+    assert.equal(matcher.candidates.length, 3);
+    assert.deepEqual(matcher.candidates[0].categories, ["Pizza", "Italian"]);
+});
+
+test("a nearby establishment with the same name and address is a strong match", () => {
+    const match = createMatcher().findMatch(dinesafeRow("JOE'S PIZZA", "123 QUEEN ST W", "43.6511", "-79.3831"));
+    assert.equal(match.businessKey, "joes-pizza-toronto");
+    assert.equal(match.matchLevel, "strong");
+    assert.ok(match.matchConfidence >= 0.85);
+});
+
+test("a clearly different address rules out a same-name candidate", () => {
+    const match = createMatcher().findMatch(dinesafeRow("GOLDEN DRAGON EXPRESS", "50 DUNDAS ST W", null, null));
+    assert.equal(match, null);
+});
+
+test("a name alone does not match", () => {
+    const matcher = createMatcher();
+    assert.equal(matcher.findMatch(dinesafeRow("GOLDEN DRAGON", "", null, null)), null);
+    assert.equal(matcher.getStats().unmatched, 1);
+});
+
+test("approximate coordinates weigh less than DineSafe coordinates", () => {
+    const matcher = createMatcher();
+    const exact = matcher.findMatch(dinesafeRow("JOE'S PIZZA", "123 QUEEN ST W", "43.6511", "-79.3831"));
+    const approximate = matcher.findMatch(dinesafeRow("JOE'S PIZZA", "123 QUEEN ST W", "43.6511", "-79.3831",
+        { locationPrecision: "address" }));
+    assert.ok(approximate.matchConfidence < exact.matchConfidence);
+    assert.equal(matcher.getStats().matched, 2);
+});